@@ -0,0 +1,96 @@
+// ===============================
+// Album-to-color assignment (Hungarian method)
+// ===============================
+// Every color wants one album and every album can stand for at most one color.
+// Instead of letting each color grab its favorite and then blanking the losers of
+// duplicate picks, the whole grid is solved at once as a weighted bipartite matching.
+
+/**
+ * solveAssignment(weights)
+ * - weights[row][col]: how good it is to give `col` to `row`; null / non-finite = not allowed.
+ * - Fills as many rows as possible first, then maximizes the total weight among those fillings
+ *   (a row is never left empty just to make another row slightly better).
+ * - Returns an array: row -> col index, or -1 when the row can't get anything.
+ * - Deterministic: same matrix, same answer. O(rows² · cols), fine for a grid of ~16 colors.
+ */
+export function solveAssignment(weights) {
+  const n = weights.length;
+  const m = n ? weights[0].length : 0;
+  if (!n || !m) return new Array(n).fill(-1);
+
+  // Any filled row must beat any set of better weights elsewhere: lift every allowed
+  // weight by more than the largest possible total.
+  let total = 0;
+  for (const row of weights) {
+    let best = 0;
+    for (const w of row) if (Number.isFinite(w) && w > best) best = w;
+    total += best;
+  }
+  const FILL = total + 1;
+  const FORBIDDEN = FILL * (n + 1) * 4;
+
+  // Square it up into a min-cost problem: real columns, then one "nothing" column per row.
+  // cost = -(FILL + w) for allowed pairs, 0 for "nothing", FORBIDDEN otherwise.
+  const cols = m + n;
+  const cost = (i, j) => {
+    if (j >= m) return 0;
+    const w = weights[i][j];
+    return Number.isFinite(w) ? -(FILL + w) : FORBIDDEN;
+  };
+
+  // Classic potentials formulation, 1-indexed (row 0 / col 0 are sentinels).
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(cols + 1);
+  const p = new Int32Array(cols + 1); // col -> row
+  const way = new Int32Array(cols + 1);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(cols + 1).fill(Infinity);
+    const used = new Uint8Array(cols + 1);
+
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= cols; j++) {
+        if (used[j]) continue;
+        const cur = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= cols; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const out = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    const i = p[j];
+    if (i && Number.isFinite(weights[i - 1][j - 1])) out[i - 1] = j - 1;
+  }
+  return out;
+}
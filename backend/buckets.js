@@ -0,0 +1,115 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import path from "path";
+
+// ===============================
+// Color buckets (perceptual, data-driven)
+// ===============================
+// Bucket sets live in bucketSets.json. Each set has:
+// - order: pipeline priority (who gets an album first when two colors want it)
+// - display_order: how the frontend lays the grid out
+// - buckets: { id: { label, display, neutral } }
+// - rules: first match wins; each rule is a box in OKLCH space:
+//   minL/maxL (0..1), minC/maxC (chroma, ~0..0.37), hue: [from, to) in degrees (wraps if from > to).
+//   min is inclusive, max is exclusive, missing = unbounded.
+// A color that matches no rule is simply not in that set (e.g. a muddy brown in Pastel / Neon).
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RAW = JSON.parse(readFileSync(path.join(__dirname, "bucketSets.json"), "utf8"));
+
+export const BUCKET_SETS = new Map(RAW.sets.map((s) => [s.id, s]));
+export const DEFAULT_BUCKET_SET = BUCKET_SETS.get(RAW.default);
+
+/**
+ * getBucketSet(id)
+ * - Unknown or missing ids fall back to the default set.
+ */
+export function getBucketSet(id) {
+  return BUCKET_SETS.get(id) || DEFAULT_BUCKET_SET;
+}
+
+/**
+ * describeBucketSet(set)
+ * - The public shape sent to the frontend (no rules).
+ */
+export function describeBucketSet(set) {
+  return {
+    id: set.id,
+    label: set.label,
+    description: set.description,
+    order: set.order,
+    display_order: set.display_order,
+    buckets: set.order.map((id) => ({
+      id,
+      label: set.buckets[id].label,
+      display: set.buckets[id].display,
+      neutral: !!set.buckets[id].neutral,
+    })),
+  };
+}
+
+/**
+ * isNeutralBucket(set, bucket)
+ * - Neutral buckets (white/grey/black/beige) lose to a big enough chromatic area on a cover.
+ */
+export function isNeutralBucket(set, bucket) {
+  return !!set.buckets[bucket]?.neutral;
+}
+
+function srgbToLinear(c) {
+  const x = c / 255;
+  return x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * hexToOklch(hex)
+ * - "#RRGGBB" -> { L, C, h } in OKLCH (Björn Ottosson's OKLab, polar form).
+ * - L: 0..1 perceived lightness, C: chroma (0 = grey), h: hue degrees 0..360.
+ * - Why OKLCH: equal hue steps look like equal color changes, unlike HSV,
+ *   and L tracks how dark a color *looks* (navy stays blue, it isn't just "dark").
+ */
+export function hexToOklch(hex) {
+  const n = parseInt(hex.replace("#", ""), 16);
+  const r = srgbToLinear((n >> 16) & 255);
+  const g = srgbToLinear((n >> 8) & 255);
+  const b = srgbToLinear(n & 255);
+
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  const L = 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s;
+
+  const C = Math.hypot(A, B);
+  let h = (Math.atan2(B, A) * 180) / Math.PI;
+  if (h < 0) h += 360;
+  return { L, C, h };
+}
+
+function inHue(h, [from, to]) {
+  return from <= to ? h >= from && h < to : h >= from || h < to;
+}
+
+function ruleMatches(rule, { L, C, h }) {
+  if (rule.minL != null && L < rule.minL) return false;
+  if (rule.maxL != null && L >= rule.maxL) return false;
+  if (rule.minC != null && C < rule.minC) return false;
+  if (rule.maxC != null && C >= rule.maxC) return false;
+  if (rule.hue && !inHue(h, rule.hue)) return false;
+  return true;
+}
+
+/**
+ * classifyHex(hex, set)
+ * - Returns the bucket id for a color in the given set, or null if no rule matches.
+ */
+export function classifyHex(hex, set = DEFAULT_BUCKET_SET) {
+  if (!hex) return null;
+  const lch = hexToOklch(hex);
+  for (const rule of set.rules) {
+    if (ruleMatches(rule, lch)) return rule.bucket;
+  }
+  return null;
+}
@@ -0,0 +1,421 @@
+import express from "express";
+import sharp from "sharp";
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import { fileURLToPath, pathToFileURL } from "url";
+import path from "path";
+
+// ===============================
+// Local Spotify stand-in (demo mode)
+// ===============================
+// Serves the slice of the Spotify accounts + Web API that the backend uses,
+// backed by a fixture library, plus an image host for the album covers.
+// Run standalone with `node demo/mockSpotify.js`, or let `npm run demo` start it.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LIBRARY = path.join(__dirname, "fixtures", "library.json");
+
+/**
+ * loadLibrary(file)
+ * - Reads the fixture library JSON (see fixtures/library.json for the shape).
+ */
+export function loadLibrary(file = DEFAULT_LIBRARY) {
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+/**
+ * coverSvg(cover, size)
+ * - Renders a fixture cover ([[hex, share], ...]) as horizontal color bands,
+ *   with a disc of the second color so the art isn't just stripes.
+ * - Shares are the rough pixel proportions, so color analysis has a known answer.
+ */
+function coverSvg(cover, size) {
+  const parts = [];
+  let y = 0;
+  for (const [hex, share] of cover) {
+    const h = Math.round(share * size);
+    parts.push(`<rect x="0" y="${y}" width="${size}" height="${h + 1}" fill="${hex}"/>`);
+    y += h;
+  }
+  if (cover.length > 1) {
+    const [accent, share] = cover[1];
+    const r = Math.round(size * Math.sqrt(share) * 0.18);
+    parts.push(`<circle cx="${size * 0.7}" cy="${size * 0.3}" r="${r}" fill="${accent}"/>`);
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">${parts.join("")}</svg>`;
+}
+
+/**
+ * createMockSpotify({ origin, library, tokenTtl, rateLimit })
+ * - Returns an express app. `origin` is the public base URL used for cover links.
+ * - tokenTtl (seconds) can be lowered to exercise the refresh-token path.
+ * - rateLimit (Web API calls per second, app-wide) makes the stand-in answer 429 with
+ *   Retry-After like Spotify does; 0 disables it.
+ */
+export function createMockSpotify({ origin, library = loadLibrary(), tokenTtl = 3600, rateLimit = 0 }) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const artistsById = new Map(library.artists.map((a) => [a.id, a]));
+  const albumsById = new Map(library.albums.map((a) => [a.id, a]));
+  const tracksById = new Map(library.tracks.map((t) => [t.id, t]));
+  const playlistsById = new Map((library.playlists || []).map((p) => [p.id, p]));
+
+  const CODES = new Map(); // code -> { challenge, redirectUri, scope }
+  const TOKENS = new Map(); // access token -> { expiresAt, scope }
+  const REFRESH = new Map(); // refresh token -> scope
+  const COVERS = new Map(); // albumId -> PNG buffer
+  const WINDOW = { second: 0, count: 0 };
+
+  // ---------- shape helpers ----------
+
+  function artistRef(id) {
+    const a = artistsById.get(id);
+    return { id, name: a?.name || "Unknown", type: "artist" };
+  }
+
+  function albumObject(album) {
+    return {
+      id: album.id,
+      name: album.name,
+      album_type: album.album_type,
+      total_tracks: album.total_tracks,
+      release_date: album.release_date,
+      artists: album.artist_ids.map(artistRef),
+      images: [
+        { url: `${origin}/covers/${album.id}.png?size=640`, width: 640, height: 640 },
+        { url: `${origin}/covers/${album.id}.png?size=300`, width: 300, height: 300 },
+      ],
+    };
+  }
+
+  function trackObject(track) {
+    const album = albumsById.get(track.album_id);
+    return {
+      id: track.id,
+      uri: `spotify:track:${track.id}`,
+      name: track.name,
+      explicit: !!track.explicit,
+      duration_ms: track.duration_ms,
+      artists: album.artist_ids.map(artistRef),
+      album: albumObject(album),
+    };
+  }
+
+  function page(req, all, mapItem, maxLimit = 50) {
+    const limit = Math.max(1, Math.min(maxLimit, parseInt(req.query.limit || "20", 10) || 20));
+    const offset = Math.max(0, parseInt(req.query.offset || "0", 10) || 0);
+    const items = all.slice(offset, offset + limit).map(mapItem);
+    return { items, limit, offset, total: all.length, next: offset + limit < all.length ? "more" : null };
+  }
+
+  // Tokens carry the scopes the login asked for, so missing scopes fail like on Spotify.
+  function issueTokens(scope) {
+    const access = `demo-at-${crypto.randomBytes(12).toString("hex")}`;
+    const refresh = `demo-rt-${crypto.randomBytes(12).toString("hex")}`;
+    TOKENS.set(access, { expiresAt: Date.now() + tokenTtl * 1000, scope });
+    REFRESH.set(refresh, scope);
+    return {
+      access_token: access,
+      token_type: "Bearer",
+      expires_in: tokenTtl,
+      refresh_token: refresh,
+      scope,
+    };
+  }
+
+  // ---------- accounts ----------
+
+  // Auto-approves: immediately redirects back with a code (and the caller's state).
+  app.get("/authorize", (req, res) => {
+    const redirectUri = (req.query.redirect_uri || "").toString();
+    if (!redirectUri) return res.status(400).send("Missing redirect_uri");
+
+    const code = crypto.randomBytes(16).toString("hex");
+    CODES.set(code, {
+      challenge: req.query.code_challenge ? req.query.code_challenge.toString() : null,
+      redirectUri,
+      scope: (req.query.scope || "").toString(),
+    });
+
+    const back = new URL(redirectUri);
+    back.searchParams.set("code", code);
+    if (req.query.state) back.searchParams.set("state", req.query.state.toString());
+    res.redirect(back.toString());
+  });
+
+  app.post("/api/token", (req, res) => {
+    const grant = req.body.grant_type;
+
+    if (grant === "authorization_code") {
+      const entry = CODES.get(req.body.code);
+      CODES.delete(req.body.code);
+      if (!entry || entry.redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "Invalid authorization code" });
+      }
+      if (entry.challenge) {
+        const expected = crypto
+          .createHash("sha256")
+          .update(req.body.code_verifier || "")
+          .digest("base64url");
+        if (expected !== entry.challenge) {
+          return res.status(400).json({ error: "invalid_grant", error_description: "code_verifier was incorrect" });
+        }
+      }
+      return res.json(issueTokens(entry.scope));
+    }
+
+    if (grant === "refresh_token") {
+      if (!REFRESH.has(req.body.refresh_token)) {
+        return res.status(400).json({ error: "invalid_grant", error_description: "Invalid refresh token" });
+      }
+      const scope = REFRESH.get(req.body.refresh_token);
+      REFRESH.delete(req.body.refresh_token);
+      return res.json(issueTokens(scope));
+    }
+
+    res.status(400).json({ error: "unsupported_grant_type" });
+  });
+
+  // ---------- covers ----------
+
+  app.get("/covers/:file", async (req, res) => {
+    const id = req.params.file.replace(/\.png$/, "");
+    const album = albumsById.get(id);
+    if (!album) return res.status(404).send("Not found");
+
+    const size = req.query.size === "300" ? 300 : 640;
+    const key = `${id}:${size}`;
+    if (!COVERS.has(key)) {
+      COVERS.set(key, await sharp(Buffer.from(coverSvg(album.cover, size))).png().toBuffer());
+    }
+    res.setHeader("Content-Type", "image/png");
+    res.setHeader("Cache-Control", "public, max-age=86400");
+    res.send(COVERS.get(key));
+  });
+
+  // ---------- Web API ----------
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    if (rateLimit > 0) {
+      const second = Math.floor(Date.now() / 1000);
+      if (second !== WINDOW.second) {
+        WINDOW.second = second;
+        WINDOW.count = 0;
+      }
+      if (++WINDOW.count > rateLimit) {
+        res.setHeader("Retry-After", "1");
+        return res.status(429).json({ error: { status: 429, message: "API rate limit exceeded" } });
+      }
+    }
+
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const entry = TOKENS.get(token);
+    if (!entry || Date.now() > entry.expiresAt) {
+      return res.status(401).json({ error: { status: 401, message: "The access token expired" } });
+    }
+    req.scopes = new Set(entry.scope.split(" ").filter(Boolean));
+    next();
+  });
+
+  // Write endpoints answer 403 like Spotify when the login didn't grant `scope`.
+  const requireScope = (scope) => (req, res, next) =>
+    req.scopes.has(scope)
+      ? next()
+      : res.status(403).json({ error: { status: 403, message: "Insufficient client scope" } });
+
+  api.get("/me", (req, res) => res.json(library.user));
+
+  api.get("/tracks", (req, res) => {
+    const ids = (req.query.ids || "").toString().split(",").filter(Boolean).slice(0, 50);
+    res.json({ tracks: ids.map((id) => (tracksById.has(id) ? trackObject(tracksById.get(id)) : null)) });
+  });
+
+  api.get("/me/top/tracks", (req, res) => {
+    const range = (req.query.time_range || "medium_term").toString();
+    const ids = library.top_tracks[range] || [];
+    res.json(page(req, ids, (id) => trackObject(tracksById.get(id))));
+  });
+
+  api.get("/me/top/artists", (req, res) => {
+    const range = (req.query.time_range || "medium_term").toString();
+    const ids = library.top_artists[range] || [];
+    res.json(
+      page(req, ids, (id) => ({ ...artistRef(id), genres: artistsById.get(id)?.genres || [] }))
+    );
+  });
+
+  api.get("/me/albums", (req, res) => {
+    res.json(
+      page(req, library.saved_albums, (s) => ({
+        added_at: s.added_at,
+        album: albumObject(albumsById.get(s.album_id)),
+      }))
+    );
+  });
+
+  api.get("/me/tracks", (req, res) => {
+    res.json(
+      page(req, library.liked_tracks || [], (s) => ({
+        added_at: s.added_at,
+        track: trackObject(tracksById.get(s.track_id)),
+      }))
+    );
+  });
+
+  api.get("/me/playlists", (req, res) => {
+    res.json(
+      page(req, library.playlists || [], (p) => ({
+        id: p.id,
+        name: p.name,
+        owner: { id: p.owner_id, type: "user" },
+        public: false,
+        collaborative: false,
+        tracks: { href: `${origin}/v1/playlists/${p.id}/tracks`, total: p.track_ids.length },
+      }))
+    );
+  });
+
+  api.get("/playlists/:id/tracks", (req, res) => {
+    const playlist = playlistsById.get(req.params.id);
+    if (!playlist) return res.status(404).json({ error: { status: 404, message: "Not found" } });
+    res.json(
+      page(
+        req,
+        playlist.track_ids,
+        (id) => ({ added_at: "2024-01-01T12:00:00Z", track: trackObject(tracksById.get(id)) }),
+        100
+      )
+    );
+  });
+
+  api.get("/albums", (req, res) => {
+    const ids = (req.query.ids || "").toString().split(",").filter(Boolean).slice(0, 20);
+    res.json({
+      albums: ids.map((id) => {
+        const album = albumsById.get(id);
+        if (!album) return null;
+        const items = library.tracks
+          .filter((t) => t.album_id === id)
+          .map((t) => ({
+            id: t.id,
+            uri: `spotify:track:${t.id}`,
+            name: t.name,
+            explicit: !!t.explicit,
+            duration_ms: t.duration_ms,
+          }));
+        return { ...albumObject(album), tracks: { items, total: items.length, limit: 50, offset: 0 } };
+      }),
+    });
+  });
+
+  // ---------- playlist writes (kept in memory; created playlists show up in /me/playlists) ----------
+
+  api.post("/users/:id/playlists", requireScope("playlist-modify-private"), express.json(), (req, res) => {
+    if (req.params.id !== library.user.id) {
+      return res.status(403).json({ error: { status: 403, message: "You cannot create a playlist for another user" } });
+    }
+    if (!req.body?.name) return res.status(400).json({ error: { status: 400, message: "Missing required field: name" } });
+
+    const id = `demo-pl-${crypto.randomBytes(6).toString("hex")}`;
+    const playlist = {
+      id,
+      name: req.body.name,
+      description: req.body.description || "",
+      owner_id: library.user.id,
+      track_ids: [],
+      cover: null,
+    };
+    library.playlists = [...(library.playlists || []), playlist];
+    playlistsById.set(id, playlist);
+
+    res.status(201).json({
+      id,
+      name: playlist.name,
+      description: playlist.description,
+      public: !!req.body.public,
+      owner: { id: library.user.id, type: "user" },
+      uri: `spotify:playlist:${id}`,
+      external_urls: { spotify: `https://open.spotify.com/playlist/${id}` },
+      tracks: { total: 0 },
+    });
+  });
+
+  api.post("/playlists/:id/tracks", requireScope("playlist-modify-private"), express.json(), (req, res) => {
+    const playlist = playlistsById.get(req.params.id);
+    if (!playlist) return res.status(404).json({ error: { status: 404, message: "Not found" } });
+    const uris = Array.isArray(req.body?.uris) ? req.body.uris : [];
+    if (!uris.length || uris.length > 100) {
+      return res.status(400).json({ error: { status: 400, message: "Between 1 and 100 uris required" } });
+    }
+
+    for (const uri of uris) {
+      const id = String(uri).replace(/^spotify:track:/, "");
+      if (!tracksById.has(id)) return res.status(400).json({ error: { status: 400, message: `Invalid uri ${uri}` } });
+      playlist.track_ids.push(id);
+    }
+    res.status(201).json({ snapshot_id: crypto.randomBytes(8).toString("hex") });
+  });
+
+  api.put(
+    "/playlists/:id/images",
+    requireScope("ugc-image-upload"),
+    express.text({ type: "image/jpeg", limit: "512kb" }),
+    (req, res) => {
+      const playlist = playlistsById.get(req.params.id);
+      if (!playlist) return res.status(404).json({ error: { status: 404, message: "Not found" } });
+
+      const b64 = typeof req.body === "string" ? req.body : "";
+      const jpeg = Buffer.from(b64, "base64");
+      if (b64.length > 256 * 1024) return res.status(413).json({ error: { status: 413, message: "Image too large" } });
+      if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+        return res.status(400).json({ error: { status: 400, message: "Image must be a base64 JPEG" } });
+      }
+      playlist.cover = jpeg;
+      res.status(202).end();
+    }
+  );
+
+  api.get("/artists", (req, res) => {
+    const ids = (req.query.ids || "").toString().split(",").filter(Boolean).slice(0, 50);
+    res.json({
+      artists: ids.map((id) =>
+        artistsById.has(id) ? { ...artistRef(id), genres: artistsById.get(id).genres || [] } : null
+      ),
+    });
+  });
+
+  api.get("/artists/:id/albums", (req, res) => {
+    const groups = (req.query.include_groups || "album,single,compilation").toString().split(",");
+    const albums = library.albums.filter(
+      (a) => a.artist_ids.includes(req.params.id) && groups.includes(a.album_type)
+    );
+    res.json(page(req, albums, albumObject));
+  });
+
+  app.use("/v1", api);
+  return app;
+}
+
+/**
+ * startMockSpotify({ port, host })
+ * - Starts the stand-in and resolves with { server, origin } once it listens.
+ */
+export function startMockSpotify({ port = 8001, host = "127.0.0.1", ...opts } = {}) {
+  const origin = `http://${host}:${port}`;
+  const app = createMockSpotify({ origin, ...opts });
+  return new Promise((resolve) => {
+    const server = app.listen(port, host, () => resolve({ server, origin }));
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = parseInt(process.env.DEMO_PORT || "8001", 10);
+  const tokenTtl = parseInt(process.env.DEMO_TOKEN_TTL || "3600", 10);
+  const rateLimit = parseInt(process.env.DEMO_RATE_LIMIT || "0", 10);
+  startMockSpotify({ port, tokenTtl, rateLimit }).then(({ origin }) => {
+    console.log(`Mock Spotify running: ${origin} (API at ${origin}/v1)`);
+  });
+}
@@ -0,0 +1,118 @@
+import sharp from "sharp";
+import { EXPORT_FONT } from "../shared/exportLayout.js";
+
+// ===============================
+// Export image (server-side render)
+// ===============================
+// Paints a layout from shared/exportLayout.js the way the browser's buildPng does: every
+// rect, stroke and text goes into one SVG, then the covers are composited on top with sharp.
+// The same layout and cover bytes always produce the same PNG bytes (no timestamps or
+// metadata are written), so responses can be cached and compared.
+
+const round = (v) => +v.toFixed(2);
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function textAttrs(item) {
+  const alpha = item.alpha < 1 ? ` fill-opacity="${item.alpha}"` : "";
+  const font = `font-family="${escapeXml(EXPORT_FONT)}" font-weight="${item.weight}" font-size="${item.px}"`;
+  return `${font} fill="${item.fill}"${alpha}`;
+}
+
+/**
+ * measureTexts(texts)
+ * - Actual rendered widths of text items in this server's fonts, in one render: each text
+ *   gets its own band of an SVG, then the rightmost lit column of each band is found.
+ * - The layout fits text with estimated widths; this is what lets the renderer squeeze a
+ *   wider real font back into maxWidth.
+ */
+async function measureTexts(texts) {
+  if (!texts.length) return [];
+  const width = Math.ceil(Math.max(...texts.map((t) => t.maxWidth)) * 2) + 16;
+  const bands = [];
+  let y = 0;
+  for (const t of texts) {
+    const h = Math.ceil(t.px * 1.6);
+    bands.push({ top: y, h, baseline: y + Math.ceil(t.px * 1.2) });
+    y += h;
+  }
+
+  const rows = texts.map((t, i) => {
+    const attrs = textAttrs({ ...t, fill: "#ffffff", alpha: 1 });
+    return `<text x="0" y="${bands[i].baseline}" ${attrs}>${escapeXml(t.text)}</text>`;
+  });
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${y}">` +
+    `<rect width="${width}" height="${y}" fill="#000000"/>${rows.join("")}</svg>`;
+  const { data, info } = await sharp(Buffer.from(svg))
+    .removeAlpha()
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return bands.map(({ top, h }) => {
+    for (let x = info.width - 1; x >= 0; x--) {
+      for (let row = top; row < top + h && row < info.height; row++) {
+        if (data[(row * info.width + x) * info.channels] > 32) return x + 1;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * renderExportPng(layout, covers)
+ * - layout: { width, height, items } from layoutExport() or layoutDiffExport().
+ * - covers: Map(src -> image Buffer | null); missing covers leave their outlined box empty.
+ * - Resolves with a PNG Buffer.
+ */
+export async function renderExportPng(layout, covers) {
+  const texts = layout.items.filter((it) => it.type === "text" && it.text);
+  const widths = await measureTexts(texts);
+  const actual = new Map(texts.map((t, i) => [t, widths[i]]));
+
+  const parts = [];
+  const composites = [];
+
+  const box = (it) => `x="${round(it.x)}" y="${round(it.y)}" width="${round(it.w)}" height="${round(it.h)}"`;
+
+  for (const it of layout.items) {
+    if (it.type === "rect") {
+      parts.push(`<rect ${box(it)} fill="${it.fill}"/>`);
+    } else if (it.type === "stroke") {
+      parts.push(`<rect ${box(it)} fill="none" stroke="${it.stroke}" stroke-width="${it.lineWidth}"/>`);
+    } else if (it.type === "text" && it.text) {
+      const w = actual.get(it);
+      // like canvas fillText's maxWidth: squeeze, never overflow
+      const squeeze = w > it.maxWidth ? ` scale(${round(it.maxWidth / w)} 1)` : "";
+      const at = `translate(${round(it.x)} ${round(it.y)})${squeeze}`;
+      parts.push(`<text transform="${at}" ${textAttrs(it)}>${escapeXml(it.text)}</text>`);
+    } else if (it.type === "cover") {
+      const bytes = covers.get(it.src);
+      if (!bytes) continue;
+      try {
+        let input = await sharp(bytes)
+          .resize(it.size, it.size, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+          .ensureAlpha()
+          .png()
+          .toBuffer();
+        // faded covers (canvas globalAlpha): scale the alpha channel, in a second pass
+        if (it.alpha < 1) input = await sharp(input).linear([1, 1, 1, it.alpha], [0, 0, 0, 0]).png().toBuffer();
+        composites.push({ input, left: it.x, top: it.y });
+      } catch {
+        // unreadable image: leave the box empty, like a failed load in the browser
+      }
+    }
+  }
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}">` +
+    `${parts.join("")}</svg>`;
+  return sharp(Buffer.from(svg)).composite(composites).png({ compressionLevel: 9 }).toBuffer();
+}
@@ -0,0 +1,122 @@
+// ===============================
+// Content filters
+// ===============================
+// Request-level rules for which albums may appear at all, on top of isOneTrackAlbum:
+//   no_compilations=1        drop compilations
+//   min_tracks=N             drop EPs/singles (album_type "single") with fewer than N tracks
+//   no_explicit=1            drop albums with any explicit track
+//   genres=a,b               keep only albums whose artists have a matching genre
+//   exclude_genres=a,b       drop albums whose artists have a matching genre
+//   min_year=YYYY            drop albums released before YYYY
+// Genre terms match case-insensitively as substrings ("rock" matches "indie rock").
+// Explicitness and genres aren't on every album object; the candidate universe looks them
+// up, and only when a filter needs them.
+
+const MAX_GENRE_TERMS = 12;
+
+/**
+ * filtersError(message)
+ * - Bad filter parameter; carries status 400 like the route errors.
+ */
+function filtersError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const flag = (v) => v === true || v === "1" || v === "true";
+
+function genreTerms(value, name) {
+  const terms = [
+    ...new Set(
+      (Array.isArray(value) ? value : String(value || "").split(","))
+        .map((t) => String(t).trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  if (terms.length > MAX_GENRE_TERMS) throw filtersError(`At most ${MAX_GENRE_TERMS} ${name}`);
+  return terms.sort();
+}
+
+function wholeNumber(value, name, min, max) {
+  if (value === undefined || value === null || value === "") return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw filtersError(`${name} must be a whole number ${min}–${max}`);
+  return n;
+}
+
+/**
+ * parseFilters(params)
+ * - Reads the parameters above from a query object (or a JSON body with the same keys).
+ * - Returns { noCompilations, minTracks, noExplicit, genres, excludeGenres, minYear, id },
+ *   where `id` is a canonical string for cache keys ("none" when nothing is set).
+ * - Throws (status 400) for malformed values.
+ */
+export function parseFilters(params = {}) {
+  const f = {
+    noCompilations: flag(params.no_compilations),
+    minTracks: wholeNumber(params.min_tracks, "min_tracks", 0, 100),
+    noExplicit: flag(params.no_explicit),
+    genres: genreTerms(params.genres, "genres"),
+    excludeGenres: genreTerms(params.exclude_genres, "exclude_genres"),
+    minYear: wholeNumber(params.min_year, "min_year", 0, 9999),
+  };
+
+  const parts = [];
+  if (f.noCompilations) parts.push("nc");
+  if (f.minTracks) parts.push(`mt${f.minTracks}`);
+  if (f.noExplicit) parts.push("ne");
+  if (f.genres.length) parts.push(`g=${f.genres.join("|")}`);
+  if (f.excludeGenres.length) parts.push(`xg=${f.excludeGenres.join("|")}`);
+  if (f.minYear) parts.push(`y${f.minYear}`);
+  f.id = parts.length ? parts.join(";") : "none";
+  return f;
+}
+
+export const NO_FILTERS = parseFilters();
+
+/**
+ * describeFilters(filters)
+ * - The filters as the query parameters that produce them (for meta.filters).
+ */
+export function describeFilters(f) {
+  return {
+    no_compilations: f.noCompilations,
+    min_tracks: f.minTracks,
+    no_explicit: f.noExplicit,
+    genres: f.genres,
+    exclude_genres: f.excludeGenres,
+    min_year: f.minYear,
+  };
+}
+
+/** needsGenres(filters) / needsExplicit(filters): what passesFilters will look at. */
+export const needsGenres = (f) => f.genres.length > 0 || f.excludeGenres.length > 0;
+export const needsExplicit = (f) => f.noExplicit;
+
+/**
+ * passesFilters(album, filters, genres)
+ * - album: a candidate ({ album_type, total_tracks, release_year, explicit }).
+ *   Unknown explicitness (null) passes; the universe resolves it first when it matters.
+ * - genres: the album's artists' genres (lowercase), needed only for genre filters.
+ */
+export function passesFilters(album, f, genres = []) {
+  if (f.noCompilations && album.album_type === "compilation") return false;
+  if (f.minTracks && album.album_type === "single" && (album.total_tracks || 0) < f.minTracks) return false;
+  if (f.noExplicit && album.explicit === true) return false;
+  if (f.minYear && !(album.release_year >= f.minYear)) return false;
+
+  const has = (term) => genres.some((g) => g.includes(term));
+  if (f.excludeGenres.some(has)) return false;
+  if (f.genres.length && !f.genres.some(has)) return false;
+  return true;
+}
+
+/**
+ * releaseYear(releaseDate)
+ * - "2019-04-12" / "2019-04" / "2019" -> 2019 (null if missing).
+ */
+export function releaseYear(releaseDate) {
+  const y = parseInt(String(releaseDate || "").slice(0, 4), 10);
+  return Number.isFinite(y) ? y : null;
+}
@@ -1,7 +1,70 @@
 import express from "express";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
-import sharp from "sharp";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { openFileDirStore, openFileStore } from "./store.js";
+import { solveAssignment } from "./assignment.js";
+import { createWorkerPool } from "./workerPool.js";
+import { renderPlaylistCover } from "./playlistCover.js";
+import { renderExportPng } from "./exportImage.js";
+import {
+  DEFAULT_EXPORT_PRESET,
+  EXPORT_PRESETS,
+  exportPreset,
+  layoutDiffExport,
+  layoutExport,
+  timeRangeLabel,
+} from "../shared/exportLayout.js";
+import {
+  NO_FILTERS,
+  describeFilters,
+  needsExplicit,
+  needsGenres,
+  parseFilters,
+  passesFilters,
+  releaseYear,
+} from "./filters.js";
+import { addSnapshot, snapshotFromBundle, snapshotSummary } from "./snapshots.js";
+import { diffPalettes } from "./paletteDiff.js";
+import {
+  createShare,
+  isExpired,
+  publicShare,
+  renderGonePage,
+  renderSharePage,
+  sharesError,
+} from "./shares.js";
+import {
+  compileOverrides,
+  emptyOverrides,
+  excludeAlbum,
+  excludeArtist,
+  includeAlbum,
+  includeArtist,
+  pinAlbum,
+  unpinColor,
+} from "./overrides.js";
+import {
+  countPlaysInWindow,
+  emptyHistory,
+  mergeStreamingHistory,
+  parseHistoryWindow,
+  summarizeHistory,
+  topAlbumsInWindow,
+} from "./streamingHistory.js";
+import {
+  BUCKET_SETS,
+  DEFAULT_BUCKET_SET,
+  classifyHex,
+  describeBucketSet,
+  getBucketSet,
+  hexToOklch,
+  isNeutralBucket,
+} from "./buckets.js";
+import { startMockSpotify } from "./demo/mockSpotify.js";
 
 dotenv.config();
 
@@ -13,53 +76,523 @@ app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "http://127.0.0.1:5173");
   res.header("Access-Control-Allow-Credentials", "true");
   res.header("Access-Control-Allow-Headers", "Content-Type");
-  res.header("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.header("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
 
 const PORT = process.env.PORT || 8000;
-const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
-const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
-const REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI;
+
+// Demo mode (`npm run demo`): talk to the local Spotify stand-in in demo/ instead of Spotify.
+// SPOTIFY_ACCOUNTS_BASE / SPOTIFY_API_BASE can also point at a stand-in started separately.
+const DEMO_MODE = process.argv.includes("--demo") || process.env.DEMO_MODE === "1";
+const DEMO_PORT = parseInt(process.env.DEMO_PORT || "8001", 10);
+const DEMO_ORIGIN = `http://127.0.0.1:${DEMO_PORT}`;
+
+const SPOTIFY_ACCOUNTS_BASE =
+  process.env.SPOTIFY_ACCOUNTS_BASE || (DEMO_MODE ? DEMO_ORIGIN : "https://accounts.spotify.com");
+const SPOTIFY_API_BASE =
+  process.env.SPOTIFY_API_BASE || (DEMO_MODE ? `${DEMO_ORIGIN}/v1` : "https://api.spotify.com/v1");
+
+const CLIENT_ID = process.env.SPOTIFY_CLIENT_ID || (DEMO_MODE ? "chromafm-demo" : undefined);
+const CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET || (DEMO_MODE ? "chromafm-demo" : undefined);
+const REDIRECT_URI =
+  process.env.SPOTIFY_REDIRECT_URI ||
+  (DEMO_MODE ? `http://127.0.0.1:${PORT}/auth/callback` : undefined);
 
 if (!CLIENT_ID || !CLIENT_SECRET || !REDIRECT_URI) {
   throw new Error("Missing env vars. Check backend/.env");
 }
 
-const COLOR_ORDER = [
-  "red",
-  "orange",
-  "yellow",
-  "green",
-  "blue",
-  "purple",
-  "pink",
-  "white",
-  "grey",
-  "black",
-];
+// Persistent state (analysis cache, etc.) lives here; override with CHROMAFM_DATA_DIR.
+// Demo mode keeps its own directory so fixture data never mixes with real users'.
+const DATA_DIR =
+  process.env.CHROMAFM_DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "data", DEMO_MODE ? "demo" : "");
+
+// ===============================
+// Sessions (server-side token store)
+// ===============================
+
+// The browser only ever holds an opaque session ID cookie.
+// Sessions = Map(sid -> { id, accessToken, refreshToken, expiresAt, createdAt, lastSeen, refreshing })
+const SESSIONS = new Map();
+const SESSION_COOKIE = "chromafm_sid";
+const SESSION_IDLE_TTL = 30 * 24 * 60 * 60 * 1000;
+const TOKEN_REFRESH_SKEW = 60_000;
+
+/**
+ * authError(message)
+ * - Error tagged with HTTP 401 so routes can tell "log in again" apart from real failures.
+ */
+function authError(message) {
+  const err = new Error(message);
+  err.status = 401;
+  return err;
+}
+
+/**
+ * requestSpotifyToken(params)
+ * - POSTs to the Spotify accounts token endpoint (client credentials in Basic auth).
+ * - Shared by the authorization_code exchange and the refresh_token grant.
+ * - Returns { ok, status, data } instead of throwing so callers pick the error shape.
+ */
+async function requestSpotifyToken(params) {
+  const tokenRes = await fetch(`${SPOTIFY_ACCOUNTS_BASE}/api/token`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: "Basic " + Buffer.from(CLIENT_ID + ":" + CLIENT_SECRET).toString("base64"),
+    },
+    body: new URLSearchParams(params),
+  });
+  const data = await tokenRes.json().catch(() => null);
+  return { ok: tokenRes.ok, status: tokenRes.status, data };
+}
+
+/**
+ * createSession(tokenData)
+ * - Stores access/refresh tokens server-side and returns the new session.
+ * - expires_in is in seconds (Spotify issues 1h tokens).
+ */
+function createSession(tokenData) {
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(32).toString("base64url"),
+    accessToken: tokenData.access_token,
+    refreshToken: tokenData.refresh_token || null,
+    expiresAt: now + (tokenData.expires_in || 3600) * 1000,
+    createdAt: now,
+    lastSeen: now,
+    refreshing: null,
+  };
+  SESSIONS.set(session.id, session);
+  return session;
+}
+
+/**
+ * getSession(req)
+ * - Looks up the session from the cookie, or null if missing / idle too long.
+ */
+function getSession(req) {
+  const sid = req.cookies?.[SESSION_COOKIE];
+  if (!sid) return null;
+  const session = SESSIONS.get(sid);
+  if (!session) return null;
+  if (Date.now() - session.lastSeen > SESSION_IDLE_TTL) {
+    SESSIONS.delete(sid);
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+function destroySession(sid) {
+  if (sid) SESSIONS.delete(sid);
+}
+
+/**
+ * refreshSession(session)
+ * - Trades the refresh token for a new access token.
+ * - Concurrent callers share one refresh (Spotify may rotate the refresh token,
+ *   so two parallel refreshes could invalidate each other).
+ * - If Spotify rejects the refresh token the session is dropped and a 401 is thrown.
+ */
+async function refreshSession(session) {
+  if (session.refreshing) return session.refreshing;
+
+  session.refreshing = (async () => {
+    if (!session.refreshToken) {
+      destroySession(session.id);
+      throw authError("Not logged in (session expired). Go to /login");
+    }
+
+    const { ok, status, data } = await requestSpotifyToken({
+      grant_type: "refresh_token",
+      refresh_token: session.refreshToken,
+    });
+
+    if (!ok || !data?.access_token) {
+      // 400 invalid_grant = revoked/expired refresh token: the user has to log in again.
+      if (status === 400 || status === 401) {
+        destroySession(session.id);
+        throw authError("Not logged in (session expired). Go to /login");
+      }
+      throw new Error(`Token refresh failed (${status})`);
+    }
+
+    session.accessToken = data.access_token;
+    if (data.refresh_token) session.refreshToken = data.refresh_token;
+    session.expiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    return session.accessToken;
+  })();
+
+  try {
+    return await session.refreshing;
+  } finally {
+    session.refreshing = null;
+  }
+}
+
+/**
+ * getAccessToken(session)
+ * - Returns a usable access token, refreshing it shortly before it expires.
+ */
+async function getAccessToken(session) {
+  if (!session) throw authError("Not logged in. Go to /login");
+  if (Date.now() < session.expiresAt - TOKEN_REFRESH_SKEW) return session.accessToken;
+  return refreshSession(session);
+}
+
+/**
+ * sessionKey(session)
+ * - Per-user cache key. The session ID survives token refreshes,
+ *   so cached Spotify responses and computed results stay valid after a refresh.
+ */
+function sessionKey(session) {
+  return session ? session.id : "no_session";
+}
+
+// Drop idle sessions so the store doesn't grow forever.
+setInterval(() => {
+  const now = Date.now();
+  for (const [sid, s] of SESSIONS) {
+    if (now - s.lastSeen > SESSION_IDLE_TTL) SESSIONS.delete(sid);
+  }
+}, 10 * 60 * 1000).unref();
+
+// ===============================
+// Login attempts (OAuth state + PKCE)
+// ===============================
+
+// Each /login creates one attempt: a random `state` nonce plus a PKCE code_verifier.
+// The state is also pinned to the browser with a short-lived cookie, so a callback
+// only succeeds in the same browser that started the login (blocks CSRF / login fixation).
+// Attempts = Map(state -> { verifier, createdAt })
+const LOGIN_ATTEMPTS = new Map();
+const LOGIN_STATE_COOKIE = "chromafm_login_state";
+const LOGIN_ATTEMPT_TTL = 10 * 60 * 1000;
+const LOGIN_ATTEMPTS_MAX = 500;
+
+/**
+ * createLoginAttempt()
+ * - Returns { state, challenge } for the authorize URL.
+ * - challenge = base64url(sha256(verifier)) (PKCE "S256" method).
+ */
+function createLoginAttempt() {
+  const state = crypto.randomBytes(24).toString("base64url");
+  const verifier = crypto.randomBytes(64).toString("base64url");
+  const challenge = crypto.createHash("sha256").update(verifier).digest("base64url");
+
+  LOGIN_ATTEMPTS.set(state, { verifier, createdAt: Date.now() });
+  if (LOGIN_ATTEMPTS.size > LOGIN_ATTEMPTS_MAX) {
+    LOGIN_ATTEMPTS.delete(LOGIN_ATTEMPTS.keys().next().value);
+  }
+  return { state, challenge };
+}
+
+/**
+ * consumeLoginAttempt(state, cookieState)
+ * - One-shot: the attempt is deleted whether or not it validates.
+ * - Returns { verifier } on success, or { error } with one of:
+ *   "missing_state" | "state_mismatch" | "unknown_state" | "expired_state"
+ */
+function consumeLoginAttempt(state, cookieState) {
+  if (!state) return { error: "missing_state" };
+
+  const attempt = LOGIN_ATTEMPTS.get(state);
+  LOGIN_ATTEMPTS.delete(state);
+
+  if (!cookieState || cookieState !== state) return { error: "state_mismatch" };
+  if (!attempt) return { error: "unknown_state" };
+  if (Date.now() - attempt.createdAt > LOGIN_ATTEMPT_TTL) return { error: "expired_state" };
+  return { verifier: attempt.verifier };
+}
+
+/**
+ * sendAuthErrorPage(res, status, title, detail)
+ * - Small HTML page for failed logins, with a way back in.
+ */
+function sendAuthErrorPage(res, status, title, detail) {
+  return res.status(status).send(`
+    <h1>ChromaFM</h1>
+    <h2>${escapeHtml(title)}</h2>
+    <p>${escapeHtml(detail)}</p>
+    <p><a href="/login">Try logging in again</a></p>
+  `);
+}
+
+const AUTH_ERROR_TEXT = {
+  missing_state: ["Login link is incomplete", "The callback did not include a login state."],
+  state_mismatch: [
+    "Login was started somewhere else",
+    "This callback does not belong to a login started in this browser.",
+  ],
+  unknown_state: [
+    "Login link already used",
+    "This login attempt was already completed or is no longer known to the server.",
+  ],
+  expired_state: ["Login expired", "This login attempt took too long. Please start again."],
+};
+
+// Drop abandoned login attempts.
+setInterval(() => {
+  const now = Date.now();
+  for (const [state, a] of LOGIN_ATTEMPTS) {
+    if (now - a.createdAt > LOGIN_ATTEMPT_TTL) LOGIN_ATTEMPTS.delete(state);
+  }
+}, 60 * 1000).unref();
 
 // ===============================
 // Rate-limit defenses (Spotify)
 // ===============================
 
-// Cache = Map(key -> { v: responseJSON, t: timestamp })
-// Inflight = Map(key -> Promise) so multiple requests reuse the same fetch.
-const SPOTIFY_CACHE = new Map();
-const SPOTIFY_INFLIGHT = new Map();
-const SPOTIFY_CACHE_TTL = 20_000;
+// ---------- Request scheduler ----------
+// Every outbound Spotify call goes through one queue:
+// - token buckets: one app-wide budget plus one per user, so one big bundle can't starve others
+// - priority: primary top-tracks calls jump ahead of backfill scans, which jump ahead of wide scans
+// - circuit breaker: a 429 pauses *everyone* (Spotify rate-limits per app, not per user),
+//   for at least Retry-After, growing exponentially while 429s keep coming
+const SPOTIFY_PRIORITY = { primary: 0, backfill: 1, wide: 2 };
+const SCHED_MAX_CONCURRENT = 6;
+const SCHED_GLOBAL_RATE = { capacity: 20, perSec: 10 };
+const SCHED_USER_RATE = { capacity: 10, perSec: 4 };
+const SCHED_MAX_ATTEMPTS = 5;
+const SCHED_MAX_BACKOFF = 30_000;
+// Don't make a request wait longer than this for the breaker; fail fast instead.
+const SCHED_MAX_WAIT = 45_000;
+
+const SPOTIFY_QUEUE = []; // jobs sorted by (priority, seq)
+const SPOTIFY_USER_BUCKETS = new Map(); // sessionKey -> bucket
+const SPOTIFY_GLOBAL_BUCKET = makeBucket(SCHED_GLOBAL_RATE);
+const SPOTIFY_BREAKER = { until: 0, strikes: 0 };
+let spotifyRunning = 0;
+let spotifySeq = 0;
+let spotifyPumpTimer = null;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function makeBucket({ capacity, perSec }) {
+  return { tokens: capacity, capacity, perSec, t: Date.now() };
+}
+
+/**
+ * bucketWait(bucket)
+ * - Refills the bucket, then returns ms until one token is available (0 = available now).
+ */
+function bucketWait(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.t) / 1000) * bucket.perSec);
+  bucket.t = now;
+  if (bucket.tokens >= 1) return 0;
+  return Math.ceil(((1 - bucket.tokens) / bucket.perSec) * 1000);
+}
+
+function userBucket(userKey) {
+  let b = SPOTIFY_USER_BUCKETS.get(userKey);
+  if (!b) {
+    b = makeBucket(SCHED_USER_RATE);
+    SPOTIFY_USER_BUCKETS.set(userKey, b);
+  }
+  return b;
+}
+
+/**
+ * rateLimitedError(waitMs)
+ * - 503 for when Spotify has throttled the app for longer than we're willing to hold a request.
+ */
+function rateLimitedError(waitMs) {
+  const err = new Error(
+    `Spotify is rate limiting ChromaFM. Try again in ${Math.ceil(waitMs / 1000)}s.`
+  );
+  err.status = 503;
+  return err;
+}
+
+/**
+ * tripBreaker(retryAfterMs)
+ * - Called on every 429. Pause = max(Retry-After, 500ms * 2^strikes), capped, plus jitter.
+ */
+function tripBreaker(retryAfterMs) {
+  SPOTIFY_BREAKER.strikes = Math.min(SPOTIFY_BREAKER.strikes + 1, 10);
+  const backoff = Math.min(SCHED_MAX_BACKOFF, 500 * 2 ** SPOTIFY_BREAKER.strikes);
+  const pause = Math.max(retryAfterMs, backoff) + Math.floor(Math.random() * 250);
+  SPOTIFY_BREAKER.until = Math.max(SPOTIFY_BREAKER.until, Date.now() + pause);
+
+  // Throttled for longer than anyone should wait: fail the queue now instead of hanging.
+  if (SPOTIFY_BREAKER.until - Date.now() > SCHED_MAX_WAIT) {
+    const err = rateLimitedError(SPOTIFY_BREAKER.until - Date.now());
+    for (const job of SPOTIFY_QUEUE.splice(0)) job.reject(err);
+  }
+}
+
+function pumpSoon(ms) {
+  if (spotifyPumpTimer) return;
+  spotifyPumpTimer = setTimeout(() => {
+    spotifyPumpTimer = null;
+    pumpSpotifyQueue();
+  }, Math.max(10, ms));
+}
+
+/**
+ * pumpSpotifyQueue()
+ * - Starts as many queued jobs as the breaker, concurrency cap and token buckets allow.
+ * - Jobs are scanned in priority order; a user whose bucket is empty is skipped so
+ *   other users' jobs behind it can still run.
+ */
+function pumpSpotifyQueue() {
+  const breakerWait = SPOTIFY_BREAKER.until - Date.now();
+  if (breakerWait > 0) return pumpSoon(breakerWait);
+
+  while (spotifyRunning < SCHED_MAX_CONCURRENT && SPOTIFY_QUEUE.length) {
+    const globalWait = bucketWait(SPOTIFY_GLOBAL_BUCKET);
+    if (globalWait > 0) return pumpSoon(globalWait);
+
+    let idx = -1;
+    let minUserWait = Infinity;
+    for (let i = 0; i < SPOTIFY_QUEUE.length; i++) {
+      const w = bucketWait(userBucket(SPOTIFY_QUEUE[i].userKey));
+      if (w === 0) {
+        idx = i;
+        break;
+      }
+      minUserWait = Math.min(minUserWait, w);
+    }
+    if (idx === -1) return pumpSoon(minUserWait);
+
+    const [job] = SPOTIFY_QUEUE.splice(idx, 1);
+    SPOTIFY_GLOBAL_BUCKET.tokens -= 1;
+    userBucket(job.userKey).tokens -= 1;
+    spotifyRunning += 1;
+
+    job
+      .run()
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        spotifyRunning -= 1;
+        pumpSpotifyQueue();
+      });
+  }
+}
 
 /**
- * tokenKey(accessToken)
- * - Goal: create a stable-ish per-user key without storing the full token.
- * - Implementation: last 12 characters of the access token.
- * - Why: used to avoid cross-user cache collisions, and keeps memory lighter.
+ * scheduleSpotifyCall(userKey, priority, run, signal)
+ * - Queues one attempt of an outbound call; resolves with whatever run() resolves.
+ * - signal (optional): aborting it takes a still-queued job out of the queue.
  */
-function tokenKey(accessToken) {
-  return accessToken ? accessToken.slice(-12) : "no_token";
+function scheduleSpotifyCall(userKey, priority, run, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  const wait = SPOTIFY_BREAKER.until - Date.now();
+  if (wait > SCHED_MAX_WAIT) return Promise.reject(rateLimitedError(wait));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = SPOTIFY_QUEUE.indexOf(job);
+      if (i !== -1) SPOTIFY_QUEUE.splice(i, 1);
+      reject(signal.reason);
+    };
+    const job = {
+      userKey,
+      priority: SPOTIFY_PRIORITY[priority] ?? SPOTIFY_PRIORITY.primary,
+      seq: spotifySeq++,
+      run,
+      resolve: (v) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(v);
+      },
+      reject: (e) => {
+        signal?.removeEventListener("abort", onAbort);
+        reject(e);
+      },
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    // Insert keeping (priority, seq) order.
+    let i = SPOTIFY_QUEUE.length;
+    while (i > 0 && SPOTIFY_QUEUE[i - 1].priority > job.priority) i--;
+    SPOTIFY_QUEUE.splice(i, 0, job);
+    pumpSpotifyQueue();
+  });
+}
+
+/**
+ * spotifyRequest(session, url, priority, signal, init)
+ * - Sends one request through the scheduler and returns the final Response.
+ * - 401: refresh the token once and retry (doesn't count as an attempt).
+ * - 429: trip the breaker (honors Retry-After) and re-queue, up to SCHED_MAX_ATTEMPTS.
+ * - 5xx / network errors: exponential backoff with jitter, same attempt budget.
+ *   Only for GET: a write that may have gone through isn't repeated (no duplicate playlists).
+ * - signal (optional): cancels the queued/in-flight call and stops retrying.
+ * - init (optional): { method, headers, body } for writes (default GET).
+ */
+async function spotifyRequest(session, url, priority, signal, init = {}) {
+  const userKey = sessionKey(session);
+  const idempotent = !init.method || init.method === "GET";
+  let refreshed = false;
+
+  for (let attempt = 1; ; attempt++) {
+    let res;
+    try {
+      res = await scheduleSpotifyCall(
+        userKey,
+        priority,
+        async () =>
+          fetch(url, {
+            ...init,
+            headers: { ...init.headers, Authorization: `Bearer ${await getAccessToken(session)}` },
+            signal,
+          }),
+        signal
+      );
+    } catch (e) {
+      if (e.status || signal?.aborted || !idempotent || attempt >= SCHED_MAX_ATTEMPTS) throw e;
+      await sleep(Math.min(SCHED_MAX_BACKOFF, 400 * 2 ** attempt) + Math.random() * 200);
+      if (signal?.aborted) throw signal.reason;
+      continue;
+    }
+
+    if (res.status === 401 && !refreshed) {
+      refreshed = true;
+      await refreshSession(session);
+      attempt--;
+      continue;
+    }
+
+    if (res.status === 429) {
+      const ra = parseInt(res.headers.get("Retry-After") || "1", 10);
+      tripBreaker((Number.isFinite(ra) ? ra : 1) * 1000);
+      if (attempt >= SCHED_MAX_ATTEMPTS) return res;
+      continue;
+    }
+
+    if (res.status >= 500 && idempotent && attempt < SCHED_MAX_ATTEMPTS) {
+      await sleep(Math.min(SCHED_MAX_BACKOFF, 400 * 2 ** attempt) + Math.random() * 200);
+      if (signal?.aborted) throw signal.reason;
+      continue;
+    }
+
+    SPOTIFY_BREAKER.strikes = 0;
+    return res;
+  }
 }
 
+// Forget idle users' buckets (a full bucket carries no state).
+setInterval(() => {
+  for (const [k, b] of SPOTIFY_USER_BUCKETS) {
+    if (bucketWait(b) === 0 && b.tokens >= b.capacity) SPOTIFY_USER_BUCKETS.delete(k);
+  }
+}, 5 * 60 * 1000).unref();
+
+// ---------- Response cache ----------
+
+// Cache = Map(key -> { v: responseJSON, t: timestamp })
+// Inflight = Map(key -> { p, controller, waiters }) so multiple requests reuse the same fetch.
+const SPOTIFY_CACHE = new Map();
+const SPOTIFY_INFLIGHT = new Map();
+const SPOTIFY_CACHE_TTL = 20_000;
+
 /**
  * spotifyCacheGet(key)
  * - Returns cached value if within TTL, else null.
@@ -88,55 +621,98 @@ function spotifyCacheSet(key, value) {
 }
 
 /**
- * spotifyFetchJson(accessToken, url, cacheKey)
+ * waitInflight(entry, signal)
+ * - Waits on a shared SPOTIFY_INFLIGHT call with the caller's own signal: a caller that gives
+ *   up stops waiting at once, and the call is aborted only when every waiter has given up
+ *   (like waitShared for bundles). A waiter without a signal keeps the call alive.
+ */
+function waitInflight(entry, signal) {
+  entry.waiters += 1;
+  if (!signal) return entry.p;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      entry.waiters -= 1;
+      if (entry.waiters === 0) entry.controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    if (signal.aborted) return leave();
+    signal.addEventListener("abort", leave, { once: true });
+    entry.p.then(resolve, reject).finally(() => signal.removeEventListener("abort", leave));
+  });
+}
+
+/**
+ * spotifyFetchJson(session, url, cacheKey, priority, budget)
  * - The “one wrapper to rule them all” for Spotify requests.
  * - Features:
- *   per-user caching (tokenKey + cacheKey)
- *   inflight dedupe
- *   retry-once for 429 rate limits (uses Retry-After)
+ *   per-user caching (sessionKey + cacheKey)
+ *   inflight dedupe (the shared call runs on its own signal, see waitInflight)
+ *   scheduling, token refresh and 429/5xx retries via spotifyRequest
+ *   budget (optional, see createBudget): each real call is charged; cache hits are free
  */
-async function spotifyFetchJson(accessToken, url, cacheKey) {
-  const k = `${tokenKey(accessToken)}:${cacheKey}`;
+async function spotifyFetchJson(session, url, cacheKey, priority = "primary", budget = null) {
+  const k = `${sessionKey(session)}:${cacheKey}`;
 
   // Fast path: served from cache
   const cached = spotifyCacheGet(k);
   if (cached) return cached;
 
   // If the same request is already in progress, re-use it.
-  if (SPOTIFY_INFLIGHT.has(k)) return SPOTIFY_INFLIGHT.get(k);
-
-  const p = (async () => {
-    const doFetch = () =>
-      fetch(url, { headers: { Authorization: `Bearer ${accessToken}` } });
+  const inflight = SPOTIFY_INFLIGHT.get(k);
+  if (inflight && !inflight.controller.signal.aborted) return waitInflight(inflight, budget?.signal);
 
-    let res = await doFetch();
+  budget?.charge();
 
-    // Spotify rate-limit behavior:
-    // 429 response includes "Retry-After" header in seconds.
-    if (res.status === 429) {
-      const ra = parseInt(res.headers.get("Retry-After") || "1", 10);
-      const waitMs = Math.min(5000, Math.max(200, ra * 1000));
-      await new Promise((r) => setTimeout(r, waitMs));
-      res = await doFetch();
-    }
+  const controller = new AbortController();
+  const p = (async () => {
+    const res = await spotifyRequest(session, url, priority, controller.signal);
 
     const json = await res.json().catch(() => null);
     if (!res.ok) {
-      throw new Error(
-        `Spotify API failed (${res.status}): ${json ? JSON.stringify(json) : "no-json"}`
-      );
+      const msg = `Spotify API failed (${res.status}): ${json ? JSON.stringify(json) : "no-json"}`;
+      throw res.status === 401 ? authError(msg) : new Error(msg);
     }
 
     spotifyCacheSet(k, json);
     return json;
   })();
 
-  SPOTIFY_INFLIGHT.set(k, p);
+  const entry = { p, controller, waiters: 0 };
+  SPOTIFY_INFLIGHT.set(k, entry);
+  // Always clean up, even if request throws (and only once the call itself is over).
+  const cleanup = () => {
+    if (SPOTIFY_INFLIGHT.get(k) === entry) SPOTIFY_INFLIGHT.delete(k);
+  };
+  p.then(cleanup, cleanup);
+  return waitInflight(entry, budget?.signal);
+}
+
+/**
+ * spotifySend(session, url, { method, json, body, contentType }, priority)
+ * - Writes (create playlist, add tracks, upload cover): scheduled like reads, never cached.
+ * - json: sent as application/json; body + contentType: sent as is.
+ * - Resolves with the response JSON (null when Spotify answers without a body).
+ * - 403 usually means a session from before the playlist scopes: it needs a new login.
+ */
+async function spotifySend(session, url, { method = "POST", json, body, contentType }, priority = "primary") {
+  const init =
+    json !== undefined
+      ? { method, headers: { "Content-Type": "application/json" }, body: JSON.stringify(json) }
+      : { method, headers: { "Content-Type": contentType }, body };
+
+  const res = await spotifyRequest(session, url, priority, null, init);
+  const text = await res.text();
+  if (!res.ok) {
+    const msg = `Spotify API failed (${res.status}): ${text || "no-body"}`;
+    if (res.status === 401) throw authError(msg);
+    const err = new Error(res.status === 403 ? `${msg}. Log in again to allow ChromaFM to edit playlists.` : msg);
+    err.status = res.status === 403 ? 403 : 502;
+    throw err;
+  }
   try {
-    return await p;
-  } finally {
-    // Always clean up, even if request throws.
-    SPOTIFY_INFLIGHT.delete(k);
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
   }
 }
 
@@ -147,9 +723,13 @@ async function spotifyFetchJson(accessToken, url, cacheKey) {
 // This is separate from Spotify caching.
 // It dedupes *your own heavy computations* like color bucketing + enrichment.
 const COMPUTE_CACHE = new Map(); // key -> { v, t }
-const COMPUTE_INFLIGHT = new Map(); // key -> Promise
+const COMPUTE_INFLIGHT = new Map(); // key -> { p, budget, progress }
 const COMPUTE_TTL = 12_000;
 
+// `progress` of an in-flight computation is for /api/results_bundle/stream: { events: [],
+// listeners: Set }. Events are kept until the computation ends, so a caller that joins an
+// in-flight computation replays what it missed before getting live events.
+
 /**
  * computeCacheGet(key)
  * - Like spotifyCacheGet, but for computed results.
@@ -158,7 +738,7 @@ const COMPUTE_TTL = 12_000;
 function computeCacheGet(key) {
   const hit = COMPUTE_CACHE.get(key);
   if (!hit) return null;
-  if (Date.now() - hit.t > COMPUTE_TTL) {
+  if (Date.now() - hit.t > hit.ttl) {
     COMPUTE_CACHE.delete(key);
     return null;
   }
@@ -166,62 +746,337 @@ function computeCacheGet(key) {
 }
 
 /**
- * computeCacheSet(key, value)
+ * followCompute(entry, onProgress)
+ * - Waits on an in-flight computation (a COMPUTE_INFLIGHT entry): replays its progress events
+ *   to onProgress, then forwards new ones until it finishes. Resolves with its result.
+ * - The caller has already joined the computation's budget (see createBudget's join).
+ */
+async function followCompute({ p, progress }, onProgress) {
+  if (!onProgress) return p;
+
+  for (const ev of progress.events) onProgress(ev);
+  progress.listeners.add(onProgress);
+  try {
+    return await p;
+  } finally {
+    progress.listeners.delete(onProgress);
+  }
+}
+
+/**
+ * computeCacheSet(key, value, ttl)
  * - Stores computed results + keeps cache size small (<=120).
+ * - ttl defaults to COMPUTE_TTL; background refinements keep theirs longer.
  */
-function computeCacheSet(key, value) {
-  COMPUTE_CACHE.set(key, { v: value, t: Date.now() });
+function computeCacheSet(key, value, ttl = COMPUTE_TTL) {
+  COMPUTE_CACHE.set(key, { v: value, t: Date.now(), ttl });
   if (COMPUTE_CACHE.size > 120) {
     COMPUTE_CACHE.delete(COMPUTE_CACHE.keys().next().value);
   }
 }
 
+// ===============================
+// Compute budgets (deadlines, call caps, cancellation)
+// ===============================
+
+// Every request gets a budget: a wall-clock deadline and a cap on real (uncached) Spotify
+// calls, shared by all ranges it computes. When it runs out (or the client disconnects),
+// the pipeline stops backfilling and returns what it has, with meta.partial listing the
+// colors still unresolved. Deadline/call cut-offs are then refined in the background with
+// a bigger budget, so the next request gets the complete result from the compute cache.
+// A request that joins someone else's in-flight computation joins its budget: the deadline
+// becomes the later of the two, and the work is cancelled only once every request waiting
+// on it has disconnected.
+const COMPUTE_DEADLINE = 25_000;
+const COMPUTE_DEADLINE_MIN = 2_000;
+const COMPUTE_CALL_BUDGET = 250;
+const REFINE_DEADLINE = 120_000;
+const REFINE_CALL_BUDGET = 600;
+const REFINED_TTL = 5 * 60 * 1000;
+
+/**
+ * budgetError(reason)
+ * - reason: "deadline" | "calls" | "cancelled". 503 so a route that fails on it says "try again".
+ */
+function budgetError(reason) {
+  const err = new Error(`Compute budget exhausted (${reason})`);
+  err.status = 503;
+  err.reason = reason;
+  return err;
+}
+
+/**
+ * createBudget({ ms, calls, signal })
+ * - ms: deadline from now; calls: uncached Spotify calls allowed.
+ * - signal (optional): the caller's cancellation (client disconnect). Without one the budget
+ *   is never cancelled.
+ * - Returns { signal, cancelSignal, deadlineAt, charge(), join(other), exhausted, reason, dispose() }:
+ *   signal aborts on deadline/cancel (covers downloads, queued calls, worker jobs);
+ *   charge() throws once the budget is gone; dispose() clears the deadline timer.
+ * - join(other): another request's budget waits on work running on this one. The deadline
+ *   moves to the later of the two and cancelling needs every holder's signal to abort.
+ *   Returns false (nothing joined) once this budget has run out.
+ */
+function createBudget({ ms = COMPUTE_DEADLINE, calls = COMPUTE_CALL_BUDGET, signal } = {}) {
+  const controller = new AbortController();
+  let callsLeft = calls;
+  let reason = null;
+  let deadlineAt = Date.now() + ms;
+  let timer = null;
+  let holders = 0;
+  const releases = [];
+
+  const stop = (why) => {
+    if (reason) return;
+    reason = why;
+    controller.abort(budgetError(why));
+  };
+
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => stop("deadline"), Math.max(0, deadlineAt - Date.now()));
+    timer.unref();
+  };
+
+  // Each holder's cancellation signal; a holder without one can't cancel (never reaches 0).
+  const hold = (cancel) => {
+    if (!cancel) {
+      holders = Infinity;
+      return;
+    }
+    holders += 1;
+    const release = () => {
+      holders -= 1;
+      if (holders === 0) stop("cancelled");
+    };
+    if (cancel.aborted) return release();
+    cancel.addEventListener("abort", release, { once: true });
+    releases.push(() => cancel.removeEventListener("abort", release));
+  };
+
+  arm();
+  hold(signal);
+
+  return {
+    signal: controller.signal,
+    cancelSignal: signal || null,
+    get deadlineAt() {
+      return deadlineAt;
+    },
+    join(other) {
+      if (reason) return false;
+      if (other && other.deadlineAt > deadlineAt) {
+        deadlineAt = other.deadlineAt;
+        arm();
+      }
+      hold(other?.cancelSignal);
+      return true;
+    },
+    get exhausted() {
+      return !!reason;
+    },
+    get reason() {
+      return reason;
+    },
+    charge() {
+      if (!reason && callsLeft <= 0) stop("calls");
+      if (reason) throw controller.signal.reason;
+      callsLeft -= 1;
+    },
+    dispose() {
+      clearTimeout(timer);
+      for (const release of releases) release();
+    },
+  };
+}
+
+/**
+ * requestSignal(res)
+ * - AbortSignal that fires if the client goes away before the response is finished.
+ */
+function requestSignal(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * parseDeadline(req)
+ * - ?deadline=<seconds> lowers (never raises) the request's time budget.
+ */
+function parseDeadline(req) {
+  const sec = parseFloat((req.query.deadline || "").toString());
+  if (!Number.isFinite(sec)) return COMPUTE_DEADLINE;
+  return Math.max(COMPUTE_DEADLINE_MIN, Math.min(COMPUTE_DEADLINE, sec * 1000));
+}
+
 // ===============================
 // Spotify API wrappers (cached)
 // ===============================
 
 /**
- * fetchTopTracks(accessToken, time_range, limit, offset)
+ * fetchTopTracks(session, time_range, limit, offset, priority, budget)
  * - Calls /v1/me/top/tracks for a given range and page.
- * - Uses spotifyFetchJson => gets caching + inflight + 429 retry.
+ * - Uses spotifyFetchJson => gets caching + inflight + scheduling/retries.
+ * - priority: "primary" | "backfill" | "wide" (see SPOTIFY_PRIORITY).
+ * - budget: optional per-request budget (see createBudget); same for the wrappers below.
  */
-async function fetchTopTracks(accessToken, time_range, limit = 50, offset = 0) {
-  const url = `https://api.spotify.com/v1/me/top/tracks?limit=${limit}&offset=${offset}&time_range=${encodeURIComponent(
+async function fetchTopTracks(
+  session,
+  time_range,
+  limit = 50,
+  offset = 0,
+  priority = "primary",
+  budget = null
+) {
+  const url = `${SPOTIFY_API_BASE}/me/top/tracks?limit=${limit}&offset=${offset}&time_range=${encodeURIComponent(
     time_range
   )}`;
-  return spotifyFetchJson(accessToken, url, `top_tracks:${time_range}:${limit}:${offset}`);
+  return spotifyFetchJson(session, url, `top_tracks:${time_range}:${limit}:${offset}`, priority, budget);
 }
 
 /**
- * fetchTopArtists(accessToken, limit)
+ * fetchTopArtists(session, limit, priority, budget)
  * - Calls /v1/me/top/artists.
  * - Typically used for enrichment if top tracks / saved albums don’t cover buckets.
  */
-async function fetchTopArtists(accessToken, limit = 10) {
-  const url = `https://api.spotify.com/v1/me/top/artists?limit=${limit}`;
-  return spotifyFetchJson(accessToken, url, `top_artists:${limit}`);
+async function fetchTopArtists(session, limit = 10, priority = "primary", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/me/top/artists?limit=${limit}`;
+  return spotifyFetchJson(session, url, `top_artists:${limit}`, priority, budget);
 }
 
 /**
- * fetchArtistAlbums(accessToken, artistId, limit)
- * - Gets albums/singles/compilations from an artist.
+ * fetchArtistAlbums(session, artistId, limit, priority, budget, groups)
+ * - Gets albums/singles/compilations from an artist (groups: Spotify's include_groups).
  * - Used as a fallback pool to find missing colors.
  */
-async function fetchArtistAlbums(accessToken, artistId, limit = 12) {
+async function fetchArtistAlbums(
+  session,
+  artistId,
+  limit = 12,
+  priority = "backfill",
+  budget = null,
+  groups = "album,single,compilation"
+) {
   const url =
-    `https://api.spotify.com/v1/artists/${artistId}/albums` +
-    `?include_groups=album,single,compilation&limit=${limit}&market=from_token`;
-  return spotifyFetchJson(accessToken, url, `artist_albums:${artistId}:${limit}`);
+    `${SPOTIFY_API_BASE}/artists/${artistId}/albums` +
+    `?include_groups=${groups}&limit=${limit}&market=from_token`;
+  return spotifyFetchJson(session, url, `artist_albums:${artistId}:${limit}:${groups}`, priority, budget);
+}
+
+/**
+ * fetchArtists(session, ids, priority, budget)
+ * - Calls /v1/artists for up to 50 artist IDs (for their genres).
+ */
+async function fetchArtists(session, ids, priority = "backfill", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/artists?ids=${ids.map(encodeURIComponent).join(",")}`;
+  return spotifyFetchJson(session, url, `artists:${ids.join(",")}`, priority, budget);
 }
 
 /**
- * fetchSavedAlbums(accessToken, limit, offset)
+ * fetchSavedAlbums(session, limit, offset, priority, budget)
  * - Calls /v1/me/albums (user library).
  * - Used as fallback candidate pool.
  */
-async function fetchSavedAlbums(accessToken, limit = 50, offset = 0) {
-  const url = `https://api.spotify.com/v1/me/albums?limit=${limit}&offset=${offset}`;
-  return spotifyFetchJson(accessToken, url, `saved_albums:${limit}:${offset}`);
+async function fetchSavedAlbums(session, limit = 50, offset = 0, priority = "backfill", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/me/albums?limit=${limit}&offset=${offset}`;
+  return spotifyFetchJson(session, url, `saved_albums:${limit}:${offset}`, priority, budget);
+}
+
+/**
+ * fetchLikedTracks(session, limit, offset, priority, budget)
+ * - Calls /v1/me/tracks (Liked Songs), newest first.
+ * - Aggregated per album into the "liked" tier.
+ */
+async function fetchLikedTracks(session, limit = 50, offset = 0, priority = "backfill", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/me/tracks?limit=${limit}&offset=${offset}`;
+  return spotifyFetchJson(session, url, `liked_tracks:${limit}:${offset}`, priority, budget);
+}
+
+/**
+ * fetchMe(session, priority, budget)
+ * - Calls /v1/me (profile); the user id tells owned playlists from followed ones.
+ */
+async function fetchMe(session, priority = "backfill", budget = null) {
+  return spotifyFetchJson(session, `${SPOTIFY_API_BASE}/me`, "me", priority, budget);
+}
+
+/**
+ * fetchTracks(session, ids, priority, budget)
+ * - Calls /v1/tracks for up to 50 track IDs (full track objects, album included).
+ */
+async function fetchTracks(session, ids, priority = "primary", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/tracks?ids=${ids.map(encodeURIComponent).join(",")}`;
+  return spotifyFetchJson(session, url, `tracks:${ids.join(",")}`, priority, budget);
+}
+
+/**
+ * fetchAlbums(session, ids, priority, budget)
+ * - Calls /v1/albums for up to 20 album IDs (full albums, first page of tracks included).
+ */
+async function fetchAlbums(session, ids, priority = "primary", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/albums?ids=${ids.map(encodeURIComponent).join(",")}`;
+  return spotifyFetchJson(session, url, `albums:${ids.join(",")}`, priority, budget);
+}
+
+/**
+ * createUserPlaylist(session, userId, { name, description })
+ * - POST /v1/users/{id}/playlists; private. Resolves with the new playlist.
+ */
+async function createUserPlaylist(session, userId, { name, description }) {
+  const url = `${SPOTIFY_API_BASE}/users/${encodeURIComponent(userId)}/playlists`;
+  return spotifySend(session, url, { json: { name, description, public: false } });
+}
+
+/**
+ * addPlaylistTracks(session, playlistId, uris)
+ * - POST /v1/playlists/{id}/tracks, 100 URIs per call (Spotify's limit), in order.
+ */
+async function addPlaylistTracks(session, playlistId, uris) {
+  const url = `${SPOTIFY_API_BASE}/playlists/${encodeURIComponent(playlistId)}/tracks`;
+  for (let i = 0; i < uris.length; i += 100) {
+    await spotifySend(session, url, { json: { uris: uris.slice(i, i + 100) } });
+  }
+}
+
+/**
+ * uploadPlaylistCover(session, playlistId, jpeg)
+ * - PUT /v1/playlists/{id}/images with the base64 JPEG (needs ugc-image-upload).
+ */
+async function uploadPlaylistCover(session, playlistId, jpeg) {
+  const url = `${SPOTIFY_API_BASE}/playlists/${encodeURIComponent(playlistId)}/images`;
+  return spotifySend(session, url, { method: "PUT", body: jpeg.toString("base64"), contentType: "image/jpeg" });
+}
+
+/**
+ * fetchUserPlaylists(session, limit, offset, priority, budget)
+ * - Calls /v1/me/playlists: playlists the user owns or follows.
+ */
+async function fetchUserPlaylists(session, limit = 50, offset = 0, priority = "backfill", budget = null) {
+  const url = `${SPOTIFY_API_BASE}/me/playlists?limit=${limit}&offset=${offset}`;
+  return spotifyFetchJson(session, url, `playlists:${limit}:${offset}`, priority, budget);
+}
+
+/**
+ * fetchPlaylistTracks(session, playlistId, limit, offset, priority, budget)
+ * - Calls /v1/playlists/{id}/tracks, trimmed to the album fields the pipeline reads.
+ */
+async function fetchPlaylistTracks(
+  session,
+  playlistId,
+  limit = 100,
+  offset = 0,
+  priority = "backfill",
+  budget = null
+) {
+  const fields =
+    "items(track(explicit,album(id,name,album_type,total_tracks,release_date,images,artists(id,name)))),next";
+  const url =
+    `${SPOTIFY_API_BASE}/playlists/${encodeURIComponent(playlistId)}/tracks` +
+    `?limit=${limit}&offset=${offset}&fields=${encodeURIComponent(fields)}`;
+  return spotifyFetchJson(session, url, `playlist_tracks:${playlistId}:${limit}:${offset}`, priority, budget);
 }
 
 // ===============================
@@ -276,6 +1131,35 @@ function rankWeight(index, total) {
   return w * w;
 }
 
+// liked songs on one album that count as "all in" regardless of its length
+const LIKED_FULL_COUNT = 8;
+
+/**
+ * likedAffinity(liked, totalTracks)
+ * - How much the user loves an album, from its Liked Songs: 0..1.
+ * - Mostly coverage (share of the album that is liked), plus a little for the raw
+ *   count so one liked song on a 3-track EP doesn't beat 8 on a 20-track album.
+ */
+function likedAffinity(liked, totalTracks) {
+  const coverage = totalTracks > 0 ? Math.min(1, liked / totalTracks) : 0;
+  return 0.7 * coverage + 0.3 * Math.min(1, liked / LIKED_FULL_COUNT);
+}
+
+// playlists an album must recur in to count as a staple; followed playlists count less
+const PLAYLIST_FULL_RECURRENCE = 4;
+const PLAYLIST_FOLLOWED_WEIGHT = 0.5;
+
+/**
+ * playlistAffinity(recurrence, tracks, totalTracks)
+ * - How much of a staple an album is across the user's playlists: 0..1.
+ * - recurrence: playlists it appears in (followed ones weighted by PLAYLIST_FOLLOWED_WEIGHT).
+ *   Track coverage only breaks ties between albums that recur equally.
+ */
+function playlistAffinity(recurrence, tracks, totalTracks) {
+  const coverage = totalTracks > 0 ? Math.min(1, tracks / totalTracks) : 0;
+  return 0.9 * Math.min(1, recurrence / PLAYLIST_FULL_RECURRENCE) + 0.1 * coverage;
+}
+
 /**
  * hashStringToInt(s)
  * - Stable string hash -> unsigned 32-bit int.
@@ -301,6 +1185,8 @@ function strictnessForRange(timeRange) {
       minConf: 0.18,
       minConfWide: 0.10,
       savedScan: 900,
+      likedScan: 1500,
+      playlistScan: 40,
       savedScanWide: 1600,
       topArtistsN: 14,
       albumsPerArtist: 22,
@@ -318,6 +1204,8 @@ function strictnessForRange(timeRange) {
       minConf: 0.22,
       minConfWide: 0.12,
       savedScan: 650,
+      likedScan: 1000,
+      playlistScan: 30,
       savedScanWide: 1200,
       topArtistsN: 12,
       albumsPerArtist: 18,
@@ -334,6 +1222,8 @@ function strictnessForRange(timeRange) {
     minConf: 0.26,
     minConfWide: 0.14,
     savedScan: 450,
+    likedScan: 600,
+    playlistScan: 20,
     savedScanWide: 900,
     topArtistsN: 10,
     albumsPerArtist: 16,
@@ -348,9 +1238,11 @@ function strictnessForRange(timeRange) {
 }
 
 // score-first lock-in decision
+// Returns { album, by, ... }: by "only" (single candidate), "dominance" (the best beats the
+// runner-up by dominanceMargin) or "variety" (hash of `key` picks a slot in the first n).
 function pickPreferBestOrVariety(list, n, key, dominanceMargin = 0.25) {
   if (!Array.isArray(list) || list.length === 0) return null;
-  if (list.length === 1) return list[0];
+  if (list.length === 1) return { album: list[0], by: "only" };
 
   const best = list[0];
   const runnerUp = list[1];
@@ -358,11 +1250,21 @@ function pickPreferBestOrVariety(list, n, key, dominanceMargin = 0.25) {
   const bestS = typeof best?.score === "number" ? best.score : 0;
   const upS = typeof runnerUp?.score === "number" ? runnerUp.score : 0;
 
-  if (upS <= 0 || bestS >= upS * (1 + dominanceMargin)) return best;
+  if (upS <= 0 || bestS >= upS * (1 + dominanceMargin)) {
+    return { album: best, by: "dominance", score: bestS, runner_up_score: upS, margin: dominanceMargin };
+  }
 
   const window = Math.max(1, Math.min(n, list.length));
   const idx = hashStringToInt(key) % window;
-  return list[idx];
+  return {
+    album: list[idx],
+    by: "variety",
+    window,
+    slot: idx + 1,
+    score: bestS,
+    runner_up_score: upS,
+    margin: dominanceMargin,
+  };
 }
 
 function getAppearances(a) {
@@ -372,23 +1274,32 @@ function getAppearances(a) {
 /**
  * If the top 2 candidates for a color bucket differ in appearances by >= 2,
  * pick the higher-appearance one. Otherwise fall back to score lock-in + variety.
+ * Returns { album, by, ... } like pickPreferBestOrVariety (by "appearances" here).
  */
 function pickTopForColor(list, color, n, key, dominanceMargin) {
   if (!Array.isArray(list) || list.length === 0) return null;
-  if (list.length === 1) return list[0];
+  if (list.length === 1) return { album: list[0], by: "only" };
 
   const a0 = list[0];
   const a1 = list[1];
 
   const d = Math.abs(getAppearances(a0) - getAppearances(a1));
-  if (d >= 2) return getAppearances(a0) >= getAppearances(a1) ? a0 : a1;
+  if (d >= 2) {
+    const [album, other] = getAppearances(a0) >= getAppearances(a1) ? [a0, a1] : [a1, a0];
+    return {
+      album,
+      by: "appearances",
+      appearances: getAppearances(album),
+      runner_up_appearances: getAppearances(other),
+    };
+  }
 
   return pickPreferBestOrVariety(list, n, key, dominanceMargin);
 }
 
-function buildEmptyResult() {
+function buildEmptyResult(order) {
   const result = {};
-  for (const c of COLOR_ORDER) result[c] = { top: null, others: [] };
+  for (const c of order) result[c] = { top: null, others: [] };
   return result;
 }
 
@@ -397,8 +1308,8 @@ function cmpAlbumStrength(a, b) {
   const bs = typeof b?.score === "number" ? b.score : 0;
   if (bs !== as) return bs - as;
 
-  const ac = typeof a?.confidence === "number" ? a.confidence : 0;
-  const bc = typeof b?.confidence === "number" ? b.confidence : 0;
+  const ac = colorConfidence(a);
+  const bc = colorConfidence(b);
   if (bc !== ac) return bc - ac;
 
   const an = typeof a?.count === "number" ? a.count : 0;
@@ -408,171 +1319,293 @@ function cmpAlbumStrength(a, b) {
 
 function getUsedAlbumIds(result) {
   const used = new Set();
-  for (const c of COLOR_ORDER) {
+  for (const c of Object.keys(result)) {
     const id = result[c]?.top?.id;
     if (id) used.add(id);
   }
   return used;
 }
 
-// enforce unique album id across colors (tops only)
-function enforceUniqueTops(result) {
-  const seen = new Map(); // albumId -> color
-  for (const color of COLOR_ORDER) {
-    const top = result[color]?.top;
-    const id = top?.id;
-    if (!id) continue;
+// An album also qualifies for the other buckets its palette covers, at a discount:
+// a black-and-red cover stands for red first, and for black only if that helps the grid.
+const SECONDARY_FIT_WEIGHT = 0.6;
+const SECONDARY_MIN_FIT = 0.3;
 
-    if (!seen.has(id)) {
-      seen.set(id, color);
-      continue;
-    }
-
-    const otherColor = seen.get(id);
-    const a = result[color]?.top;
-    const b = result[otherColor]?.top;
+/**
+ * colorFit(album, color, minFit)
+ * - 1 for the album's own bucket (if its confidence reaches minFit).
+ * - For another bucket in its palette: fits[color] * SECONDARY_FIT_WEIGHT,
+ *   as long as fits[color] reaches max(minFit, SECONDARY_MIN_FIT).
+ * - 0 = not eligible for that color.
+ */
+function colorFit(a, color, minFit = 0) {
+  if (!a?.color?.hex) return 0;
+  if (a.color.bucket === color) return colorConfidence(a) >= minFit ? 1 : 0;
 
-    if (cmpAlbumStrength(a, b) < 0) {
-      result[color].top = null;
-      result[color].others = [];
-    } else {
-      result[otherColor].top = null;
-      result[otherColor].others = [];
-      seen.set(id, color);
-    }
-  }
+  const f = a.color.fits?.[color];
+  if (typeof f !== "number" || f < Math.max(minFit, SECONDARY_MIN_FIT)) return 0;
+  return f * SECONDARY_FIT_WEIGHT;
 }
 
-// ===============================
-// Dominant color extraction
-// ===============================
-const DOMINANT_CACHE = new Map();
-const DOMINANT_CACHE_MAX = 1200;
-
-function dominantCacheGet(key) {
-  return DOMINANT_CACHE.get(key) || null;
-}
-function dominantCacheSet(key, value) {
-  DOMINANT_CACHE.set(key, value);
-  if (DOMINANT_CACHE.size > DOMINANT_CACHE_MAX) {
-    DOMINANT_CACHE.delete(DOMINANT_CACHE.keys().next().value);
+/**
+ * explainFit(album, color, minFit)
+ * - Which of colorFit's thresholds the album passed for `color`:
+ *   { bucket, confidence, match: "primary" | "secondary", fit, min_fit, secondary_min?, secondary_weight? }.
+ */
+function explainFit(a, color, minFit = 0) {
+  const out = {
+    bucket: a.color?.bucket || null,
+    confidence: colorConfidence(a),
+    match: a.color?.bucket === color ? "primary" : "secondary",
+    fit: colorFit(a, color, minFit),
+    min_fit: minFit,
+  };
+  if (out.match === "secondary") {
+    out.secondary_min = Math.max(minFit, SECONDARY_MIN_FIT);
+    out.secondary_weight = SECONDARY_FIT_WEIGHT;
+    out.color_share = a.color?.fits?.[color] ?? 0;
   }
+  return out;
 }
 
-async function getDominantFromImage(url) {
-  const cached = dominantCacheGet(url);
-  if (cached) return cached;
+/**
+ * assignTops(pool, colors, usedIds, opts)
+ * - Gives each color at most one album from `pool` so that no album is used twice and
+ *   the grid as a whole is as strong as possible (solveAssignment in assignment.js).
+ *   A color only ends up empty when no unused album is eligible for it at all.
+ * - weight(color, album) = colorFit * score, or with opts.by === "confidence" (albums with no
+ *   listening score, e.g. from the library): the album's confidence for that color.
+ * - opts.minFit: eligibility threshold (see colorFit).
+ * - opts.variety: { keyFor(color), window, dominanceMargin } keeps pickTopForColor's
+ *   lock-in/variety choice: the album it picks is weighted like the color's best.
+ * - Returns { [color]: { top, list, why } }; list = the color's eligible albums, strongest first.
+ *   why = how top won: pickTopForColor's choice when the assignment kept it, otherwise
+ *   { by: "assignment", rank, weight, basis } (rank in list; basis "score" or "confidence").
+ */
+function assignTops(pool, colors, usedIds, opts = {}) {
+  const minFit = typeof opts.minFit === "number" ? opts.minFit : 0;
 
-  const imgRes = await fetch(url, { headers: { "User-Agent": "Mozilla/5.0" } });
-  if (!imgRes.ok) {
-    const fail = { hex: null, confidence: 0 };
-    dominantCacheSet(url, fail);
-    return fail;
+  // the same album can show up more than once (e.g. from several ranges): keep its best entry
+  const byId = new Map();
+  for (const a of pool) {
+    if (!a?.id || usedIds.has(a.id) || !a.color?.hex) continue;
+    const prev = byId.get(a.id);
+    if (!prev || cmpAlbumStrength(a, prev) < 0) byId.set(a.id, a);
   }
+  const albums = [...byId.values()];
+
+  const lists = Object.create(null);
+  const preferredBy = Object.create(null); // color -> pickTopForColor result
+  const weightOf = Object.create(null); // color -> Map(album -> weight)
+  const weights = colors.map((color) => {
+    const row = new Array(albums.length).fill(null);
+    const eligible = [];
+
+    albums.forEach((a, j) => {
+      const fit = colorFit(a, color, minFit);
+      if (fit <= 0) return;
+      const w =
+        opts.by === "confidence"
+          ? a.color.bucket === color
+            ? colorConfidence(a)
+            : fit
+          : fit * (typeof a.score === "number" ? a.score : 0);
+      row[j] = w;
+      eligible.push({ a, j, w });
+    });
 
-  const buffer = Buffer.from(await imgRes.arrayBuffer());
+    eligible.sort((x, y) => y.w - x.w || cmpAlbumStrength(x.a, y.a));
+    lists[color] = eligible.map((x) => x.a);
+    weightOf[color] = new Map(eligible.map((x) => [x.a, x.w]));
 
-  const { data, info } = await sharp(buffer)
-    .resize(50, 50, { fit: "fill" })
-    .raw()
-    .toBuffer({ resolveWithObject: true });
+    if (opts.variety && eligible.length) {
+      const { keyFor, window, dominanceMargin } = opts.variety;
+      const preferred = pickTopForColor(lists[color], color, window, keyFor(color), dominanceMargin);
+      preferredBy[color] = preferred;
+      const hit = eligible.find((x) => x.a === preferred?.album);
+      if (hit) row[hit.j] = Math.max(hit.w, eligible[0].w);
+    }
 
-  const channels = info.channels;
-  const totalPixels = Math.floor(data.length / channels);
+    return row;
+  });
 
-  let rSum = 0,
-    gSum = 0,
-    bSum = 0;
-  let usedPixels = 0;
-  let sSum = 0;
+  const picks = solveAssignment(weights);
+  const out = Object.create(null);
+  colors.forEach((color, i) => {
+    const top = picks[i] >= 0 ? albums[picks[i]] : null;
+    const { album: preferred, ...choice } = preferredBy[color] || {};
+    const why = !top
+      ? null
+      : top === preferred
+        ? choice
+        : {
+            by: "assignment",
+            rank: lists[color].indexOf(top) + 1,
+            weight: weightOf[color].get(top),
+            basis: opts.by === "confidence" ? "confidence" : "score",
+          };
+    out[color] = { top, list: lists[color], why };
+  });
+  return out;
+}
 
-  for (let i = 0; i < data.length; i += channels) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    const a = channels === 4 ? data[i + 3] : 255;
-    if (a < 10) continue;
+// ===============================
+// Cover color analysis (palette extraction)
+// ===============================
 
-    rSum += r;
-    gSum += g;
-    bSum += b;
-    usedPixels += 1;
+// Color analysis is cached on disk (data/color-analysis.json), keyed by cover URL.
+// Spotify cover URLs are content-addressed, so a URL always points at the same image.
+// Bump COLOR_ANALYSIS_VERSION whenever the extraction changes: old entries are dropped.
+const COLOR_ANALYSIS_VERSION = 2;
+const COLOR_ANALYSIS_MAX_ENTRIES = 50_000;
+const COLOR_ANALYSIS_MAX_BYTES = 16 * 1024 * 1024;
+// Failed downloads are remembered briefly so a dead URL isn't refetched on every request.
+const COLOR_ANALYSIS_FAIL_TTL = 60 * 60 * 1000;
+
+const COLOR_ANALYSIS_STORE = openFileStore({
+  file: path.join(DATA_DIR, "color-analysis.json"),
+  version: COLOR_ANALYSIS_VERSION,
+  maxEntries: COLOR_ANALYSIS_MAX_ENTRIES,
+  maxBytes: COLOR_ANALYSIS_MAX_BYTES,
+});
 
-    const { s } = rgbToHsv(r, g, b);
-    sSum += s;
+function dominantCacheGet(url) {
+  const hit = COLOR_ANALYSIS_STORE.get(url);
+  if (!hit) return null;
+  if (hit.failedAt && Date.now() - hit.failedAt > COLOR_ANALYSIS_FAIL_TTL) {
+    COLOR_ANALYSIS_STORE.delete(url);
+    return null;
   }
+  return hit;
+}
+function dominantCacheSet(url, value) {
+  COLOR_ANALYSIS_STORE.set(url, value);
+}
 
-  if (usedPixels === 0) {
-    const fail = { hex: null, confidence: 0 };
-    dominantCacheSet(url, fail);
-    return fail;
-  }
+// Decoding + quantizing covers is CPU work: it runs in a worker pool (paletteWorker.js)
+// so a big bundle doesn't stall /api/proxy_image or other users' requests.
+// COVER_WORKERS overrides the pool size (default: one core left for the server, max 4).
+const COVER_WORKERS =
+  parseInt(process.env.COVER_WORKERS || "", 10) ||
+  Math.max(1, Math.min(4, os.availableParallelism() - 1));
+const COVER_QUEUE_MAX = 64;
+const COVER_JOB_TIMEOUT = 15_000;
+
+const COVER_POOL = createWorkerPool({
+  file: new URL("./paletteWorker.js", import.meta.url),
+  size: COVER_WORKERS,
+  maxQueue: COVER_QUEUE_MAX,
+  timeout: COVER_JOB_TIMEOUT,
+  name: "cover",
+});
 
-  const r = Math.round(rSum / usedPixels);
-  const g = Math.round(gSum / usedPixels);
-  const b = Math.round(bSum / usedPixels);
+/**
+ * analyzeCover(url, signal)
+ * - Returns the cover's palette: [{ hex, share, role }], largest share first.
+ *   share = fraction of the cover's pixels in that color cluster;
+ *   role = node-vibrant swatch name (Vibrant, DarkMuted, ...) or null.
+ * - Checks the persistent analysis store first; only downloads + decodes on a miss.
+ *   The decode itself runs in COVER_POOL (extractPalette in paletteWorker.js).
+ * - Only the palette is cached: bucketing is derived from it per request (describeCover).
+ * - signal (optional AbortSignal) cancels the download and the queued pool job.
+ */
+async function analyzeCover(url, signal) {
+  const cached = dominantCacheGet(url);
+  if (cached) return cached.palette;
 
-  const hex = rgbToHex(r, g, b);
+  const imgRes = await fetch(url, { headers: { "User-Agent": "Mozilla/5.0" }, signal });
+  if (!imgRes.ok) {
+    dominantCacheSet(url, { palette: [], failedAt: Date.now() });
+    return [];
+  }
 
-  const coverage = usedPixels / Math.max(1, totalPixels);
-  const avgSat = sSum / usedPixels;
-  const satScore = Math.min(1, avgSat / 0.25);
-  const confidence = Math.max(0, Math.min(1, 0.6 * coverage + 0.4 * satScore));
+  const bytes = await imgRes.arrayBuffer();
+  let palette;
+  try {
+    palette = await COVER_POOL.run({ buffer: bytes }, { signal, transfer: [bytes] });
+  } catch (e) {
+    // A cover that can't be decoded (or hangs the decoder) won't do better next time;
+    // cancellations and pool shutdowns say nothing about the image.
+    if (e.code === "POOL_TIMEOUT" || e.code === "POOL_JOB_FAILED") {
+      dominantCacheSet(url, { palette: [], failedAt: Date.now() });
+    }
+    throw e;
+  }
 
-  const out = { hex, confidence };
-  dominantCacheSet(url, out);
-  return out;
+  dominantCacheSet(url, palette.length ? { palette } : { palette: [], failedAt: Date.now() });
+  return palette;
 }
 
-function rgbToHex(r, g, b) {
-  const toHex = (n) => n.toString(16).padStart(2, "0");
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
-}
+/**
+ * describeCover(palette, bucketSet)
+ * - Turns a palette into the color descriptor albums carry:
+ *   { hex, bucket, confidence, palette }
+ * - Swatches are classified with the bucket set's OKLCH rules (see buckets.js);
+ *   swatches that fit no bucket in the set are ignored.
+ * - bucket: the bucket with the largest total share, except that a chromatic bucket
+ *   covering >= CHROMATIC_MIN_SHARE wins over a larger neutral one
+ *   (a black-and-red cover reads as red, not black, and never as the muddy average).
+ * - hex: the biggest swatch inside the chosen bucket.
+ * - confidence: mostly how much of the cover backs the bucket, plus chroma for colors.
+ * - fits: the same measure for every bucket the palette touches ({ bucket: 0..1 });
+ *   fits[bucket] === confidence. Lets a cover compete for its secondary colors too.
+ */
+const CHROMATIC_MIN_SHARE = 0.3;
+
+function describeCover(palette, bucketSet = DEFAULT_BUCKET_SET) {
+  const empty = {
+    hex: null,
+    bucket: null,
+    confidence: 0,
+    fits: {},
+    palette: Array.isArray(palette) ? palette : [],
+  };
+  if (!empty.palette.length) return empty;
+
+  const byBucket = Object.create(null);
+  for (const sw of palette) {
+    const b = classifyHex(sw.hex, bucketSet);
+    if (!b) continue;
+    if (!byBucket[b]) byBucket[b] = { share: 0, chroma: 0, main: sw };
+    byBucket[b].share += sw.share;
+    byBucket[b].chroma += hexToOklch(sw.hex).C * sw.share;
+  }
 
-function hexToRgb(hex) {
-  const clean = hex.replace("#", "");
-  const n = parseInt(clean, 16);
-  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
-}
+  const ranked = Object.entries(byBucket).sort((x, y) => y[1].share - x[1].share);
+  if (!ranked.length) return empty;
 
-function rgbToHsv(r, g, b) {
-  r /= 255;
-  g /= 255;
-  b /= 255;
-  const max = Math.max(r, g, b),
-    min = Math.min(r, g, b);
-  const d = max - min;
+  let [bucket, info] = ranked[0];
+  if (isNeutralBucket(bucketSet, bucket)) {
+    const chromatic = ranked.find(([b]) => !isNeutralBucket(bucketSet, b));
+    if (chromatic && chromatic[1].share >= CHROMATIC_MIN_SHARE) [bucket, info] = chromatic;
+  }
 
-  let h = 0;
-  if (d !== 0) {
-    if (max === r) h = ((g - b) / d) % 6;
-    else if (max === g) h = (b - r) / d + 2;
-    else h = (r - g) / d + 4;
-    h *= 60;
-    if (h < 0) h += 360;
+  const fits = {};
+  for (const [b, i] of ranked) {
+    const coverage = Math.min(1, i.share / 0.5);
+    const chromaScore = isNeutralBucket(bucketSet, b) ? 1 : Math.min(1, i.chroma / i.share / 0.1);
+    fits[b] = Math.max(0, Math.min(1, 0.7 * coverage + 0.3 * chromaScore));
   }
 
-  const s = max === 0 ? 0 : d / max;
-  const v = max;
-  return { h, s, v };
+  return { hex: info.main.hex, bucket, confidence: fits[bucket], fits, palette };
 }
 
-// slightly-looser buckets (more options)
-function hexToSimpleBucket(hex) {
-  const { r, g, b } = hexToRgb(hex);
-  const { h, s, v } = rgbToHsv(r, g, b);
-
-  if (v < 0.14) return "black";
-  if (v > 0.9 && s < 0.1) return "white";
-  if (s < 0.18) return "grey";
+/**
+ * getCoverColor(url, bucketSet, signal)
+ * - analyzeCover + describeCover; failures become an empty descriptor.
+ * - Only throws when `signal` was aborted, so a cancelled run doesn't look like a colorless cover.
+ */
+async function getCoverColor(url, bucketSet, signal) {
+  try {
+    return describeCover(await analyzeCover(url, signal), bucketSet);
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    return describeCover([], bucketSet);
+  }
+}
 
-  if (h >= 330 || h < 15) return "red";
-  if (h < 45) return "orange";
-  if (h < 75) return "yellow";
-  if (h < 160) return "green";
-  if (h < 250) return "blue";
-  if (h < 290) return "purple";
-  return "pink";
+function colorConfidence(a) {
+  return typeof a?.color?.confidence === "number" ? a.color.confidence : 0;
 }
 
 // ===============================
@@ -594,44 +1627,27 @@ async function mapLimit(items, limit, fn) {
   return out;
 }
 
-async function enrichWithDominant(albums, concurrency = 6) {
-  await mapLimit(albums, concurrency, async (a) => {
-    if (!a.image) {
-      a.hex = null;
-      a.confidence = 0;
-      return;
-    }
-    try {
-      const { hex, confidence } = await getDominantFromImage(a.image);
-      a.hex = hex;
-      a.confidence = confidence;
-    } catch {
-      a.hex = null;
-      a.confidence = 0;
-    }
-  });
-  return albums;
-}
-
-async function enrichMoreIfNeeded(pool, startIndex, count) {
-  const slice = pool.slice(startIndex, startIndex + count);
-  const toEnrich = slice.filter((a) => a && !a.hex && a.image);
-  if (!toEnrich.length) return 0;
-  await enrichWithDominant(toEnrich, 6);
-  return toEnrich.length;
-}
-
 // ===============================
 // Candidate building
 // ===============================
-async function gatherTopTrackCandidates(accessToken, timeRange, opts = {}) {
-  const { pages = 1, pageSize = 50, maxUnique = 260, timeWeight = 1.0 } = opts;
+// contributing top tracks remembered per album, for the explanation
+const TOP_TRACKS_EXPLAINED = 10;
+
+async function gatherTopTrackCandidates(session, timeRange, opts = {}) {
+  const {
+    pages = 1,
+    pageSize = 50,
+    maxUnique = 260,
+    timeWeight = 1.0,
+    priority = "primary",
+    budget = null,
+  } = opts;
 
   const albumMap = Object.create(null);
   const totalApprox = Math.max(1, pages * pageSize);
 
   for (let p = 0; p < pages; p++) {
-    const top = await fetchTopTracks(accessToken, timeRange, pageSize, p * pageSize);
+    const top = await fetchTopTracks(session, timeRange, pageSize, p * pageSize, priority, budget);
     const items = top.items || [];
 
     for (let index = 0; index < items.length; index++) {
@@ -654,11 +1670,17 @@ async function gatherTopTrackCandidates(accessToken, timeRange, opts = {}) {
           artist: (album.artists || []).map((a) => a.name).join(", "),
           image: album.images?.[0]?.url || null,
           total_tracks: album.total_tracks,
+          ...albumFacts(album),
           score: 0,
           appearances: 0,
           count: 0,
+          top_tracks: [], // [{ name, rank, range }]: why the album is here (see explainPick)
         };
       }
+      if (track.explicit) albumMap[key].explicit = true;
+      if (albumMap[key].top_tracks.length < TOP_TRACKS_EXPLAINED) {
+        albumMap[key].top_tracks.push({ name: track.name, rank: globalIndex + 1, range: timeRange });
+      }
 
       albumMap[key].score += score;
       albumMap[key].appearances += 1;
@@ -674,435 +1696,1432 @@ async function gatherTopTrackCandidates(accessToken, timeRange, opts = {}) {
 }
 
 // ===============================
-// Backfills
+// Candidate universe (shared by the ranges of a bundle)
 // ===============================
-function pickBestMatchingFromPool(pool, targetColor, usedIds, minConf = 0.2) {
-  let best = null;
-  for (const a of pool) {
-    if (!a?.id || usedIds.has(a.id)) continue;
-    if (!a.hex) continue;
 
-    const conf = typeof a.confidence === "number" ? a.confidence : 0;
-    if (conf < minConf) continue;
+// Everything the pipeline can pick from, loaded lazily and at most once per bundle:
+// top-track pages per range, top artists, Liked Songs, saved albums, playlists, top artists'
+// catalogs, and the color analysis of every cover. The three ranges of /api/results_bundle run on one
+// universe, so they share Spotify calls and analyses instead of each repeating them.
+const UNIVERSE_TOP_ARTISTS = 20;
+const SAVED_PAGE_SIZE = 50;
+const LIKED_PAGE_SIZE = 50;
+const PLAYLIST_PAGE_SIZE = 50;
+const PLAYLIST_TRACKS_PAGE = 100;
 
-    if (hexToSimpleBucket(a.hex) !== targetColor) continue;
+/**
+ * albumFacts(album)
+ * - What content filters read off an album object. explicit is null until a track says
+ *   otherwise or the universe looks the album up (see screen()).
+ */
+function albumFacts(album) {
+  return {
+    album_type: album.album_type || "album",
+    release_year: releaseYear(album.release_date),
+    artist_ids: (album.artists || []).map((a) => a.id).filter(Boolean),
+    explicit: null,
+  };
+}
 
-    if (!best || cmpAlbumStrength(a, best) < 0) best = a;
-  }
-  return best;
+function albumCandidate(album, source) {
+  return {
+    id: album.id,
+    name: album.name,
+    artist: (album.artists || []).map((a) => a.name).join(", "),
+    image: album.images?.[0]?.url || null,
+    total_tracks: album.total_tracks,
+    ...albumFacts(album),
+    source,
+    score: 0,
+    count: 0,
+  };
 }
 
-async function findSavedAlbumBackfillForColor(accessToken, targetColor, usedIds, opts = {}) {
-  const MIN_CONF = typeof opts.minConf === "number" ? opts.minConf : 0.2;
-  const PAGE_SIZE = 50;
-  const MAX_TO_SCAN = typeof opts.maxToScan === "number" ? opts.maxToScan : 300;
-  const pages = Math.ceil(MAX_TO_SCAN / PAGE_SIZE);
+/**
+ * createCandidateUniverse(session, { bucketSet, budget, filters })
+ * - Loaders are memoized for the universe's lifetime; concurrent callers share one load.
+ *   Failed loads (e.g. budget ran out) are forgotten so a later caller can retry.
+ * - Loaders return fresh candidate objects, so callers can rescore them freely;
+ *   analyze() fills in .color and shares each cover's analysis across all copies.
+ */
+function createCandidateUniverse(
+  session,
+  { bucketSet = DEFAULT_BUCKET_SET, budget = null, filters = NO_FILTERS } = {}
+) {
+  const memo = new Map(); // key -> Promise
+  const colors = new Map(); // cover URL -> Promise<color descriptor>
+  const genres = new Map(); // artist id -> [genre] (lowercase)
+  const explicit = new Map(); // album id -> boolean
+  const lookupsDown = new Set(); // "genres" | "explicit" lookups that failed (see screen)
+
+  function once(key, load) {
+    if (!memo.has(key)) {
+      const p = load();
+      memo.set(key, p);
+      p.catch(() => memo.delete(key));
+    }
+    return memo.get(key);
+  }
 
-  let best = null;
+  function colorOf(url) {
+    if (!colors.has(url)) {
+      const p = getCoverColor(url, bucketSet, budget?.signal);
+      colors.set(url, p);
+      p.catch(() => colors.delete(url));
+    }
+    return colors.get(url);
+  }
 
-  for (let p = 0; p < pages; p++) {
-    const saved = await fetchSavedAlbums(accessToken, PAGE_SIZE, p * PAGE_SIZE);
-    const items = saved.items || [];
+  /**
+   * topTracks(range, { pages, pageSize, maxUnique, timeWeight, priority })
+   * - gatherTopTrackCandidates for one range, scores multiplied by timeWeight.
+   */
+  async function topTracks(range, { pages = 1, pageSize = 50, maxUnique = 260, timeWeight = 1, priority }) {
+    const list = await once(`top:${range}:${pages}:${pageSize}:${maxUnique}`, () =>
+      gatherTopTrackCandidates(session, range, { pages, pageSize, maxUnique, priority, budget })
+    );
+    return list.map((a) => ({ ...a, score: a.score * timeWeight }));
+  }
 
-    for (const it of items) {
-      const album = it?.album;
-      if (!album?.id) continue;
-      if (usedIds.has(album.id)) continue;
-      if (isOneTrackAlbum(album)) continue;
+  /**
+   * topArtists(n)
+   * - The user's first n top artists (one call for every n up to UNIVERSE_TOP_ARTISTS).
+   */
+  async function topArtists(n, priority = "primary") {
+    const res = await once("artists", () =>
+      fetchTopArtists(session, UNIVERSE_TOP_ARTISTS, priority, budget)
+    );
+    return (res.items || []).slice(0, n);
+  }
 
-      const image = album.images?.[0]?.url || null;
-      if (!image) continue;
+  /**
+   * likedAlbums(maxToScan)
+   * - The first maxToScan Liked Songs, aggregated per album (source "liked").
+   * - Each candidate carries liked = { tracks, total, coverage } and scores likedAffinity().
+   */
+  async function likedAlbums(maxToScan, priority = "backfill") {
+    const byAlbum = new Map(); // normalized album key -> candidate
+    const pages = Math.ceil(maxToScan / LIKED_PAGE_SIZE);
+
+    for (let p = 0; p < pages; p++) {
+      const res = await once(`liked:${p}`, () =>
+        fetchLikedTracks(session, LIKED_PAGE_SIZE, p * LIKED_PAGE_SIZE, priority, budget)
+      );
+      const items = res.items || [];
 
-      const { hex, confidence } = await getDominantFromImage(image).catch(() => ({
-        hex: null,
-        confidence: 0,
-      }));
-      if (!hex || confidence < MIN_CONF) continue;
-      if (hexToSimpleBucket(hex) !== targetColor) continue;
-
-      const candidate = {
-        id: album.id,
-        name: album.name,
-        artist: (album.artists || []).map((a) => a.name).join(", "),
-        image,
-        total_tracks: album.total_tracks,
-        source: "saved",
-        score: 0,
-        count: 0,
-        hex,
-        confidence,
-      };
+      for (const it of items) {
+        const album = it?.track?.album;
+        if (!album?.id || isOneTrackAlbum(album)) continue;
+        if (!album.images?.[0]?.url) continue;
 
-      if (!best || candidate.confidence > best.confidence) best = candidate;
+        const key = `${normalizeAlbumName(album.name)}::${(album.artists?.[0]?.name || "").toLowerCase()}`;
+        if (!byAlbum.has(key)) byAlbum.set(key, albumCandidate(album, "liked"));
+        byAlbum.get(key).count += 1;
+        if (it.track.explicit) byAlbum.get(key).explicit = true;
+      }
+
+      if (items.length < LIKED_PAGE_SIZE) break;
     }
 
-    if (items.length < PAGE_SIZE) break;
+    const out = [...byAlbum.values()];
+    for (const a of out) {
+      const total = a.total_tracks || 0;
+      a.score = likedAffinity(a.count, total);
+      a.liked = { tracks: a.count, total, coverage: total ? Math.min(1, a.count / total) : null };
+    }
+    return out.sort((a, b) => b.score - a.score);
   }
 
-  return best;
-}
+  /**
+   * savedAlbums(maxToScan)
+   * - The first maxToScan saved albums as candidates (source "saved").
+   */
+  async function savedAlbums(maxToScan, priority = "backfill") {
+    const out = [];
+    const pages = Math.ceil(maxToScan / SAVED_PAGE_SIZE);
+
+    for (let p = 0; p < pages; p++) {
+      const res = await once(`saved:${p}`, () =>
+        fetchSavedAlbums(session, SAVED_PAGE_SIZE, p * SAVED_PAGE_SIZE, priority, budget)
+      );
+      const items = res.items || [];
+
+      for (const it of items) {
+        const album = it?.album;
+        if (!album?.id || isOneTrackAlbum(album)) continue;
+        if (!album.images?.[0]?.url) continue;
+        out.push(albumCandidate(album, "saved"));
+      }
 
-async function findArtistBackfillForColor(accessToken, targetColor, usedIds, opts = {}) {
-  const MIN_CONF = typeof opts.minConf === "number" ? opts.minConf : 0.2;
-  const TOP_ARTISTS_N = typeof opts.topArtistsN === "number" ? opts.topArtistsN : 8;
-  const ALBUMS_PER_ARTIST = typeof opts.albumsPerArtist === "number" ? opts.albumsPerArtist : 12;
-  const CANDIDATE_CAP = typeof opts.candidateCap === "number" ? opts.candidateCap : 90;
+      if (items.length < SAVED_PAGE_SIZE) break;
+    }
 
-  const topArtists = await fetchTopArtists(accessToken, TOP_ARTISTS_N);
-  const artists = topArtists.items || [];
+    return out;
+  }
 
-  const seenAlbumIds = new Set();
-  const candidates = [];
+  /**
+   * playlistAlbums(maxPlaylists)
+   * - Tracks of the user's first maxPlaylists playlists (owned and followed; first page of
+   *   tracks each), aggregated per album (source "playlist").
+   * - Each candidate carries playlists = { count, owned, tracks } and scores playlistAffinity().
+   * - A playlist whose tracks can't be read is skipped; only running out of budget propagates.
+   */
+  async function playlistAlbums(maxPlaylists, priority = "backfill") {
+    const me = await once("me", () => fetchMe(session, priority, budget));
+
+    const playlists = [];
+    for (let p = 0; playlists.length < maxPlaylists; p++) {
+      const res = await once(`playlists:${p}`, () =>
+        fetchUserPlaylists(session, PLAYLIST_PAGE_SIZE, p * PLAYLIST_PAGE_SIZE, priority, budget)
+      );
+      const items = res.items || [];
+      playlists.push(...items.filter((pl) => pl?.id && pl.tracks?.total));
+      if (items.length < PLAYLIST_PAGE_SIZE) break;
+    }
 
-  for (const artist of artists) {
-    const albumsRes = await fetchArtistAlbums(accessToken, artist.id, ALBUMS_PER_ARTIST);
-    for (const item of albumsRes.items || []) {
-      if (!item?.id) continue;
-      if (usedIds.has(item.id)) continue;
-      if (seenAlbumIds.has(item.id)) continue;
-      if (isOneTrackAlbum(item)) continue;
+    const byAlbum = new Map(); // normalized album key -> { candidate, seenIn: Set }
+
+    await mapLimit(playlists.slice(0, maxPlaylists), 3, async (pl) => {
+      const owned = !!me?.id && pl.owner?.id === me.id;
+      let res;
+      try {
+        res = await once(`playlist_tracks:${pl.id}`, () =>
+          fetchPlaylistTracks(session, pl.id, PLAYLIST_TRACKS_PAGE, 0, priority, budget)
+        );
+      } catch (e) {
+        // followed Spotify/algorithmic playlists can 404: skip that one playlist, not the tier
+        if (budget?.exhausted) throw e;
+        return;
+      }
 
-      const image = item.images?.[0]?.url || null;
-      if (!image) continue;
+      for (const it of res.items || []) {
+        const album = it?.track?.album;
+        if (!album?.id || isOneTrackAlbum(album)) continue;
+        if (!album.images?.[0]?.url) continue;
 
-      seenAlbumIds.add(item.id);
-      candidates.push({
-        id: item.id,
-        name: item.name,
-        artist: (item.artists || []).map((a) => a.name).join(", "),
-        image,
-        total_tracks: item.total_tracks,
-        source: "artist",
-        score: 0,
-        count: 0,
-      });
+        const key = `${normalizeAlbumName(album.name)}::${(album.artists?.[0]?.name || "").toLowerCase()}`;
+        if (!byAlbum.has(key)) {
+          const candidate = albumCandidate(album, "playlist");
+          candidate.playlists = { count: 0, owned: 0, tracks: 0 };
+          byAlbum.set(key, { candidate, seenIn: new Set() });
+        }
+
+        const entry = byAlbum.get(key);
+        entry.candidate.playlists.tracks += 1;
+        entry.candidate.count += 1;
+        if (it.track.explicit) entry.candidate.explicit = true;
+        if (!entry.seenIn.has(pl.id)) {
+          entry.seenIn.add(pl.id);
+          entry.candidate.playlists.count += 1;
+          if (owned) entry.candidate.playlists.owned += 1;
+        }
+      }
+    });
 
-      if (candidates.length >= CANDIDATE_CAP) break;
+    const out = [...byAlbum.values()].map(({ candidate }) => candidate);
+    for (const a of out) {
+      const { count, owned, tracks } = a.playlists;
+      const recurrence = owned + (count - owned) * PLAYLIST_FOLLOWED_WEIGHT;
+      a.score = playlistAffinity(recurrence, tracks, a.total_tracks || 0);
     }
-    if (candidates.length >= CANDIDATE_CAP) break;
+    // playlists load concurrently: break ties by id so the order doesn't depend on timing
+    return out.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
   }
 
-  let best = null;
+  /**
+   * artistCatalog({ topArtistsN, albumsPerArtist, candidateCap })
+   * - Albums of the user's top artists as candidates (source "artist"), deduped, capped.
+   */
+  async function artistCatalog({ topArtistsN = 8, albumsPerArtist = 12, candidateCap = 90 }, priority = "backfill") {
+    const artists = await topArtists(topArtistsN, priority);
+    const groups = filters.noCompilations ? "album,single" : "album,single,compilation";
+    const seen = new Set();
+    const out = [];
+
+    for (const artist of artists) {
+      const res = await once(`artist_albums:${artist.id}:${albumsPerArtist}`, () =>
+        fetchArtistAlbums(session, artist.id, albumsPerArtist, priority, budget, groups)
+      );
 
-  await mapLimit(candidates, 6, async (c) => {
-    const { hex, confidence } = await getDominantFromImage(c.image).catch(() => ({
-      hex: null,
-      confidence: 0,
-    }));
-    if (!hex || confidence < MIN_CONF) return;
-    if (hexToSimpleBucket(hex) !== targetColor) return;
+      for (const item of res.items || []) {
+        if (!item?.id || seen.has(item.id) || isOneTrackAlbum(item)) continue;
+        if (!item.images?.[0]?.url) continue;
+        seen.add(item.id);
+        out.push(albumCandidate(item, "artist"));
+        if (out.length >= candidateCap) return out;
+      }
+    }
 
-    const enriched = { ...c, hex, confidence };
-    if (!best || enriched.confidence > best.confidence) best = enriched;
-  });
+    return out;
+  }
+
+  /**
+   * screen(albums)
+   * - The albums that pass the universe's content filters.
+   * - Looks up what the album objects don't say, only if a filter needs it: artist genres
+   *   (top artists are already known; 50 per /v1/artists call) and explicitness (20 per
+   *   /v1/albums call). Both are remembered for the universe's lifetime.
+   * - After a failed lookup, genres or explicitness stay unknown (no genres, explicit null)
+   *   for the universe's lifetime instead of failing the range; the next request asks again.
+   */
+  async function screen(albums, priority = "backfill") {
+    if (filters.id === "none") return albums;
+
+    // only running out of budget propagates; any other failure turns that lookup off
+    const lookup = async (kind, load) => {
+      if (lookupsDown.has(kind)) return null;
+      try {
+        return await load();
+      } catch (e) {
+        if (budget?.exhausted) throw e;
+        lookupsDown.add(kind);
+        return null;
+      }
+    };
+
+    if (needsGenres(filters)) {
+      for (const a of (await lookup("genres", () => topArtists(UNIVERSE_TOP_ARTISTS, priority))) || []) {
+        if (!genres.has(a.id)) genres.set(a.id, (a.genres || []).map((g) => g.toLowerCase()));
+      }
+      const unknown = [...new Set(albums.flatMap((a) => a.artist_ids || []))].filter((id) => !genres.has(id));
+      for (let i = 0; i < unknown.length; i += 50) {
+        const ids = unknown.slice(i, i + 50);
+        const res = await lookup("genres", () =>
+          once(`artists:${ids.join(",")}`, () => fetchArtists(session, ids, priority, budget))
+        );
+        if (!res) break;
+        for (const a of res.artists || []) {
+          if (a?.id) genres.set(a.id, (a.genres || []).map((g) => g.toLowerCase()));
+        }
+        for (const id of ids) if (!genres.has(id)) genres.set(id, []);
+      }
+    }
+
+    if (needsExplicit(filters)) {
+      const unknown = [
+        ...new Set(albums.filter((a) => a.explicit === null && !explicit.has(a.id)).map((a) => a.id)),
+      ];
+      for (let i = 0; i < unknown.length; i += 20) {
+        const ids = unknown.slice(i, i + 20);
+        const res = await lookup("explicit", () =>
+          once(`albums:${ids.join(",")}`, () => fetchAlbums(session, ids, priority, budget))
+        );
+        if (!res) break;
+        for (const album of res.albums || []) {
+          if (album?.id) explicit.set(album.id, (album.tracks?.items || []).some((t) => t?.explicit));
+        }
+      }
+    }
 
-  return best;
+    return albums.filter((a) => {
+      if (a.explicit === null && explicit.has(a.id)) a.explicit = explicit.get(a.id);
+      const g = needsGenres(filters) ? (a.artist_ids || []).flatMap((id) => genres.get(id) || []) : [];
+      return passesFilters(a, filters, g);
+    });
+  }
+
+  /**
+   * analyze(albums)
+   * - Fills in .color for every album that doesn't have it yet.
+   */
+  async function analyze(albums, concurrency = 6) {
+    await mapLimit(albums, concurrency, async (a) => {
+      if (!a || a.color) return;
+      a.color = a.image ? await colorOf(a.image) : describeCover([], bucketSet);
+    });
+    return albums;
+  }
+
+  return {
+    bucketSet,
+    budget,
+    filters,
+    topTracks,
+    topArtists,
+    likedAlbums,
+    savedAlbums,
+    playlistAlbums,
+    artistCatalog,
+    screen,
+    analyze,
+  };
 }
 
 // ===============================
 // Core compute
 // ===============================
-async function computeResultsForRange(accessToken, requestedRange, limit, opts = {}) {
+
+/**
+ * computeResultsForRange(session, requestedRange, limit, opts)
+ * - opts.allRanges, opts.bucketSet: see the routes.
+ * - opts.onProgress: progress listener (see /api/results_bundle/stream).
+ * - opts.budget: createBudget() for this request. Once it's exhausted, remaining backfill
+ *   tiers are skipped and meta.partial = { reason, unresolved: [colors], refining } says so
+ *   (running out during the primary tier leaves every unpinned color unresolved).
+ *   Partial results aren't cached; deadline/call cut-offs start refineInBackground.
+ * - opts.background: this is the background refinement itself (own inflight slot, long TTL).
+ * - opts.universe: createCandidateUniverse() shared with the other ranges of the bundle
+ *   (a private one is made if missing). Its bucket set, budget and filters must match opts'.
+ * - opts.filters: parseFilters() content filters; every tier's pool is screened with them.
+ * - opts.others: how many runners-up to return per color (result[color].others), default OTHERS_DEFAULT.
+ * - opts.overrides: compileOverrides() of the user's pins/exclusions (see userOverrides).
+ *   Pinned colors are set before anything is picked; excluded albums never enter a tier.
+ * - opts.source: replaces top tracks as the primary pool (see historySource):
+ *   { id, tier, strictness, cap, load(universe) -> candidates }. `id` keys the cache,
+ *   `strictness` is the range whose thresholds to use, `cap` how many candidates to analyze.
+ */
+async function computeResultsForRange(session, requestedRange, limit, opts = {}) {
   const allRanges =
     Array.isArray(opts.allRanges) && opts.allRanges.length
       ? opts.allRanges
       : ["short_term", "medium_term", "long_term"];
 
-  const S = strictnessForRange(requestedRange);
+  const source = opts.source || null;
+  const primaryTier = source?.tier || "top_tracks";
+  const S = strictnessForRange(source?.strictness || requestedRange);
   const DOMINANCE_CAP = 3.0;
-
-  const cKey = `${tokenKey(accessToken)}:range:${requestedRange}:limit:${limit}`;
+  const bucketSet = opts.bucketSet || DEFAULT_BUCKET_SET;
+  const ORDER = bucketSet.order;
+  const othersN = opts.others ?? OTHERS_DEFAULT;
+  const overrides = opts.overrides || NO_OVERRIDES;
+  const allowed = (album) => !overrides.excluded(album);
+  const filters = opts.filters || NO_FILTERS;
+
+  const cKey =
+    `${sessionKey(session)}:range:${source?.id || requestedRange}:limit:${limit}` +
+    `:buckets:${bucketSet.id}:others:${othersN}:overrides:${overrides.rev}:filters:${filters.id}`;
   const cached = computeCacheGet(cKey);
   if (cached) return cached;
-  if (COMPUTE_INFLIGHT.has(cKey)) return COMPUTE_INFLIGHT.get(cKey);
 
-  const p = (async () => {
-    // 1) top tracks (requested range)
-    const candidates = await gatherTopTrackCandidates(accessToken, requestedRange, {
-      pages: 1,
-      pageSize: limit,
-      maxUnique: 260,
-      timeWeight: 1.0,
-    });
+  // A refinement runs under its own key: a foreground request must never end up
+  // waiting on it (and on its much longer deadline).
+  const runKey = opts.background ? `${cKey}:refine` : cKey;
+  const inflight = COMPUTE_INFLIGHT.get(runKey);
+  // joining keeps the shared work alive for this caller (an exhausted one is recomputed)
+  if (inflight && (!inflight.budget || inflight.budget.join(opts.budget))) {
+    return followCompute(inflight, opts.onProgress);
+  }
 
-    // small bonus for top artists (cached)
-    try {
-      const artists = await fetchTopArtists(accessToken, 12);
-      const aitems = artists.items || [];
-      const bonus = Object.create(null);
-      aitems.forEach((a, i) => (bonus[a.name] = (aitems.length - i) / 22));
-
-      for (const album of candidates) {
-        const primary = (album.artist || "").split(",")[0].trim();
-        if (bonus[primary]) album.score += bonus[primary];
+  const budget = opts.budget || null;
+  const universe = opts.universe || createCandidateUniverse(session, { bucketSet, budget, filters });
+  // content filters, then the user's exclusions (pins are exempt from both)
+  const keep = async (pool, priority) => (await universe.screen(pool, priority)).filter(allowed);
+
+  // progress events: { type, range, ... } (see /api/results_bundle/stream)
+  const progress = { events: [], listeners: new Set() };
+  if (opts.onProgress) progress.listeners.add(opts.onProgress);
+
+  const emit = (type, data) => {
+    const ev = { type, range: requestedRange, ...data };
+    progress.events.push(ev);
+    for (const fn of progress.listeners) {
+      try {
+        fn(ev);
+      } catch (e) {
+        console.error("Progress listener failed:", e);
       }
-    } catch {}
-
-    const limited = candidates
-      .map((a) => ({ ...a, score: Math.min(a.score, DOMINANCE_CAP) }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 35);
-
-    await enrichWithDominant(limited, 6);
+    }
+  };
 
-    // bucketize
-    const buckets = Object.create(null);
-    for (const c of COLOR_ORDER) buckets[c] = [];
+  const p = (async () => {
+    const result = buildEmptyResult(ORDER);
+    const pinnedColors = ORDER.filter((c) => overrides.pins.has(c));
+    const outOfBudget = () => !!budget?.exhausted;
+    let limited = [];
 
-    for (const a of limited) {
-      if (!a.hex) continue;
-      const bucket = hexToSimpleBucket(a.hex);
-      buckets[bucket]?.push(a);
-    }
+    // Running out of budget before the primary pool is in leaves the grid empty: the result
+    // is then partial (and refined) like any other cut-off, not an error.
+    try {
+      // 0) pins: the user's own choice for a color, whatever its cover says
+      const pinned = pinnedColors.map((c) => ({
+        ...overrides.pins.get(c),
+        source: "pinned",
+        score: 0,
+        count: 0,
+      }));
+      await universe.analyze(pinned);
+      pinnedColors.forEach((color, i) => {
+        const top = { ...pinned[i], why: { tier: "pinned" } };
+        result[color] = { top, others: [] };
+        emit("color", { color, top, source: "pinned" });
+      });
 
-    for (const c of COLOR_ORDER) buckets[c].sort((x, y) => cmpAlbumStrength(x, y));
-
-    // pick tops (+ others)
-    const result = buildEmptyResult();
-    for (const color of COLOR_ORDER) {
-      const list = buckets[color] || [];
-      const top = pickTopForColor(
-        list,
-        color,
-        S.pickWindow,
-        `${requestedRange}:${color}:primary`,
-        S.dominanceMargin
+      // 1) top tracks (requested range), or the source standing in for them
+      const candidates = await keep(
+        source
+          ? await source.load(universe)
+          : await universe.topTracks(requestedRange, {
+              pages: 1,
+              pageSize: limit,
+              maxUnique: 260,
+              priority: "primary",
+            }),
+        "primary"
       );
+      emit("candidates", { tier: primaryTier, count: candidates.length });
+
+      // small bonus for top artists (shared); a source's scores are real listening, left as is
+      if (!source) {
+        try {
+          const aitems = await universe.topArtists(12);
+          const bonus = Object.create(null);
+          aitems.forEach((a, i) => (bonus[a.name] = (aitems.length - i) / 22));
+
+          for (const album of candidates) {
+            const primary = (album.artist || "").split(",")[0].trim();
+            if (bonus[primary]) {
+              album.score += bonus[primary];
+              album.artist_bonus = bonus[primary];
+            }
+          }
+        } catch {}
+      }
 
-      result[color] = {
-        top: top || null,
-        others: list.filter((x) => x?.id !== top?.id).slice(0, 6),
-      };
-    }
+      limited = candidates
+        .map((a) => ({ ...a, uncapped: a.score, score: Math.min(a.score, DOMINANCE_CAP) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, source?.cap || 35);
+
+      await universe.analyze(limited);
+      emit("analyzed", { tier: primaryTier, count: limited.length });
+
+      // assign tops across all unpinned colors at once (+ others)
+      const open = ORDER.filter((c) => !overrides.pins.has(c));
+      const assigned = assignTops(limited, open, new Set(), {
+        variety: {
+          keyFor: (color) => `${requestedRange}:${color}:primary`,
+          window: S.pickWindow,
+          dominanceMargin: S.dominanceMargin,
+        },
+      });
 
-    enforceUniqueTops(result);
+      const taken = new Set(open.map((c) => assigned[c].top?.id).filter(Boolean));
+      for (const color of open) {
+        const { top, list, why } = assigned[color];
+        const explain = { tier: primaryTier, minFit: 0, choice: why, cap: DOMINANCE_CAP };
+        result[color] = {
+          top: top && explainPick(top, color, explain),
+          others: list.filter((x) => !taken.has(x.id)).slice(0, othersN),
+        };
+        if (top) emit("color", { color, top: result[color].top, source: primaryTier });
+      }
+    } catch (e) {
+      if (!outOfBudget()) throw e;
+    }
 
     const usedIds = () => getUsedAlbumIds(result);
-    const missing = () => COLOR_ORDER.filter((c) => !result[c]?.top);
+    const missing = () => ORDER.filter((c) => !result[c]?.top);
     const backfilledBy = Object.create(null);
 
-    // 2) saved
-    for (const color of missing()) {
-      const pick = await findSavedAlbumBackfillForColor(accessToken, color, usedIds(), {
-        maxToScan: S.savedScan,
-        minConf: S.minConf,
-      }).catch(() => null);
+    // others: the tier's runners-up for the color, minus albums already on the grid
+    const fill = (color, top, tier, list = []) => {
+      const taken = usedIds();
+      taken.add(top.id);
+      result[color] = { top, others: list.filter((x) => !taken.has(x.id)).slice(0, othersN) };
+      backfilledBy[color] = tier;
+      emit("color", { color, top, source: tier });
+    };
+
+    // Every tier starts with stage(): once the budget is gone, it hands out no more colors.
+    const stage = (tier) => {
+      if (outOfBudget()) return [];
+      const colors = missing();
+      if (colors.length) emit("backfill", { tier, colors });
+      return colors;
+    };
 
-      if (pick) {
-        result[color] = { top: pick, others: [] };
-        backfilledBy[color] = "saved";
+    // One backfill tier: load(), analyze the pool, then assign it to the still-missing colors.
+    // Library/catalog albums carry no listening score, so they compete on color confidence.
+    // Tiers are isolated: a failed fetch skips the tier; only running out of budget ends them all.
+    const backfillFrom = async (tier, load, assignOpts) => {
+      const colors = stage(tier);
+      if (!colors.length) return;
+      let pool;
+      try {
+        pool = await keep(await load());
+        emit("candidates", { tier, count: pool.length });
+        await universe.analyze(pool);
+        emit("analyzed", { tier, count: pool.length });
+      } catch (e) {
+        if (outOfBudget()) throw e;
+        console.error(`Backfill tier ${tier} failed:`, e);
+        return;
       }
-    }
 
-    // 3) artists
-    for (const color of missing()) {
-      const pick = await findArtistBackfillForColor(accessToken, color, usedIds(), {
-        topArtistsN: S.topArtistsN,
-        albumsPerArtist: S.albumsPerArtist,
-        candidateCap: S.candidateCap,
-        minConf: S.minConf,
-      }).catch(() => null);
-
-      if (pick) {
-        result[color] = { top: pick, others: [] };
-        backfilledBy[color] = "artist";
+      const picks = assignTops(pool, colors, usedIds(), assignOpts);
+      for (const [color, { top, list, why }] of Object.entries(picks)) {
+        if (!top) continue;
+        const explained = explainPick(top, color, { tier, minFit: assignOpts.minFit, choice: why });
+        fill(color, { ...explained, source: top.source || tier }, tier, list);
       }
-    }
+    };
 
-    // 4) widen only if missing >=2
-    if (missing().length >= 2) {
-      // wider saved
-      for (const color of missing()) {
-        const pick = await findSavedAlbumBackfillForColor(accessToken, color, usedIds(), {
-          maxToScan: S.savedScanWide,
-          minConf: S.minConfWide,
-        }).catch(() => null);
-
-        if (pick) {
-          result[color] = { top: pick, others: [] };
-          backfilledBy[color] = "saved_wide";
-        }
+    try {
+      // 2) liked songs: albums weighted by how much of them is liked
+      if (missing().length) {
+        await backfillFrom("liked", () => universe.likedAlbums(S.likedScan), { minFit: S.minConf });
       }
 
-      // wider artists
-      for (const color of missing()) {
-        const pick = await findArtistBackfillForColor(accessToken, color, usedIds(), {
-          topArtistsN: S.topArtistsN + 4,
-          albumsPerArtist: S.albumsPerArtist + 6,
-          candidateCap: S.candidateCap + 80,
-          minConf: S.minConfWide,
-        }).catch(() => null);
-
-        if (pick) {
-          result[color] = { top: pick, others: [] };
-          backfilledBy[color] = "artist_wide";
-        }
+      // 3) saved
+      if (missing().length && !outOfBudget()) {
+        await backfillFrom("saved", () => universe.savedAlbums(S.savedScan), {
+          minFit: S.minConf,
+          by: "confidence",
+        });
       }
 
-      // wide top-tracks pool
-      if (missing().length) {
-        const widePool = [];
+      // 4) playlists: albums that keep coming back across the user's playlists
+      if (missing().length && !outOfBudget()) {
+        await backfillFrom("playlist", () => universe.playlistAlbums(S.playlistScan), { minFit: S.minConf });
+      }
 
-        const reqCands = await gatherTopTrackCandidates(accessToken, requestedRange, {
-          pages: S.topTrackPagesWide + 2,
-          pageSize: 50,
-          maxUnique: 340,
-          timeWeight: 1.0,
+      // 5) artists
+      if (missing().length && !outOfBudget()) {
+        const catalog = () =>
+          universe.artistCatalog({
+            topArtistsN: S.topArtistsN,
+            albumsPerArtist: S.albumsPerArtist,
+            candidateCap: S.candidateCap,
+          });
+        await backfillFrom("artist", catalog, { minFit: S.minConf, by: "confidence" });
+      }
+
+      // 6) widen only if missing >=2
+      if (missing().length >= 2 && !outOfBudget()) {
+        // wider saved
+        await backfillFrom("saved_wide", () => universe.savedAlbums(S.savedScanWide, "wide"), {
+          minFit: S.minConfWide,
+          by: "confidence",
         });
-        widePool.push(...reqCands);
 
-        for (const r of allRanges.filter((r) => r !== requestedRange)) {
-          const cands = await gatherTopTrackCandidates(accessToken, r, {
-            pages: 2,
-            pageSize: 50,
-            maxUnique: 240,
-            timeWeight: 0.55,
-          });
-          widePool.push(...cands);
+        // wider artists
+        if (missing().length && !outOfBudget()) {
+          const catalog = () =>
+            universe.artistCatalog(
+              {
+                topArtistsN: S.topArtistsN + 4,
+                albumsPerArtist: S.albumsPerArtist + 6,
+                candidateCap: S.candidateCap + 80,
+              },
+              "wide"
+            );
+          await backfillFrom("artist_wide", catalog, { minFit: S.minConfWide, by: "confidence" });
         }
 
-        const FIRST = Math.min(S.firstEnrich, widePool.length);
-        await enrichWithDominant(widePool.slice(0, FIRST), 6);
-
-        for (const color of missing()) {
-          const pick = pickBestMatchingFromPool(widePool, color, usedIds(), S.minConfWide);
-          if (pick) {
-            result[color] = { top: { ...pick, source: "wide_top_tracks" }, others: [] };
-            backfilledBy[color] = "wide_top_tracks";
+        // wide top-tracks pool (a source has no top tracks of its own: other ranges only)
+        if (missing().length && !outOfBudget()) {
+          const widePool = source
+            ? []
+            : await universe.topTracks(requestedRange, {
+                pages: S.topTrackPagesWide + 2,
+                pageSize: 50,
+                maxUnique: 340,
+                priority: "wide",
+              });
+
+          for (const r of allRanges.filter((r) => r !== requestedRange)) {
+            const cands = await universe.topTracks(r, {
+              pages: 2,
+              pageSize: 50,
+              maxUnique: 240,
+              timeWeight: 0.55,
+              priority: "wide",
+            });
+            widePool.push(...cands);
           }
-        }
 
-        let idx = FIRST;
-        const MAX_TOTAL = Math.min(S.maxTotalEnrich, widePool.length);
+          const FIRST = Math.min(S.firstEnrich, widePool.length);
+          await backfillFrom("wide_top_tracks", () => widePool.slice(0, FIRST), { minFit: S.minConfWide });
 
-        while (missing().length && idx < MAX_TOTAL) {
-          await enrichMoreIfNeeded(widePool, idx, S.enrichBatch);
-          idx += S.enrichBatch;
+          let idx = FIRST;
+          const MAX_TOTAL = Math.min(S.maxTotalEnrich, widePool.length);
 
-          for (const color of missing()) {
-            const pick = pickBestMatchingFromPool(widePool, color, usedIds(), 0.0);
-            if (pick) {
-              result[color] = { top: { ...pick, source: "ultra_loose" }, others: [] };
-              backfilledBy[color] = "ultra_loose";
-            }
+          while (missing().length && idx < MAX_TOTAL && !outOfBudget()) {
+            idx = Math.min(idx + S.enrichBatch, MAX_TOTAL);
+            await backfillFrom("ultra_loose", () => widePool.slice(0, idx), { minFit: 0.0 });
           }
         }
       }
-    }
-
-    // 5) last resort: other time ranges
-    if (missing().length) {
-      const pool = [];
-      for (const r of allRanges.filter((r) => r !== requestedRange)) {
-        const w = r === "short_term" ? 0.6 : r === "medium_term" ? 0.55 : 0.5;
-        const cands = await gatherTopTrackCandidates(accessToken, r, {
-          pages: 2,
-          pageSize: 50,
-          maxUnique: 260,
-          timeWeight: w,
-        });
-        pool.push(...cands);
-      }
 
-      await enrichWithDominant(pool.slice(0, 420), 6);
-
-      for (const color of missing()) {
-        const pick = pickBestMatchingFromPool(pool, color, usedIds(), 0.0);
-        if (pick) {
-          result[color] = { top: { ...pick, source: "other_ranges_last" }, others: [] };
-          backfilledBy[color] = "other_ranges_last";
+      // 7) last resort: other time ranges
+      if (missing().length && !outOfBudget()) {
+        const pool = [];
+        for (const r of allRanges.filter((r) => r !== requestedRange)) {
+          const w = r === "short_term" ? 0.6 : r === "medium_term" ? 0.55 : 0.5;
+          const cands = await universe.topTracks(r, {
+            pages: 2,
+            pageSize: 50,
+            maxUnique: 260,
+            timeWeight: w,
+            priority: "wide",
+          });
+          pool.push(...cands);
         }
+
+        await backfillFrom("other_ranges_last", () => pool.slice(0, 420), { minFit: 0.0 });
       }
+    } catch (e) {
+      // running out of budget mid-tier just ends backfilling; anything else is a real failure
+      if (!outOfBudget()) throw e;
     }
 
-    enforceUniqueTops(result);
-
     const out = {
       analyzed: limited.length,
       result,
       meta: {
         method: "bundle_ready_min_app_overrides_all_colors",
         time_range: requestedRange,
-        backfilled_colors: COLOR_ORDER.filter((c) => !!backfilledBy[c]),
+        backfilled_colors: ORDER.filter((c) => !!backfilledBy[c]),
         backfilled_by: backfilledBy,
+        pinned_colors: pinnedColors,
+        filters: describeFilters(filters),
+        bucket_set: describeBucketSet(bucketSet),
+        partial: null,
       },
     };
 
-    computeCacheSet(cKey, out);
+    const unresolved = missing();
+    if (outOfBudget() && unresolved.length) {
+      const refining = !opts.background && budget.reason !== "cancelled";
+      out.meta.partial = { reason: budget.reason, unresolved, refining };
+      if (refining) refineInBackground(session, requestedRange, limit, opts);
+    } else {
+      computeCacheSet(cKey, out, opts.background ? REFINED_TTL : COMPUTE_TTL);
+    }
     return out;
   })();
 
-  COMPUTE_INFLIGHT.set(cKey, p);
+  const entry = { p, budget, progress };
+  COMPUTE_INFLIGHT.set(runKey, entry);
   try {
     return await p;
   } finally {
-    COMPUTE_INFLIGHT.delete(cKey);
+    if (COMPUTE_INFLIGHT.get(runKey) === entry) COMPUTE_INFLIGHT.delete(runKey);
   }
 }
 
+/**
+ * explainPick(album, color, { tier, minFit, choice, cap })
+ * - The chosen album with `why` attached (what the frontend's detail panel shows):
+ *   { tier, top_tracks: [{ name, rank, range }], score: { final, base, artist_bonus, cap, capped },
+ *     color: explainFit(), choice: assignTops' why }.
+ * - score.base is the tier's own score (for top tracks: the rank-weighted sum) before the
+ *   top-artist bonus; cap is only set for the primary
+ *   tier, where scores are capped at DOMINANCE_CAP before picking.
+ */
+function explainPick(album, color, { tier, minFit = 0, choice = null, cap = null }) {
+  const { top_tracks: topTracks = [], artist_bonus: artistBonus = 0, uncapped, ...rest } = album;
+  const raw = typeof uncapped === "number" ? uncapped : album.score;
+  return {
+    ...rest,
+    why: {
+      tier,
+      top_tracks: topTracks,
+      score: {
+        final: album.score,
+        base: raw - artistBonus,
+        artist_bonus: artistBonus,
+        cap,
+        capped: cap !== null && raw > cap,
+      },
+      color: explainFit(album, color, minFit),
+      choice,
+    },
+  };
+}
+
+/**
+ * refineInBackground(session, requestedRange, limit, opts)
+ * - Re-runs a range that was cut short, with REFINE_* limits and nobody waiting on it.
+ *   A complete result lands in the compute cache for REFINED_TTL.
+ */
+function refineInBackground(session, requestedRange, limit, opts) {
+  const budget = createBudget({ ms: REFINE_DEADLINE, calls: REFINE_CALL_BUDGET });
+  computeResultsForRange(session, requestedRange, limit, {
+    allRanges: opts.allRanges,
+    bucketSet: opts.bucketSet,
+    others: opts.others,
+    overrides: opts.overrides,
+    filters: opts.filters,
+    source: opts.source,
+    budget,
+    background: true,
+  })
+    .catch((e) => console.error(`Background refine failed (${requestedRange}):`, e))
+    .finally(() => budget.dispose());
+}
+
 // ===============================
-// Routes
+// Streaming history (Extended streaming history import)
 // ===============================
-app.get("/", (req, res) => {
-  res.send(`
-    <h1>ChromaFM</h1>
-    <p><a href="/login">Login with Spotify</a></p>
-    <p>After login, visit <a href="/api/results">/api/results</a>
-  `);
-});
 
-app.get("/login", (req, res) => {
-  const params = new URLSearchParams({
-    response_type: "code",
-    client_id: CLIENT_ID,
-    scope: "user-top-read user-library-read",
-    redirect_uri: REDIRECT_URI,
-    show_dialog: "true",
-  });
-  res.redirect(`https://accounts.spotify.com/authorize?${params.toString()}`);
+// Imports are stored per Spotify user, not per session, so they survive logging out and
+// back in. Each user's history is its own file (a long one runs to megabytes), read when
+// used. Track -> album lookups (for cover art) are cached on disk for everyone.
+const HISTORY_UPLOAD_LIMIT = "40mb";
+const HISTORY_MAX_USERS = 200;
+const HISTORY_TOP_ALBUMS = 120;
+const HISTORY_ANALYZE = 80;
+const TRACK_LOOKUP_BATCH = 50;
+
+const HISTORY_STORE = openFileDirStore({
+  dir: path.join(DATA_DIR, "streaming-history"),
+  version: 1,
+  maxEntries: HISTORY_MAX_USERS,
 });
 
-app.get("/auth/callback", async (req, res) => {
-  try {
-    const code = req.query.code;
-    if (!code) return res.status(400).send("Missing code");
-
-    const tokenRes = await fetch("https://accounts.spotify.com/api/token", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        Authorization:
-          "Basic " + Buffer.from(CLIENT_ID + ":" + CLIENT_SECRET).toString("base64"),
-      },
-      body: new URLSearchParams({
-        grant_type: "authorization_code",
-        code: code.toString(),
-        redirect_uri: REDIRECT_URI,
-      }),
-    });
+const TRACK_ALBUM_STORE = openFileStore({
+  file: path.join(DATA_DIR, "track-albums.json"),
+  version: 2,
+  maxEntries: 100_000,
+  maxBytes: 32 * 1024 * 1024,
+});
 
-    const tokenData = await tokenRes.json();
-    if (!tokenRes.ok) {
-      return res
-        .status(500)
-        .send("Token error: " + escapeHtml(JSON.stringify(tokenData, null, 2)));
-    }
+/**
+ * sessionUserId(session)
+ * - The Spotify user ID behind a session (one /v1/me call, then remembered on the session).
+ */
+async function sessionUserId(session) {
+  if (!session.userId) {
+    const me = await fetchMe(session, "primary");
+    if (!me?.id) throw new Error("Could not read the Spotify profile");
+    session.userId = me.id;
+  }
+  return session.userId;
+}
 
-    res.cookie("access_token", tokenData.access_token, {
+/**
+ * resolveTrackAlbums(session, trackIds, budget)
+ * - Makes sure TRACK_ALBUM_STORE knows the album of every track (batched /v1/tracks calls).
+ *   Tracks Spotify no longer has are remembered as {} so they aren't looked up again.
+ */
+async function resolveTrackAlbums(session, trackIds, budget) {
+  const unknown = [...new Set(trackIds)].filter((id) => !TRACK_ALBUM_STORE.has(id));
+
+  for (let i = 0; i < unknown.length; i += TRACK_LOOKUP_BATCH) {
+    const ids = unknown.slice(i, i + TRACK_LOOKUP_BATCH);
+    const res = await fetchTracks(session, ids, "primary", budget);
+    const found = new Map((res.tracks || []).filter((t) => t?.id).map((t) => [t.id, t.album]));
+
+    for (const id of ids) {
+      const album = found.get(id);
+      TRACK_ALBUM_STORE.set(
+        id,
+        album?.id
+          ? {
+              id: album.id,
+              name: album.name,
+              album_type: album.album_type,
+              total_tracks: album.total_tracks,
+              release_date: album.release_date,
+              artists: (album.artists || []).map((a) => ({ id: a.id, name: a.name })),
+              images: (album.images || []).slice(0, 1),
+            }
+          : {}
+      );
+    }
+  }
+}
+
+/**
+ * historySource(session, history, window)
+ * - A primary pool for computeResultsForRange (opts.source): the window's most played
+ *   albums, scored by play time relative to the top one (source "history").
+ * - Each candidate carries played_ms and plays.
+ */
+function historySource(session, history, window) {
+  const span = window.to - window.from;
+  return {
+    id: `history:${history.updatedAt}:${window.from}:${window.to}`,
+    tier: "history",
+    strictness: span <= 45 * 86_400_000 ? "short_term" : span <= 200 * 86_400_000 ? "medium_term" : "long_term",
+    cap: HISTORY_ANALYZE,
+    async load(universe) {
+      const top = topAlbumsInWindow(history, window, { normalizeAlbumName, limit: HISTORY_TOP_ALBUMS });
+      await resolveTrackAlbums(session, top.map((a) => a.trackId), universe.budget);
+
+      const maxMs = top[0]?.ms || 1;
+      const out = [];
+      for (const a of top) {
+        const album = TRACK_ALBUM_STORE.get(a.trackId);
+        if (!album?.id || isOneTrackAlbum(album) || !album.images?.[0]?.url) continue;
+        out.push({
+          ...albumCandidate(album, "history"),
+          score: a.ms / maxMs,
+          count: a.plays,
+          played_ms: a.ms,
+          plays: a.plays,
+        });
+      }
+      return out;
+    },
+  };
+}
+
+/**
+ * describeWindow(window)
+ * - JSON-safe window for meta.window (open ends are null).
+ */
+function describeWindow(window) {
+  const iso = (t) => (Number.isFinite(t) && t > 0 ? new Date(t).toISOString() : null);
+  return { id: window.id, label: window.label, from: iso(window.from), to: iso(window.to) };
+}
+
+// ===============================
+// Overrides (pins and exclusions)
+// ===============================
+
+// Stored per Spotify user like the streaming history, so they outlast sessions and caches.
+const OVERRIDES_MAX_USERS = 10_000;
+
+const OVERRIDES_STORE = openFileStore({
+  file: path.join(DATA_DIR, "overrides.json"),
+  version: 1,
+  maxEntries: OVERRIDES_MAX_USERS,
+});
+
+const NO_OVERRIDES = compileOverrides(null);
+
+/**
+ * userOverrides(session)
+ * - The session user's pins/exclusions, compiled for computeResultsForRange.
+ */
+async function userOverrides(session) {
+  const userId = await sessionUserId(session);
+  return compileOverrides(OVERRIDES_STORE.get(userId));
+}
+
+/**
+ * changeOverrides(session, change)
+ * - Runs change(overrides) on the user's stored overrides and saves them. Resolves with them.
+ */
+async function changeOverrides(session, change) {
+  const userId = await sessionUserId(session);
+  const overrides = OVERRIDES_STORE.get(userId) || emptyOverrides();
+  change(overrides);
+  OVERRIDES_STORE.set(userId, overrides);
+  return overrides;
+}
+
+/**
+ * lookupAlbum(session, id)
+ * - One album from /v1/albums as a candidate (404 if Spotify doesn't know it).
+ */
+async function lookupAlbum(session, id) {
+  const res = await fetchAlbums(session, [id], "primary");
+  const album = res.albums?.[0];
+  if (!album?.id) {
+    const err = new Error(`Unknown album ${id}`);
+    err.status = 404;
+    throw err;
+  }
+  return albumCandidate(album, "pinned");
+}
+
+// ===============================
+// Palette snapshots (/api/history)
+// ===============================
+
+// Per Spotify user: the thinned list from snapshots.js (tens of snapshots, a few KB each).
+const SNAPSHOT_MAX_USERS = 2000;
+
+const SNAPSHOT_STORE = openFileStore({
+  file: path.join(DATA_DIR, "snapshots.json"),
+  version: 1,
+  maxEntries: SNAPSHOT_MAX_USERS,
+  maxBytes: 96 * 1024 * 1024,
+});
+
+/**
+ * recordSnapshot(session, bucketSet, filters, bundle)
+ * - Keeps a complete bundle as today's snapshot for its bucket set; partial ones
+ *   (deadline hit, still refining) are skipped. refineInBackground records nothing itself:
+ *   the frontend re-fetches a refining bundle, which then comes complete from the compute
+ *   cache and is recorded here.
+ * - Only unfiltered bundles are kept: a snapshot's id is its day and bucket set, so a filtered
+ *   grid would replace that day's real one.
+ */
+async function recordSnapshot(session, bucketSet, filters, bundle) {
+  if (filters.id !== "none") return;
+  if (Object.values(bundle).some((data) => !data?.result || data.meta?.partial)) return;
+  const userId = await sessionUserId(session);
+  const snapshot = snapshotFromBundle(bundle, { bucketSet: describeBucketSet(bucketSet), filters: filters.id });
+  SNAPSHOT_STORE.set(userId, addSnapshot(SNAPSHOT_STORE.get(userId), snapshot));
+}
+
+/**
+ * compareSide(session, spec, opts)
+ * - One side of /api/compare: "short_term" (the live range, computed like /api/results) or
+ *   "<snapshot id>:<range>" (a stored snapshot of the same bucket set).
+ * - opts: { bucketSet, budget, others, overrides, filters }.
+ * - Returns { spec, range, snapshot: { id, day } | null, tops: { [color]: top } }.
+ */
+async function compareSide(session, spec, { bucketSet, budget, others, overrides, filters }) {
+  const allRanges = ["short_term", "medium_term", "long_term"];
+  const [first, second] = spec.split(":");
+  const range = second === undefined ? first : second;
+  if (!allRanges.includes(range)) {
+    const err = new Error(`Bad comparison side "${spec}": use a range or <snapshot id>:<range>`);
+    err.status = 400;
+    throw err;
+  }
+
+  if (second === undefined) {
+    const out = await computeResultsForRange(session, range, 50, {
+      allRanges,
+      bucketSet,
+      budget,
+      others,
+      overrides,
+      filters,
+    });
+    const tops = {};
+    for (const color of bucketSet.order) tops[color] = out.result?.[color]?.top || null;
+    return { spec, range, snapshot: null, tops };
+  }
+
+  const userId = await sessionUserId(session);
+  const snapshot = (SNAPSHOT_STORE.get(userId) || []).find((s) => s.id === first);
+  if (!snapshot || !snapshot.ranges[range]) {
+    const err = new Error(`No such snapshot: ${spec}`);
+    err.status = 404;
+    throw err;
+  }
+  if (snapshot.bucket_set.id !== bucketSet.id) {
+    const err = new Error(`Snapshot ${first} is for the ${snapshot.bucket_set.label} colors`);
+    err.status = 400;
+    throw err;
+  }
+  return { spec, range, snapshot: { id: snapshot.id, day: snapshot.day }, tops: snapshot.ranges[range] };
+}
+
+// ===============================
+// Share links
+// ===============================
+
+const MAX_SHARES_PER_USER = 50;
+
+// share id -> share (see shares.js); the owner's ids are indexed separately for listing.
+const SHARE_STORE = openFileStore({
+  file: path.join(DATA_DIR, "shares.json"),
+  version: 1,
+  maxEntries: 50_000,
+  maxBytes: 128 * 1024 * 1024,
+});
+const SHARE_OWNERS = openFileStore({
+  file: path.join(DATA_DIR, "share-owners.json"),
+  version: 1,
+  maxEntries: 20_000,
+});
+
+/**
+ * liveShare(id)
+ * - The stored share, or null once it's deleted or expired (expired ones are dropped here).
+ */
+function liveShare(id) {
+  const share = SHARE_STORE.get(id);
+  if (!share) return null;
+  if (isExpired(share)) {
+    SHARE_STORE.delete(id);
+    return null;
+  }
+  return share;
+}
+
+/**
+ * userShares(userId)
+ * - The user's live shares, newest first; prunes ids that expired or were evicted.
+ */
+function userShares(userId) {
+  const ids = SHARE_OWNERS.get(userId) || [];
+  const shares = ids.map(liveShare).filter(Boolean);
+  if (shares.length !== ids.length) SHARE_OWNERS.set(userId, shares.map((s) => s.id));
+  return shares.reverse();
+}
+
+// Links are built from the request unless PUBLIC_BASE_URL says where the backend is reachable.
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+}
+
+function shareLink(req, share) {
+  return {
+    id: share.id,
+    url: `${publicBaseUrl(req)}/s/${share.id}`,
+    title: share.title,
+    created_at: share.created_at,
+    expires_at: share.expires_at,
+  };
+}
+
+// ===============================
+// Export image (server-side render)
+// ===============================
+// The picture from the frontend's "Download Picture", rendered here from a live result, a
+// stored snapshot or a share link (layout shared via shared/exportLayout.js). ?preset= picks
+// its shape (story 1080x1920 by default; see EXPORT_PRESETS).
+
+const EXPORT_PNG_CACHE = new Map(); // sha256(layout) -> png Buffer
+const EXPORT_PNG_CACHE_MAX = 50;
+const EXPORT_COVER_CACHE = new Map(); // cover url -> image Buffer | null
+const EXPORT_COVER_CACHE_MAX = 300;
+const EXPORT_COVER_TIMEOUT = 8000;
+const EXPORT_COVER_MAX_BYTES = 4 * 1024 * 1024; // Spotify's 640px covers are ~100 KB
+// Renders are heavy and /s/:id/image.png is public: a few run at once, a short queue waits
+// behind them, and anything beyond that gets a 503.
+const EXPORT_RENDERS_MAX = 2;
+const EXPORT_RENDER_QUEUE_MAX = 8;
+let exportRenders = 0;
+const exportRenderQueue = []; // resolve() of renders waiting for a slot
+
+/**
+ * exportTilesFromTops(tops, bucketSet)
+ * - { [color]: top } (a result's or a snapshot's) -> layout tiles in the set's display order.
+ */
+function exportTilesFromTops(tops, bucketSet) {
+  const set = describeBucketSet(bucketSet);
+  const byId = new Map(set.buckets.map((b) => [b.id, b]));
+  return (set.display_order || set.order).map((color) => ({
+    label: byId.get(color)?.label || color,
+    border: byId.get(color)?.display || null,
+    top: tops?.[color] || null,
+  }));
+}
+
+/**
+ * exportTilesFromShare(share)
+ * - A share's stored tiles -> layout tiles.
+ */
+function exportTilesFromShare(share) {
+  return share.tiles.map((t) => ({
+    label: t.label,
+    border: t.border,
+    top: t.name ? { name: t.name, artist: t.artist, image: t.image, color: { hex: t.hex, palette: t.palette } } : null,
+  }));
+}
+
+/**
+ * readCapped(res, maxBytes)
+ * - A fetch response's body as a Buffer, or null once it passes maxBytes (the rest isn't read).
+ */
+async function readCapped(res, maxBytes) {
+  if (Number(res.headers.get("content-length")) > maxBytes) {
+    await res.body?.cancel();
+    return null;
+  }
+  const chunks = [];
+  let n = 0;
+  for await (const chunk of res.body) {
+    n += chunk.length;
+    if (n > maxBytes) return null; // leaving the loop cancels the stream
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * fetchExportCover(url)
+ * - Cover bytes for the server render (same host allowlist as /api/proxy_image); null if
+ *   the host isn't allowed, the fetch fails or takes longer than EXPORT_COVER_TIMEOUT, or the
+ *   image is over EXPORT_COVER_MAX_BYTES. Cover URLs are content-addressed, so the bytes for
+ *   a URL never change and are cached.
+ */
+async function fetchExportCover(url) {
+  if (EXPORT_COVER_CACHE.has(url)) return EXPORT_COVER_CACHE.get(url);
+  let bytes = null;
+  try {
+    const u = new URL(url);
+    if (isAllowedImageUrl(u)) {
+      const imgRes = await fetch(u.toString(), {
+        headers: { "User-Agent": "Mozilla/5.0" },
+        signal: AbortSignal.timeout(EXPORT_COVER_TIMEOUT),
+      });
+      if (imgRes.ok) bytes = await readCapped(imgRes, EXPORT_COVER_MAX_BYTES);
+      else await imgRes.body?.cancel();
+    }
+  } catch {
+    bytes = null;
+  }
+  // a failed fetch isn't remembered: the next render tries again
+  if (bytes) {
+    EXPORT_COVER_CACHE.set(url, bytes);
+    if (EXPORT_COVER_CACHE.size > EXPORT_COVER_CACHE_MAX) {
+      EXPORT_COVER_CACHE.delete(EXPORT_COVER_CACHE.keys().next().value);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * parseExportPreset(value)
+ * - ?preset= for the export routes: an EXPORT_PRESETS id, the story picture when empty.
+ *   Throws (status 400) for unknown ids.
+ */
+function parseExportPreset(value) {
+  const id = (value || DEFAULT_EXPORT_PRESET).toString();
+  if (exportPreset(id)) return id;
+  const err = new Error(`Unknown preset "${id}" (one of ${EXPORT_PRESETS.map((p) => p.id).join(", ")})`);
+  err.status = 400;
+  throw err;
+}
+
+/**
+ * withRenderSlot(run)
+ * - Runs `run` once fewer than EXPORT_RENDERS_MAX renders are going; throws (status 503) when
+ *   EXPORT_RENDER_QUEUE_MAX are already waiting.
+ */
+async function withRenderSlot(run) {
+  if (exportRenders < EXPORT_RENDERS_MAX) {
+    exportRenders += 1;
+  } else {
+    if (exportRenderQueue.length >= EXPORT_RENDER_QUEUE_MAX) {
+      const err = new Error("Too many pictures are being rendered; try again in a moment");
+      err.status = 503;
+      throw err;
+    }
+    // the finishing render hands its slot over, so the count stays
+    await new Promise((resolve) => exportRenderQueue.push(resolve));
+  }
+  try {
+    return await run();
+  } finally {
+    const next = exportRenderQueue.shift();
+    if (next) next();
+    else exportRenders -= 1;
+  }
+}
+
+/**
+ * sendExportPng(req, res, { layout, cacheControl })
+ * - Renders (or reuses) and sends a layout from layoutExport or layoutDiffExport; the ETag is
+ *   the layout's hash, so the same input gives the same ETag and the same bytes.
+ * - Renders go through withRenderSlot (cached pictures and 304s don't).
+ */
+async function sendExportPng(req, res, { layout, cacheControl = "private, max-age=300" }) {
+  const etag = `"${crypto.createHash("sha256").update(JSON.stringify(layout)).digest("base64url")}"`;
+  res.set("ETag", etag);
+  res.set("Cache-Control", cacheControl);
+  if (req.get("If-None-Match") === etag) return res.status(304).end();
+
+  const png =
+    EXPORT_PNG_CACHE.get(etag) ||
+    (await withRenderSlot(async () => {
+      const srcs = [...new Set(layout.items.filter((it) => it.type === "cover").map((it) => it.src))];
+      const covers = new Map(await mapLimit(srcs, 4, async (src) => [src, await fetchExportCover(src)]));
+      const out = await renderExportPng(layout, covers);
+      // only complete renders are cached; a missing cover may load next time
+      if ([...covers.values()].every(Boolean)) {
+        EXPORT_PNG_CACHE.set(etag, out);
+        if (EXPORT_PNG_CACHE.size > EXPORT_PNG_CACHE_MAX) EXPORT_PNG_CACHE.delete(EXPORT_PNG_CACHE.keys().next().value);
+      }
+      return out;
+    }));
+  res.type("png").send(png);
+}
+
+// ===============================
+// Color playlists
+// ===============================
+
+// One bucket of a range as a playlist in the user's account: either the grid's pick plus
+// its runners-up ("top"), or every album of that color in the user's top tracks, Liked
+// Songs and saved albums ("pool").
+const PLAYLIST_MAX_ALBUMS = 30;
+const PLAYLIST_MAX_TRACKS = 300;
+
+/**
+ * colorPlaylistAlbums(session, range, color, { bucketSet, mode, budget, lead, others, overrides, filters })
+ * - Albums for a color playlist, best first, deduped, at most PLAYLIST_MAX_ALBUMS.
+ * - "top": result[color].top + others; "pool": those, then every candidate whose main
+ *   bucket is `color` (top tracks by score, then Liked Songs, then saved albums).
+ * - lead: album id the user picked for the tile; moved to the front if it's among them.
+ * - overrides, filters: the user's exclusions and the content filters hold for the pool too.
+ */
+async function colorPlaylistAlbums(
+  session,
+  range,
+  color,
+  { bucketSet, mode, budget, lead, others, overrides, filters }
+) {
+  const out = await computeResultsForRange(session, range, 50, {
+    allRanges: ["short_term", "medium_term", "long_term"],
+    bucketSet,
+    budget,
+    others,
+    overrides,
+    filters,
+  });
+  const picked = [out.result[color]?.top, ...(out.result[color]?.others || [])].filter(Boolean);
+  const at = picked.findIndex((a) => a.id === lead);
+  if (at > 0) picked.unshift(...picked.splice(at, 1));
+  if (mode !== "pool") return picked;
+
+  const S = strictnessForRange(range);
+  const universe = createCandidateUniverse(session, { bucketSet, budget, filters });
+  const tiers = [
+    await universe.topTracks(range, { pages: 2, pageSize: 50, maxUnique: 260, priority: "backfill" }),
+    await universe.likedAlbums(S.likedScan),
+    await universe.savedAlbums(S.savedScan),
+  ];
+
+  const seen = new Set(picked.map((a) => a.id));
+  const albums = [...picked];
+  for (const tier of tiers) {
+    const pool = await universe.screen(tier);
+    await universe.analyze(pool);
+    const matching = pool
+      .filter((a) => a.color?.bucket === color && !overrides.excluded(a))
+      .sort((a, b) => b.score - a.score);
+    for (const a of matching) {
+      if (seen.has(a.id)) continue;
+      seen.add(a.id);
+      albums.push(a);
+    }
+  }
+  return albums.slice(0, PLAYLIST_MAX_ALBUMS);
+}
+
+/**
+ * albumTrackUris(session, albumIds, budget)
+ * - Track URIs of the albums in album order (first 50 tracks each), capped at PLAYLIST_MAX_TRACKS.
+ */
+async function albumTrackUris(session, albumIds, budget) {
+  const uris = [];
+  for (let i = 0; i < albumIds.length && uris.length < PLAYLIST_MAX_TRACKS; i += 20) {
+    const res = await fetchAlbums(session, albumIds.slice(i, i + 20), "primary", budget);
+    for (const album of res.albums || []) {
+      for (const t of album?.tracks?.items || []) if (t?.uri) uris.push(t.uri);
+    }
+  }
+  return uris.slice(0, PLAYLIST_MAX_TRACKS);
+}
+
+// ===============================
+// Routes
+// ===============================
+
+// Runners-up per color (result[color].others); the frontend asks for more to browse them.
+const OTHERS_DEFAULT = 6;
+const OTHERS_MAX = 24;
+
+/**
+ * parseOthers(value)
+ * - ?others=<n> (or the body field): runners-up per color, 0..OTHERS_MAX (default OTHERS_DEFAULT).
+ */
+function parseOthers(value) {
+  const n = parseInt((value ?? "").toString(), 10);
+  return Number.isFinite(n) ? Math.max(0, Math.min(OTHERS_MAX, n)) : OTHERS_DEFAULT;
+}
+app.get("/", (req, res) => {
+  res.send(`
+    <h1>ChromaFM</h1>
+    <p><a href="/login">Login with Spotify</a></p>
+    <p>After login, visit <a href="/api/results">/api/results</a>
+  `);
+});
+
+app.get("/login", (req, res) => {
+  const { state, challenge } = createLoginAttempt();
+
+  res.cookie(LOGIN_STATE_COOKIE, state, {
+    httpOnly: true,
+    sameSite: "lax",
+    maxAge: LOGIN_ATTEMPT_TTL,
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: CLIENT_ID,
+    scope: [
+      "user-top-read",
+      "user-library-read",
+      "playlist-read-private",
+      "playlist-read-collaborative",
+      "playlist-modify-private",
+      "playlist-modify-public",
+      "ugc-image-upload",
+    ].join(" "),
+    redirect_uri: REDIRECT_URI,
+    state,
+    code_challenge_method: "S256",
+    code_challenge: challenge,
+    show_dialog: "true",
+  });
+  res.redirect(`${SPOTIFY_ACCOUNTS_BASE}/authorize?${params.toString()}`);
+});
+
+app.get("/auth/callback", async (req, res) => {
+  try {
+    const state = (req.query.state || "").toString();
+    const cookieState = req.cookies?.[LOGIN_STATE_COOKIE];
+    res.clearCookie(LOGIN_STATE_COOKIE, { httpOnly: true, sameSite: "lax", path: "/" });
+
+    const attempt = consumeLoginAttempt(state, cookieState);
+    if (attempt.error) {
+      const [title, detail] = AUTH_ERROR_TEXT[attempt.error];
+      return sendAuthErrorPage(res, 400, title, detail);
+    }
+
+    // User pressed "Cancel" on the Spotify consent screen (or Spotify refused).
+    if (req.query.error) {
+      return sendAuthErrorPage(
+        res,
+        400,
+        "Login cancelled",
+        `Spotify did not authorize ChromaFM (${req.query.error.toString()}).`
+      );
+    }
+
+    const code = req.query.code;
+    if (!code) return sendAuthErrorPage(res, 400, "Login failed", "Spotify did not return a code.");
+
+    const { ok, status, data: tokenData } = await requestSpotifyToken({
+      grant_type: "authorization_code",
+      code: code.toString(),
+      redirect_uri: REDIRECT_URI,
+      code_verifier: attempt.verifier,
+    });
+    if (!ok || !tokenData?.access_token) {
+      // invalid_grant = code expired, already used, or verifier mismatch.
+      const reason = tokenData?.error_description || tokenData?.error || `HTTP ${status}`;
+      return sendAuthErrorPage(
+        res,
+        tokenData?.error === "invalid_grant" ? 400 : 502,
+        "Login failed",
+        `Spotify rejected the login (${reason}). Please start again.`
+      );
+    }
+
+    // Logging in again replaces any previous session for this browser.
+    destroySession(req.cookies?.[SESSION_COOKIE]);
+    const session = createSession(tokenData);
+
+    res.cookie(SESSION_COOKIE, session.id, {
       httpOnly: true,
       sameSite: "lax",
+      maxAge: SESSION_IDLE_TTL,
     });
+    // Older builds stored the raw token in this cookie.
+    res.clearCookie("access_token", { httpOnly: true, sameSite: "lax", path: "/" });
 
     return res.redirect("http://127.0.0.1:5173/");
   } catch (err) {
-    res.status(500).send("Server error: " + escapeHtml(String(err)));
+    sendAuthErrorPage(res, 500, "Server error", String(err));
   }
 });
 
+// Available color bucket sets (public; pick one with ?buckets=<id> on the results routes).
+app.get("/api/bucket_sets", (req, res) => {
+  res.json({
+    default: DEFAULT_BUCKET_SET.id,
+    sets: [...BUCKET_SETS.values()].map(describeBucketSet),
+  });
+});
+
 app.get("/api/results", async (req, res) => {
   try {
-    const accessToken = req.cookies.access_token;
-    if (!accessToken) return res.status(401).json({ error: "Not logged in. Go to /login" });
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
 
     const limit = Math.min(parseInt((req.query.limit || "50").toString(), 10) || 50, 50);
     const requested = (req.query.time_range || "").toString();
@@ -1111,48 +3130,146 @@ app.get("/api/results", async (req, res) => {
         ? requested
         : "short_term";
 
-    const out = await computeResultsForRange(accessToken, range, limit, {
-      allRanges: ["short_term", "medium_term", "long_term"],
-    });
+    const bucketSet = getBucketSet((req.query.buckets || "").toString());
+
+    const filters = parseFilters(req.query);
+    const overrides = await userOverrides(session);
+    const budget = createBudget({ ms: parseDeadline(req), signal: requestSignal(res) });
+    try {
+      const out = await computeResultsForRange(session, range, limit, {
+        allRanges: ["short_term", "medium_term", "long_term"],
+        bucketSet,
+        budget,
+        others: parseOthers(req.query.others),
+        overrides,
+        filters,
+      });
+      res.json(out);
+    } finally {
+      budget.dispose();
+    }
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/export.png?time_range=short_term&buckets=classic&preset=square
+ * - One range's current result rendered as the export picture (same parameters as /api/results).
+ */
+app.get("/api/export.png", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const requested = (req.query.time_range || "").toString();
+    const range = ["short_term", "medium_term", "long_term"].includes(requested) ? requested : "short_term";
+    const preset = parseExportPreset(req.query.preset);
+    const bucketSet = getBucketSet((req.query.buckets || "").toString());
+    const filters = parseFilters(req.query);
+    const overrides = await userOverrides(session);
+    const budget = createBudget({ ms: parseDeadline(req), signal: requestSignal(res) });
+    try {
+      const out = await computeResultsForRange(session, range, 50, {
+        allRanges: ["short_term", "medium_term", "long_term"],
+        bucketSet,
+        budget,
+        others: parseOthers(req.query.others),
+        overrides,
+        filters,
+      });
+      const tops = Object.fromEntries(Object.entries(out.result || {}).map(([color, b]) => [color, b?.top]));
+      const tiles = exportTilesFromTops(tops, bucketSet);
+      await sendExportPng(req, res, { layout: layoutExport({ tiles, rangeLabel: timeRangeLabel(range), preset }) });
+    } finally {
+      budget.dispose();
+    }
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
 
-    res.json(out);
+/**
+ * GET /api/compare.png?from=long_term&to=short_term&buckets=classic&preset=story
+ * - The "before/after" picture of /api/compare's diff (same parameters), in an export preset.
+ */
+app.get("/api/compare.png", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const preset = parseExportPreset(req.query.preset);
+    const { bucketSet, diff } = await compareFromQuery(session, req, res);
+    const labelOf = (color) => bucketSet.buckets[color]?.label || color;
+    const borderOf = (color) => bucketSet.buckets[color]?.display || null;
+    await sendExportPng(req, res, { layout: layoutDiffExport({ diff, labelOf, borderOf, preset }) });
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    res.status(e.status || 500).json({ error: String(e) });
   }
 });
 
-// Debounce bundle per-user (15s)
-const BUNDLE_INFLIGHT = new Map(); // tokenKey -> { p, t }
+// Debounce bundle per-user + bucket set (15s)
+const BUNDLE_INFLIGHT = new Map(); // `${sessionKey}:${bucketSetId}` -> { p, t, controller, waiters }
+
+/**
+ * waitShared(entry, res)
+ * - Waits on a shared BUNDLE_INFLIGHT computation for one request.
+ * - The computation is cancelled only when every request waiting on it has disconnected
+ *   (a page refresh joins the same work, so the old tab closing mustn't kill it).
+ */
+async function waitShared(entry, res) {
+  entry.waiters += 1;
+  res.on("close", () => {
+    if (res.writableFinished) return;
+    entry.waiters -= 1;
+    if (entry.waiters === 0) entry.controller.abort();
+  });
+  return entry.p;
+}
 
 app.get("/api/results_bundle", async (req, res) => {
   try {
-    const accessToken = req.cookies.access_token;
-    if (!accessToken) return res.status(401).json({ error: "Not logged in. Go to /login" });
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
 
     const limit = Math.min(parseInt((req.query.limit || "50").toString(), 10) || 50, 50);
     const allRanges = ["short_term", "medium_term", "long_term"];
+    const bucketSet = getBucketSet((req.query.buckets || "").toString());
 
-    const tKey = tokenKey(accessToken);
+    const others = parseOthers(req.query.others);
+    const filters = parseFilters(req.query);
+    const overrides = await userOverrides(session);
+    const tKey = `${sessionKey(session)}:${bucketSet.id}:${others}:${overrides.rev}:${filters.id}`;
     const now = Date.now();
     const existing = BUNDLE_INFLIGHT.get(tKey);
 
-    if (existing && now - existing.t < 15_000) {
-      return res.json(await existing.p);
+    if (existing && now - existing.t < 15_000 && !existing.controller.signal.aborted) {
+      return res.json(await waitShared(existing, res));
     }
 
+    // One budget for the whole bundle; cancelled only once every waiting client is gone.
+    const controller = new AbortController();
+    const budget = createBudget({ ms: parseDeadline(req), signal: controller.signal });
+    // All three ranges draw from one candidate universe (shared calls + analyses).
+    const universe = createCandidateUniverse(session, { bucketSet, budget, filters });
+    const opts = { allRanges, bucketSet, budget, universe, others, overrides, filters };
+
     const p = (async () => {
       const [short_term, medium_term, long_term] = await Promise.all([
-        computeResultsForRange(accessToken, "short_term", limit, { allRanges }),
-        computeResultsForRange(accessToken, "medium_term", limit, { allRanges }),
-        computeResultsForRange(accessToken, "long_term", limit, { allRanges }),
+        computeResultsForRange(session, "short_term", limit, opts),
+        computeResultsForRange(session, "medium_term", limit, opts),
+        computeResultsForRange(session, "long_term", limit, opts),
       ]);
-      return { short_term, medium_term, long_term };
-    })();
+      const bundle = { short_term, medium_term, long_term };
+      recordSnapshot(session, bucketSet, filters, bundle).catch((e) => console.error("Snapshot failed:", e));
+      return bundle;
+    })().finally(() => budget.dispose());
 
-    BUNDLE_INFLIGHT.set(tKey, { p, t: now });
+    const entry = { p, t: now, controller, waiters: 0 };
+    BUNDLE_INFLIGHT.set(tKey, entry);
 
     try {
-      res.json(await p);
+      res.json(await waitShared(entry, res));
     } finally {
       setTimeout(() => {
         const cur = BUNDLE_INFLIGHT.get(tKey);
@@ -1160,15 +3277,627 @@ app.get("/api/results_bundle", async (req, res) => {
       }, 15_000);
     }
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/results_bundle/stream
+ * - Same computation as /api/results_bundle, streamed as Server-Sent Events so the
+ *   grid can fill in while the pipeline runs. Events (all JSON):
+ *   - start:      { ranges, bucket_set }
+ *   - candidates: { range, tier, count }      albums gathered for a tier
+ *   - analyzed:   { range, tier, count }      covers analyzed so far for that tier
+ *   - backfill:   { range, tier, colors }     a backfill tier starts for these colors
+ *   - color:      { range, color, top, source } a color's top is filled (source = tier)
+ *   - range:      { range, data }             final result for a range (same shape as /api/results;
+ *                                             meta.partial is set if the deadline cut it short)
+ *   - done:       {}
+ *   - failed:     { error, status }           (401 = log in again)
+ * - Ranges run in parallel and finish independently.
+ */
+app.get("/api/results_bundle/stream", async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => (closed = true));
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // comments keep proxies from timing out an idle stream during long backfills
+  const heartbeat = setInterval(() => !closed && res.write(": ping\n\n"), 15_000);
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      send("failed", { error: "Not logged in. Go to /login", status: 401 });
+      return;
+    }
+
+    const limit = Math.min(parseInt((req.query.limit || "50").toString(), 10) || 50, 50);
+    const allRanges = ["short_term", "medium_term", "long_term"];
+    const bucketSet = getBucketSet((req.query.buckets || "").toString());
+
+    send("start", { ranges: allRanges, bucket_set: describeBucketSet(bucketSet) });
+
+    const filters = parseFilters(req.query);
+    const overrides = await userOverrides(session);
+    const budget = createBudget({ ms: parseDeadline(req), signal: requestSignal(res) });
+    const universe = createCandidateUniverse(session, { bucketSet, budget, filters });
+    const onProgress = ({ type, ...data }) => send(type, data);
+    const bundle = {};
+    try {
+      await Promise.all(
+        allRanges.map(async (range) => {
+          const data = await computeResultsForRange(session, range, limit, {
+            allRanges,
+            bucketSet,
+            onProgress,
+            budget,
+            universe,
+            others: parseOthers(req.query.others),
+            overrides,
+            filters,
+          });
+          bundle[range] = data;
+          send("range", { range, data });
+        })
+      );
+    } finally {
+      budget.dispose();
+    }
+    recordSnapshot(session, bucketSet, filters, bundle).catch((e) => console.error("Snapshot failed:", e));
+
+    send("done", {});
+  } catch (e) {
+    send("failed", { error: String(e), status: e.status || 500 });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// Extended streaming history: the export comes as several JSON files, uploaded one per request.
+const historyUpload = express.json({ limit: HISTORY_UPLOAD_LIMIT });
+
+app.post(
+  "/api/streaming_history",
+  (req, res, next) =>
+    historyUpload(req, res, (e) => {
+      if (!e) return next();
+      const tooLarge = e.type === "entity.too.large";
+      res
+        .status(tooLarge ? 413 : 400)
+        .json({ error: tooLarge ? `File too large (max ${HISTORY_UPLOAD_LIMIT})` : "Invalid JSON file" });
+    }),
+  async (req, res) => {
+    try {
+      const session = getSession(req);
+      if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+      const userId = await sessionUserId(session);
+      let merged;
+      const history = await HISTORY_STORE.update(userId, (prev) => {
+        const next = prev || emptyHistory();
+        merged = mergeStreamingHistory(next, req.body);
+        return next;
+      });
+      const { added, duplicates, skipped } = merged;
+
+      res.json({ added, duplicates, skipped, history: summarizeHistory(history) });
+    } catch (e) {
+      res.status(e.status || 500).json({ error: String(e) });
+    }
+  }
+);
+
+app.get("/api/streaming_history", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    res.json({ history: summarizeHistory(await HISTORY_STORE.get(userId)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/streaming_history", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    await HISTORY_STORE.delete(userId);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/streaming_history/results?window=2023&buckets=classic
+ * - Same shape as /api/results, with the window's most played albums (by real play time)
+ *   as the primary pool; the usual backfill tiers fill whatever colors they leave empty.
+ * - meta.time_range is "history"; meta.window = { id, label, from, to }.
+ */
+app.get("/api/streaming_history/results", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const window = parseHistoryWindow((req.query.window || "all").toString());
+    const userId = await sessionUserId(session);
+    const history = await HISTORY_STORE.get(userId);
+    if (!history?.plays?.length) {
+      return res.status(404).json({ error: "No streaming history imported yet" });
+    }
+    if (!countPlaysInWindow(history, window)) {
+      return res.status(404).json({ error: `No plays in your history for ${window.label}` });
+    }
+
+    const bucketSet = getBucketSet((req.query.buckets || "").toString());
+    const filters = parseFilters(req.query);
+    const overrides = await userOverrides(session);
+    const budget = createBudget({ ms: parseDeadline(req), signal: requestSignal(res) });
+    try {
+      const out = await computeResultsForRange(session, "history", 50, {
+        allRanges: ["short_term", "medium_term", "long_term"],
+        bucketSet,
+        budget,
+        others: parseOthers(req.query.others),
+        overrides,
+        filters,
+        source: historySource(session, history, window),
+      });
+      res.json({ ...out, meta: { ...out.meta, window: describeWindow(window) } });
+    } finally {
+      budget.dispose();
+    }
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+// ---------- palette snapshots ----------
+
+/**
+ * GET /api/history?buckets=classic&range=short_term
+ * - The user's snapshots for one bucket set, oldest first: { bucket_set, snapshots: [
+ *   { id, taken_at, day, bucket_set, ranges, tops } ] }, tops = `range`'s { [color]: top }.
+ */
+app.get("/api/history", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const bucketSet = getBucketSet((req.query.buckets || "").toString());
+    const range = (req.query.range || "short_term").toString();
+    const userId = await sessionUserId(session);
+    const snapshots = (SNAPSHOT_STORE.get(userId) || []).filter((s) => s.bucket_set.id === bucketSet.id);
+
+    res.json({
+      bucket_set: describeBucketSet(bucketSet),
+      snapshots: snapshots.map((s) => snapshotSummary(s, range)),
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/history/:id
+ * - One whole snapshot: { snapshot: { id, taken_at, day, bucket_set, filters, ranges } }.
+ */
+app.get("/api/history/:id", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    const snapshot = (SNAPSHOT_STORE.get(userId) || []).find((s) => s.id === req.params.id);
+    if (!snapshot) return res.status(404).json({ error: "No such snapshot" });
+    res.json({ snapshot });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/history/:id/export.png?range=short_term&preset=story
+ * - A stored snapshot rendered as the export picture.
+ */
+app.get("/api/history/:id/export.png", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    const range = (req.query.range || "short_term").toString();
+    const preset = parseExportPreset(req.query.preset);
+    const snapshot = (SNAPSHOT_STORE.get(userId) || []).find((s) => s.id === req.params.id);
+    if (!snapshot?.ranges[range]) return res.status(404).json({ error: "No such snapshot" });
+
+    const tiles = exportTilesFromTops(snapshot.ranges[range], getBucketSet(snapshot.bucket_set.id));
+    const rangeLabel = `${timeRangeLabel(range)} · ${snapshot.day}`;
+    await sendExportPng(req, res, { layout: layoutExport({ tiles, rangeLabel, preset }) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/history", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    SNAPSHOT_STORE.delete(userId);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * compareFromQuery(session, req, res)
+ * - The diff for ?from=&to=&buckets= (plus others, filters and deadline, as on /api/results),
+ *   shared by /api/compare and /api/compare.png.
+ * - Returns { bucketSet, diff }; diff is the /api/compare response.
+ */
+async function compareFromQuery(session, req, res) {
+  const bucketSet = getBucketSet((req.query.buckets || "").toString());
+  const from = (req.query.from || "long_term").toString();
+  const to = (req.query.to || "short_term").toString();
+  const filters = parseFilters(req.query);
+  const overrides = await userOverrides(session);
+  const budget = createBudget({ ms: parseDeadline(req), signal: requestSignal(res) });
+  try {
+    const opts = { bucketSet, budget, others: parseOthers(req.query.others), overrides, filters };
+    const { tops: beforeTops, ...fromSide } = await compareSide(session, from, opts);
+    const { tops: afterTops, ...toSide } = await compareSide(session, to, opts);
+    const diff = {
+      bucket_set: describeBucketSet(bucketSet),
+      from: fromSide,
+      to: toSide,
+      ...diffPalettes(beforeTops, afterTops, bucketSet.order),
+    };
+    return { bucketSet, diff };
+  } finally {
+    budget.dispose();
+  }
+}
+
+/**
+ * GET /api/compare?buckets=classic&from=long_term&to=short_term
+ * - from/to: a range or "<snapshot id>:<range>" (see compareSide); live ranges take the
+ *   same others/filters parameters as /api/results so they share its cache.
+ * - Returns { bucket_set, from, to, colors, dropped, mood } (see diffPalettes).
+ */
+app.get("/api/compare", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    res.json((await compareFromQuery(session, req, res)).diff);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+// ---------- share links ----------
+
+/**
+ * POST /api/shares
+ * - Body: { range_label, bucket_set: { id, label }, tiles, expires_in_days } (see createShare).
+ * - Returns { share: { id, url, title, created_at, expires_at } }.
+ */
+app.post("/api/shares", express.json({ limit: "256kb" }), async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    const mine = userShares(userId);
+    if (mine.length >= MAX_SHARES_PER_USER) {
+      throw sharesError(`At most ${MAX_SHARES_PER_USER} share links; delete an old one first`);
+    }
+
+    const share = createShare(req.body, { owner: userId, allowImage: isAllowedImageUrl });
+    SHARE_STORE.set(share.id, share);
+    SHARE_OWNERS.set(userId, [...mine.map((s) => s.id).reverse(), share.id]);
+    res.json({ share: shareLink(req, share) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.get("/api/shares", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    res.json({ shares: userShares(userId).map((s) => shareLink(req, s)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/shares/:id", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    const share = liveShare(req.params.id);
+    if (!share || share.owner !== userId) throw sharesError("No such share link", 404);
+    SHARE_STORE.delete(share.id);
+    SHARE_OWNERS.set(userId, (SHARE_OWNERS.get(userId) || []).filter((id) => id !== share.id));
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/shares/:id
+ * - Public (no login): the shared grid as JSON, for anything that wants to render it itself.
+ */
+app.get("/api/shares/:id", (req, res) => {
+  const share = liveShare(req.params.id);
+  if (!share) return res.status(404).json({ error: "This share link has expired or was deleted" });
+  res.json({ share: publicShare(share) });
+});
+
+/**
+ * GET /s/:id
+ * - Public read-only page for a share link (Open Graph tags for chat previews).
+ */
+app.get("/s/:id", (req, res) => {
+  const share = liveShare(req.params.id);
+  if (!share) return res.status(404).send(renderGonePage("This share link has expired or was deleted."));
+  // revalidated on every use (Express's ETag makes that a 304), so a deleted link stops showing at once
+  res.set("Cache-Control", "no-cache");
+  const url = `${publicBaseUrl(req)}/s/${share.id}`;
+  // link previews are wide: the landscape picture fits their cards
+  res.send(renderSharePage(share, { url, image: `${url}/image.png?preset=landscape` }));
+});
+
+/**
+ * GET /s/:id/image.png?preset=landscape
+ * - The share rendered as the export picture (its og:image, in the landscape preset).
+ */
+app.get("/s/:id/image.png", async (req, res) => {
+  try {
+    const share = liveShare(req.params.id);
+    if (!share) return res.status(404).json({ error: "This share link has expired or was deleted" });
+    const preset = parseExportPreset(req.query.preset);
+    await sendExportPng(req, res, {
+      layout: layoutExport({ tiles: exportTilesFromShare(share), rangeLabel: share.range_label, preset }),
+      // like the page: revalidated (ETag) so a deleted link's picture goes too
+      cacheControl: "no-cache",
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+// ---------- overrides ----------
+// Every route answers with the full, updated { overrides }.
+
+app.get("/api/overrides", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const userId = await sessionUserId(session);
+    res.json({ overrides: OVERRIDES_STORE.get(userId) || emptyOverrides() });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * POST /api/overrides/pins { color, album }
+ * - "Always use album X for <color>". The color may be from any bucket set; sets without it
+ *   ignore the pin.
+ */
+app.post("/api/overrides/pins", express.json(), async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const color = (req.body?.color || "").toString();
+    if (![...BUCKET_SETS.values()].some((set) => set.buckets[color])) {
+      return res.status(400).json({ error: `Unknown color "${color}"` });
+    }
+    const albumId = (req.body?.album || "").toString();
+    if (!albumId) return res.status(400).json({ error: "Missing album" });
+
+    const album = await lookupAlbum(session, albumId);
+    res.json({ overrides: await changeOverrides(session, (o) => pinAlbum(o, color, album)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/overrides/pins/:color", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    res.json({ overrides: await changeOverrides(session, (o) => unpinColor(o, req.params.color)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * POST /api/overrides/excluded_albums { album }
+ * - "Never show album Y" (in any range, tier or playlist).
+ */
+app.post("/api/overrides/excluded_albums", express.json(), async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const albumId = (req.body?.album || "").toString();
+    if (!albumId) return res.status(400).json({ error: "Missing album" });
+
+    const album = await lookupAlbum(session, albumId);
+    res.json({ overrides: await changeOverrides(session, (o) => excludeAlbum(o, album)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/overrides/excluded_albums/:id", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    res.json({ overrides: await changeOverrides(session, (o) => includeAlbum(o, req.params.id)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * POST /api/overrides/excluded_artists { artist }
+ * - "Never use artist Z": by name, matching any credited artist.
+ */
+app.post("/api/overrides/excluded_artists", express.json(), async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const artist = (req.body?.artist || "").toString();
+    res.json({ overrides: await changeOverrides(session, (o) => excludeArtist(o, artist)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+app.delete("/api/overrides/excluded_artists/:name", async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    res.json({ overrides: await changeOverrides(session, (o) => includeArtist(o, req.params.name)) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
+  }
+});
+
+/**
+ * POST /api/playlists { time_range, color, buckets, mode: "top" | "pool", cover, album, others, filters }
+ * - Creates a private playlist of one color bucket in the user's account.
+ * - cover: also upload a cover rendered from the albums' colors.
+ * - album: the album shown on the tile, put first; others: runners-up depth (as ?others=);
+ *   filters: content filters, same keys as the results query parameters.
+ * - Returns { id, url, name, albums, tracks, cover }.
+ */
+app.post("/api/playlists", express.json(), async (req, res) => {
+  try {
+    const session = getSession(req);
+    if (!session) return res.status(401).json({ error: "Not logged in. Go to /login" });
+
+    const body = req.body || {};
+    const range = (body.time_range || "").toString();
+    if (!["short_term", "medium_term", "long_term"].includes(range)) {
+      return res.status(400).json({ error: "Unknown time_range" });
+    }
+    const bucketSet = getBucketSet((body.buckets || "").toString());
+    const color = (body.color || "").toString();
+    if (!bucketSet.buckets[color]) return res.status(400).json({ error: `Unknown color for ${bucketSet.id}` });
+    const mode = body.mode === "pool" ? "pool" : "top";
+    const lead = typeof body.album === "string" ? body.album : null;
+    const others = parseOthers(body.others);
+    const filters = parseFilters(body.filters || {});
+    const overrides = await userOverrides(session);
+
+    const budget = createBudget({ ms: COMPUTE_DEADLINE, signal: requestSignal(res) });
+    let albums;
+    let uris;
+    try {
+      albums = await colorPlaylistAlbums(session, range, color, {
+        bucketSet,
+        mode,
+        budget,
+        lead,
+        others,
+        overrides,
+        filters,
+      });
+      uris = await albumTrackUris(session, albums.map((a) => a.id), budget);
+    } finally {
+      budget.dispose();
+    }
+    if (!uris.length) return res.status(404).json({ error: `No ${color} albums to make a playlist from` });
+
+    const label = bucketSet.buckets[color].label;
+    const name = `ChromaFM · ${label} · ${timeRangeLabel(range)}`;
+    const description =
+      `${albums.length} ${label.toLowerCase()} album${albums.length === 1 ? "" : "s"} ` +
+      `from your listening (${timeRangeLabel(range).toLowerCase()}), picked by cover color with ChromaFM.`;
+
+    const userId = await sessionUserId(session);
+    const playlist = await createUserPlaylist(session, userId, { name, description });
+    await addPlaylistTracks(session, playlist.id, uris);
+
+    // The playlist exists at this point: a failed cover upload is reported, not fatal.
+    let cover = false;
+    if (body.cover) {
+      try {
+        const jpeg = await renderPlaylistCover({
+          accent: bucketSet.buckets[color].display,
+          hexes: albums.map((a) => a.color?.hex),
+        });
+        await uploadPlaylistCover(session, playlist.id, jpeg);
+        cover = true;
+      } catch (e) {
+        console.error("Playlist cover upload failed:", e);
+      }
+    }
+
+    res.json({
+      id: playlist.id,
+      url: playlist.external_urls?.spotify || null,
+      name,
+      albums: albums.length,
+      tracks: uris.length,
+      cover,
+    });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: String(e) });
   }
 });
 
 app.post("/logout", (req, res) => {
+  destroySession(req.cookies?.[SESSION_COOKIE]);
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: "lax", path: "/" });
   res.clearCookie("access_token", { httpOnly: true, sameSite: "lax", path: "/" });
   res.json({ ok: true });
 });
 
+if (DEMO_MODE && !process.env.SPOTIFY_API_BASE) {
+  const { origin } = await startMockSpotify({
+    port: DEMO_PORT,
+    tokenTtl: parseInt(process.env.DEMO_TOKEN_TTL || "3600", 10),
+    rateLimit: parseInt(process.env.DEMO_RATE_LIMIT || "0", 10),
+  });
+  console.log(`Demo mode: using mock Spotify at ${origin}`);
+}
+
 app.listen(PORT, () => {
   console.log(`Server running: http://127.0.0.1:${PORT}`);
 });
@@ -1180,9 +3909,28 @@ app.listen(PORT, () => {
 /**
  * /api/proxy_image
  * - Security + CORS fix for canvas export.
- * - Only allows Spotify CDN hosts (prevents open proxy abuse).
+ * - Only allows Spotify CDN hosts, or the local stand-in's cover host in demo mode
+ *   (prevents open proxy abuse).
  * - Adds Cache-Control so repeated exports are fast.
  */
+// A local Spotify stand-in serves its own covers from the same origin as its API.
+const LOCAL_IMAGE_ORIGIN =
+  new URL(SPOTIFY_API_BASE).hostname === "api.spotify.com" ? null : new URL(SPOTIFY_API_BASE).origin;
+
+/**
+ * isAllowedImageUrl(u)
+ * - Spotify's image CDNs, or the stand-in's covers (also used by the server-side export).
+ */
+function isAllowedImageUrl(u) {
+  const host = u.hostname.toLowerCase();
+  return (
+    host.endsWith(".scdn.co") ||
+    host.endsWith(".spotifycdn.com") ||
+    host.endsWith("i.scdn.co") ||
+    (!!LOCAL_IMAGE_ORIGIN && u.origin === LOCAL_IMAGE_ORIGIN)
+  );
+}
+
 app.get("/api/proxy_image", async (req, res) => {
   try {
     const raw = (req.query.url || "").toString();
@@ -1195,10 +3943,7 @@ app.get("/api/proxy_image", async (req, res) => {
       return res.status(400).send("Invalid url");
     }
 
-    const host = u.hostname.toLowerCase();
-    const allowed =
-      host.endsWith(".scdn.co") || host.endsWith(".spotifycdn.com") || host.endsWith("i.scdn.co");
-    if (!allowed) return res.status(403).send("Host not allowed");
+    if (!isAllowedImageUrl(u)) return res.status(403).send("Host not allowed");
 
     const imgRes = await fetch(u.toString(), { headers: { "User-Agent": "Mozilla/5.0" } });
     if (!imgRes.ok) return res.status(502).send("Upstream image fetch failed");
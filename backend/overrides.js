@@ -0,0 +1,138 @@
+// ===============================
+// Overrides (pins and exclusions)
+// ===============================
+// Per-user corrections to the picks: "always use album X for red", "never show album Y",
+// "never use artist Z". They're stored per Spotify user (like imported streaming history)
+// and applied by computeResultsForRange before any color is picked or backfilled.
+//
+// Stored shape:
+//   { pins: { [color]: album }, albums: [album], artists: [name], rev }
+// where album = { id, name, artist, image, total_tracks } (enough to show it without a lookup).
+// `rev` goes up with every change; it's part of the compute cache key.
+
+const MAX_EXCLUDED_ALBUMS = 500;
+const MAX_EXCLUDED_ARTISTS = 200;
+
+/**
+ * overridesError(message)
+ * - Bad override request; carries status 400 like the route errors.
+ */
+function overridesError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * emptyOverrides()
+ */
+export function emptyOverrides() {
+  return { pins: {}, albums: [], artists: [], rev: 0 };
+}
+
+function albumEntry(album) {
+  return {
+    id: album.id,
+    name: album.name,
+    artist: album.artist,
+    image: album.image || null,
+    total_tracks: album.total_tracks,
+  };
+}
+
+const artistKey = (name) => String(name || "").trim().toLowerCase();
+
+/**
+ * pinAlbum(overrides, color, album) / unpinColor(overrides, color)
+ * - One pin per color; pinning an album unpins it from any other color and lifts its exclusion.
+ * - Mutate and return `overrides`.
+ */
+export function pinAlbum(overrides, color, album) {
+  for (const [c, a] of Object.entries(overrides.pins)) if (a.id === album.id) delete overrides.pins[c];
+  overrides.pins[color] = albumEntry(album);
+  overrides.albums = overrides.albums.filter((a) => a.id !== album.id);
+  overrides.rev += 1;
+  return overrides;
+}
+
+export function unpinColor(overrides, color) {
+  if (!overrides.pins[color]) throw overridesError(`Nothing pinned for ${color}`);
+  delete overrides.pins[color];
+  overrides.rev += 1;
+  return overrides;
+}
+
+/**
+ * excludeAlbum(overrides, album) / includeAlbum(overrides, albumId)
+ * - "Never show album Y". Excluding a pinned album removes the pin.
+ */
+export function excludeAlbum(overrides, album) {
+  if (!overrides.albums.some((a) => a.id === album.id)) {
+    if (overrides.albums.length >= MAX_EXCLUDED_ALBUMS) {
+      throw overridesError(`At most ${MAX_EXCLUDED_ALBUMS} excluded albums`);
+    }
+    overrides.albums.push(albumEntry(album));
+  }
+  for (const [c, a] of Object.entries(overrides.pins)) if (a.id === album.id) delete overrides.pins[c];
+  overrides.rev += 1;
+  return overrides;
+}
+
+export function includeAlbum(overrides, albumId) {
+  const before = overrides.albums.length;
+  overrides.albums = overrides.albums.filter((a) => a.id !== albumId);
+  if (overrides.albums.length === before) throw overridesError("That album isn't excluded");
+  overrides.rev += 1;
+  return overrides;
+}
+
+/**
+ * excludeArtist(overrides, name) / includeArtist(overrides, name)
+ * - "Never use artist Z": matches any credited artist of an album, case-insensitively.
+ *   Pinned albums are kept (a pin is the more specific instruction).
+ */
+export function excludeArtist(overrides, name) {
+  const key = artistKey(name);
+  if (!key) throw overridesError("Missing artist name");
+  if (!overrides.artists.some((n) => artistKey(n) === key)) {
+    if (overrides.artists.length >= MAX_EXCLUDED_ARTISTS) {
+      throw overridesError(`At most ${MAX_EXCLUDED_ARTISTS} excluded artists`);
+    }
+    overrides.artists.push(String(name).trim());
+  }
+  overrides.rev += 1;
+  return overrides;
+}
+
+export function includeArtist(overrides, name) {
+  const key = artistKey(name);
+  const before = overrides.artists.length;
+  overrides.artists = overrides.artists.filter((n) => artistKey(n) !== key);
+  if (overrides.artists.length === before) throw overridesError("That artist isn't excluded");
+  overrides.rev += 1;
+  return overrides;
+}
+
+/**
+ * compileOverrides(overrides)
+ * - What the compute pipeline uses: { rev, pins: Map(color -> album), excluded(candidate) }.
+ * - excluded() is true for excluded albums, albums by an excluded artist, and pinned albums
+ *   (they're placed up front, so no other color may take them).
+ */
+export function compileOverrides(overrides) {
+  const o = overrides || emptyOverrides();
+  const pins = new Map(Object.entries(o.pins || {}));
+  const albumIds = new Set((o.albums || []).map((a) => a.id));
+  for (const a of pins.values()) albumIds.add(a.id);
+  const artists = new Set((o.artists || []).map(artistKey));
+
+  return {
+    rev: o.rev || 0,
+    pins,
+    excluded(album) {
+      if (albumIds.has(album.id)) return true;
+      if (!artists.size) return false;
+      return (album.artist || "").split(",").some((n) => artists.has(artistKey(n)));
+    },
+  };
+}
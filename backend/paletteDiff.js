@@ -0,0 +1,111 @@
+// ===============================
+// Palette diff (what changed between two grids)
+// ===============================
+// Compares two grids of the same bucket set: two time ranges, two stored snapshots, or one
+// of each. Per color the top album is
+//   kept    same album, same color
+//   moved   the album was another color's top before (`from`)
+//   new     the album wasn't in the earlier grid at all
+//   empty   no album for this color now
+// Albums that were a top before and aren't anywhere in the later grid are `dropped`.
+// The whole palette's "mood" (mean hue, chroma and lightness) is compared too.
+
+import { hexToOklch } from "./buckets.js";
+import { compactTop } from "./snapshots.js";
+
+// Below this chroma a palette is effectively grey and has no meaningful hue.
+const MIN_MOOD_CHROMA = 0.02;
+
+/**
+ * paletteMood(tops)
+ * - tops: { [color]: top } (full or snapshot tops; null entries are skipped).
+ * - Every cover swatch counts by its share of the cover; hue is a circular mean weighted
+ *   by share × chroma, so greys and blacks don't pull it around.
+ * - Returns { hue, chroma, lightness } (hue null for a grey palette), or null if no covers.
+ */
+export function paletteMood(tops) {
+  let weight = 0;
+  let L = 0;
+  let C = 0;
+  let hx = 0;
+  let hy = 0;
+
+  for (const top of Object.values(tops || {})) {
+    const palette = top?.color?.palette?.length
+      ? top.color.palette
+      : top?.color?.hex
+        ? [{ hex: top.color.hex, share: 1 }]
+        : [];
+    for (const sw of palette) {
+      if (!sw.hex || !(sw.share > 0)) continue;
+      const lch = hexToOklch(sw.hex);
+      weight += sw.share;
+      L += lch.L * sw.share;
+      C += lch.C * sw.share;
+      const rad = (lch.h * Math.PI) / 180;
+      hx += Math.cos(rad) * lch.C * sw.share;
+      hy += Math.sin(rad) * lch.C * sw.share;
+    }
+  }
+  if (!weight) return null;
+
+  const chroma = C / weight;
+  let hue = null;
+  if (chroma >= MIN_MOOD_CHROMA && (hx || hy)) {
+    hue = (Math.atan2(hy, hx) * 180) / Math.PI;
+    if (hue < 0) hue += 360;
+    hue = Math.round(hue);
+  }
+  return { hue, chroma: +chroma.toFixed(3), lightness: +(L / weight).toFixed(3) };
+}
+
+/**
+ * hueShift(from, to)
+ * - Signed degrees from one hue to another, -180..180 (positive = towards higher hues).
+ */
+export function hueShift(from, to) {
+  if (from == null || to == null) return null;
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+/**
+ * diffPalettes(before, after, order)
+ * - before/after: { [color]: top }; order: the bucket set's colors.
+ * - Returns { colors: [{ color, status, from, before, after }], dropped: [top], mood }
+ *   where mood = { before, after, hue_shift, chroma_shift, lightness_shift }.
+ *   Tops are reduced to snapshot tops (compactTop).
+ */
+export function diffPalettes(before, after, order) {
+  const beforeColor = new Map(); // album id -> color it topped before
+  for (const color of order) if (before?.[color]?.id) beforeColor.set(before[color].id, color);
+  const afterIds = new Set(order.map((color) => after?.[color]?.id).filter(Boolean));
+
+  const colors = order.map((color) => {
+    const a = compactTop(after?.[color]);
+    const b = compactTop(before?.[color]);
+    const was = a ? beforeColor.get(a.id) : undefined;
+    const status = !a ? "empty" : was === color ? "kept" : was ? "moved" : "new";
+    return { color, status, from: status === "moved" ? was : null, before: b, after: a };
+  });
+
+  const dropped = order
+    .map((color) => before?.[color])
+    .filter((top) => top?.id && !afterIds.has(top.id))
+    .map(compactTop);
+
+  const moodBefore = paletteMood(before);
+  const moodAfter = paletteMood(after);
+  const shift = (key) => (moodBefore && moodAfter ? +(moodAfter[key] - moodBefore[key]).toFixed(3) : null);
+
+  return {
+    colors,
+    dropped,
+    mood: {
+      before: moodBefore,
+      after: moodAfter,
+      hue_shift: hueShift(moodBefore?.hue, moodAfter?.hue),
+      chroma_shift: shift("chroma"),
+      lightness_shift: shift("lightness"),
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { parentPort } from "worker_threads";
+import sharp from "sharp";
+import { Vibrant } from "node-vibrant/node";
+
+// ===============================
+// Cover palette worker
+// ===============================
+// Runs inside the cover worker pool (see workerPool.js and analyzeCover in index.js):
+// decoding and quantizing happen here so they never block the server's event loop.
+// Message in: { id, data: { buffer } }; out: { id, result: palette } or { id, error }.
+
+// One image at a time per worker; the pool size is the parallelism knob.
+sharp.concurrency(1);
+
+/**
+ * extractPalette(buffer)
+ * - sharp shrinks the cover to 64x64 (fast decode), node-vibrant quantizes it (MMCQ).
+ * - Quantized colors carry pixel populations, so each swatch gets its real share of the cover;
+ *   vibrant's named swatches are matched back onto them as roles.
+ * - Keeps at most PALETTE_MAX swatches and drops specks under PALETTE_MIN_SHARE.
+ */
+const PALETTE_MAX = 6;
+const PALETTE_MIN_SHARE = 0.03;
+
+async function extractPalette(buffer) {
+  const small = await sharp(buffer).resize(64, 64, { fit: "fill" }).png().toBuffer();
+
+  // filters: [] keeps pure whites, which vibrant's default filter would discard.
+  const v = new Vibrant(small, { colorCount: 12, quality: 1, filters: [] });
+  const named = await v.getPalette();
+  const colors = v.result?.colors || [];
+
+  const total = colors.reduce((sum, sw) => sum + sw.population, 0);
+  if (!total) return [];
+
+  const roles = new Map();
+  for (const [role, sw] of Object.entries(named)) {
+    // population 0 = generated by vibrant, not actually on the cover
+    if (sw && sw.population > 0 && !roles.has(sw.hex)) roles.set(sw.hex, role);
+  }
+
+  return colors
+    .map((sw) => ({
+      hex: sw.hex.toUpperCase(),
+      share: Math.round((sw.population / total) * 1000) / 1000,
+      role: roles.get(sw.hex) || null,
+    }))
+    .filter((sw) => sw.share >= PALETTE_MIN_SHARE)
+    .sort((x, y) => y.share - x.share)
+    .slice(0, PALETTE_MAX);
+}
+
+parentPort.on("message", async ({ id, data }) => {
+  try {
+    const palette = await extractPalette(Buffer.from(data.buffer));
+    parentPort.postMessage({ id, result: palette });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e?.message || String(e) });
+  }
+});
@@ -0,0 +1,44 @@
+import sharp from "sharp";
+
+// ===============================
+// Playlist cover (rendered from the palette)
+// ===============================
+// A square JPEG for a color playlist: the bucket's display color as the field, one band per
+// album in the album's own color along the bottom, and a disc of the leading album's color.
+// Spotify takes covers as base64 JPEG up to 256 KB; at 640px this lands far below that.
+
+const COVER_SIZE = 640;
+const COVER_QUALITY = 82;
+const HEX = /^#[0-9a-f]{6}$/i;
+
+/**
+ * renderPlaylistCover({ accent, hexes })
+ * - accent: "#RRGGBB" field color (the bucket's display color).
+ * - hexes: album colors in playlist order; invalid entries are skipped, at most 12 are used.
+ * - Resolves with a JPEG Buffer.
+ */
+export async function renderPlaylistCover({ accent, hexes = [] }) {
+  const S = COVER_SIZE;
+  const field = HEX.test(accent || "") ? accent : "#1a1a1a";
+  const bands = hexes.filter((h) => HEX.test(h || "")).slice(0, 12);
+
+  const parts = [`<rect width="${S}" height="${S}" fill="${field}"/>`];
+
+  if (bands.length) {
+    const top = Math.round(S * 0.72);
+    const w = S / bands.length;
+    bands.forEach((hex, i) => {
+      parts.push(
+        `<rect x="${(i * w).toFixed(2)}" y="${top}" width="${(w + 1).toFixed(2)}" height="${S - top}" fill="${hex}"/>`
+      );
+    });
+    parts.push(`<circle cx="${S / 2}" cy="${Math.round(S * 0.38)}" r="${Math.round(S * 0.2)}" fill="${bands[0]}"/>`);
+    parts.push(
+      `<circle cx="${S / 2}" cy="${Math.round(S * 0.38)}" r="${Math.round(S * 0.2)}" fill="none" ` +
+        `stroke="rgba(0,0,0,0.25)" stroke-width="4"/>`
+    );
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${S}" height="${S}">${parts.join("")}</svg>`;
+  return sharp(Buffer.from(svg)).jpeg({ quality: COVER_QUALITY }).toBuffer();
+}
@@ -0,0 +1,239 @@
+import crypto from "crypto";
+
+// ===============================
+// Share links (/s/:id)
+// ===============================
+// A share is an immutable copy of one grid as the user saw it (their picks included):
+// per tile the color, album name, artist, hex, palette and cover URL. Nothing else: no
+// tokens, no Spotify ids beyond the cover URL, no session. The owner's user id is kept
+// server-side only so they can list and delete their links.
+//
+// Stored shape:
+//   { id, owner, created_at, expires_at, title, range_label, bucket_set: { id, label },
+//     tiles: [{ color, label, border, name, artist, hex, image, palette }] }
+
+const MAX_TILES = 24;
+const MAX_TEXT = 200;
+const EXPIRY_DAYS = [1, 7, 30, 365];
+export const DEFAULT_EXPIRY_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * sharesError(message, status)
+ * - Bad share request; carries status (400 unless given) like the route errors.
+ */
+export function sharesError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * newShareId()
+ * - 8 URL-safe characters (48 random bits): short enough to paste, not guessable.
+ */
+export function newShareId() {
+  return crypto.randomBytes(6).toString("base64url");
+}
+
+const text = (v) => String(v ?? "").trim().slice(0, MAX_TEXT);
+const hexOrNull = (v) => (/^#[0-9a-f]{6}$/i.test(String(v || "")) ? String(v).toUpperCase() : null);
+
+// Cover URLs end up in a public page, so only image hosts the caller allows are kept.
+function imageOrNull(v, allowImage) {
+  try {
+    const u = new URL(String(v || ""));
+    if (u.protocol !== "https:" && u.protocol !== "http:") return null;
+    return allowImage(u) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function shareTile(tile, allowImage) {
+  return {
+    color: text(tile?.color),
+    label: text(tile?.label) || text(tile?.color),
+    border: hexOrNull(tile?.border),
+    name: tile?.name ? text(tile.name) : null,
+    artist: tile?.artist ? text(tile.artist) : null,
+    hex: hexOrNull(tile?.hex),
+    image: imageOrNull(tile?.image, allowImage),
+    palette: (Array.isArray(tile?.palette) ? tile.palette : [])
+      .slice(0, 8)
+      .map((sw) => ({ hex: hexOrNull(sw?.hex), share: Math.max(0, Math.min(1, Number(sw?.share) || 0)) }))
+      .filter((sw) => sw.hex && sw.share > 0),
+  };
+}
+
+/**
+ * createShare(body, { owner, allowImage, now })
+ * - body: { range_label, bucket_set: { id, label }, tiles: [...], expires_in_days }
+ *   (tiles as the frontend shows them; see shareTile for the kept fields).
+ * - allowImage(url): whether a tile's cover URL may be kept; other covers become null.
+ * - expires_in_days must be one of EXPIRY_DAYS. Throws (status 400) for bad input.
+ */
+export function createShare(body, { owner, allowImage, now = Date.now() }) {
+  const tiles = Array.isArray(body?.tiles) ? body.tiles : [];
+  if (!tiles.length) throw sharesError("Nothing to share: tiles is empty");
+  if (tiles.length > MAX_TILES) throw sharesError(`At most ${MAX_TILES} tiles`);
+
+  const days = body?.expires_in_days === undefined ? DEFAULT_EXPIRY_DAYS : Number(body.expires_in_days);
+  if (!EXPIRY_DAYS.includes(days)) throw sharesError(`expires_in_days must be one of ${EXPIRY_DAYS.join(", ")}`);
+
+  const rangeLabel = text(body?.range_label);
+  return {
+    id: newShareId(),
+    owner,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + days * DAY).toISOString(),
+    title: rangeLabel ? `My albums by color · ${rangeLabel}` : "My albums by color",
+    range_label: rangeLabel,
+    bucket_set: { id: text(body?.bucket_set?.id), label: text(body?.bucket_set?.label) },
+    tiles: tiles.map((tile) => shareTile(tile, allowImage)),
+  };
+}
+
+/**
+ * isExpired(share, now)
+ */
+export function isExpired(share, now = Date.now()) {
+  return Date.parse(share.expires_at) <= now;
+}
+
+/**
+ * publicShare(share)
+ * - What anyone with the link may see (everything but the owner).
+ */
+export function publicShare(share) {
+  const { owner: _owner, ...rest } = share;
+  return rest;
+}
+
+// ---------- read-only page ----------
+
+/**
+ * escapeAttr(s)
+ * - Like escapeHtml in index.js, plus quotes: these strings also go into attributes.
+ */
+function escapeAttr(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+/**
+ * shareDescription(share)
+ * - One line for link previews: "Red: Ember Season · Orange: Late Sun · …".
+ */
+export function shareDescription(share) {
+  return share.tiles
+    .filter((t) => t.name)
+    .map((t) => `${t.label}: ${t.name}`)
+    .join(" · ")
+    .slice(0, 300);
+}
+
+/**
+ * renderSharePage(share, { url, image })
+ * - The read-only /s/:id page: Open Graph / Twitter card tags for chat previews, then the
+ *   grid as plain HTML (no script, no login).
+ * - image: absolute URL for og:image (the first cover when not given).
+ */
+export function renderSharePage(share, { url, image } = {}) {
+  const ogImage = image || share.tiles.find((t) => t.image)?.image || "";
+  const description = shareDescription(share);
+
+  const tiles = share.tiles
+    .map((t) => {
+      const bg = t.hex || t.border || "#111111";
+      const palette = t.palette
+        .map((sw) => `<span style="background:${sw.hex};flex-grow:${sw.share}"></span>`)
+        .join("");
+      const cover = t.image
+        ? `<img src="${escapeAttr(t.image)}" alt="${escapeAttr(t.name)}">`
+        : '<div class="none">No album</div>';
+      return `
+      <div class="tile" style="background:${bg};border-color:${t.border || bg}">
+        <div class="head"><b>${escapeAttr(t.label)}</b><span>${escapeAttr(t.hex || "")}</span></div>
+        ${cover}
+        ${palette ? `<div class="palette">${palette}</div>` : ""}
+        <div class="name">${escapeAttr(t.name || "")}</div>
+        <div class="artist">${escapeAttr(t.artist || "")}</div>
+      </div>`;
+    })
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeAttr(share.title)} · ChromaFM</title>
+  <meta name="description" content="${escapeAttr(description)}">
+  <meta property="og:type" content="website">
+  <meta property="og:site_name" content="ChromaFM">
+  <meta property="og:title" content="${escapeAttr(share.title)}">
+  <meta property="og:description" content="${escapeAttr(description)}">
+  ${url ? `<meta property="og:url" content="${escapeAttr(url)}">` : ""}
+  ${ogImage ? `<meta property="og:image" content="${escapeAttr(ogImage)}">` : ""}
+  <meta name="twitter:card" content="${ogImage ? "summary_large_image" : "summary"}">
+  <meta name="robots" content="noindex">
+  <style>
+    body {
+      margin: 0;
+      background: #0e0e0e;
+      color: #f3f3f3;
+      font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial;
+    }
+    main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+    h1 { margin: 0; font-size: 28px; }
+    p { margin: 4px 0 20px; opacity: 0.75; }
+    .grid { display: grid; grid-template-columns: repeat(5, minmax(0, 1fr)); gap: 12px; }
+    .tile {
+      border: 3px solid;
+      padding: 10px;
+      display: flex;
+      flex-direction: column;
+      gap: 6px;
+      color: #fff;
+      text-shadow: 0 1px 2px rgba(0, 0, 0, 0.6);
+    }
+    .head { display: flex; justify-content: space-between; font-size: 13px; }
+    img, .none { width: 100%; aspect-ratio: 1; object-fit: cover; background: rgba(0,0,0,0.3); }
+    .none { display: flex; align-items: center; justify-content: center; font-size: 13px; }
+    .palette { display: flex; height: 10px; }
+    .name { font-weight: 800; font-size: 14px; }
+    .artist { font-size: 12px; opacity: 0.85; }
+    @media (max-width: 700px) { .grid { grid-template-columns: repeat(2, minmax(0, 1fr)); } }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeAttr(share.title)}</h1>
+    <p>${escapeAttr(share.bucket_set.label || "")} colors · shared ${escapeAttr(share.created_at.slice(0, 10))}
+      · made with ChromaFM</p>
+    <div class="grid">${tiles}
+    </div>
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * renderGonePage(message)
+ * - The /s/:id page for deleted or expired links.
+ */
+export function renderGonePage(message) {
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>ChromaFM</title><meta name="robots" content="noindex"></head>
+<body style="background:#0e0e0e;color:#f3f3f3;font-family:system-ui,sans-serif;padding:24px">
+  <h1>ChromaFM</h1>
+  <p>${escapeAttr(message)}</p>
+</body>
+</html>`;
+}
@@ -0,0 +1,111 @@
+// ===============================
+// Palette snapshots (dated history of computed bundles)
+// ===============================
+// Every complete /api/results_bundle is kept as a compact snapshot: per range, each color's
+// top album with just what a tile needs (name, artist, cover, hex, palette). One snapshot per
+// day and bucket set (a later bundle the same day replaces it). Older history is thinned to
+// one per month, so a user's list stays small but still answers "how did my grid change
+// over the year".
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAILY_DAYS = 31; // every day's snapshot is kept this long ...
+const MAX_MONTHS = 36; // ... then the last one of each month, for this many months
+
+/**
+ * compactTop(top)
+ * - The fields of a result's top album that a snapshot keeps (null stays null).
+ */
+export function compactTop(top) {
+  if (!top?.id) return null;
+  return {
+    id: top.id,
+    name: top.name,
+    artist: top.artist,
+    image: top.image || null,
+    color: top.color
+      ? {
+          hex: top.color.hex || null,
+          bucket: top.color.bucket || null,
+          palette: (top.color.palette || []).map(({ hex, share, role }) => ({ hex, share, role: role || null })),
+        }
+      : null,
+  };
+}
+
+const dayOf = (t) => new Date(t).toISOString().slice(0, 10);
+const monthOf = (t) => new Date(t).toISOString().slice(0, 7);
+
+/**
+ * snapshotFromBundle(bundle, { bucketSet, filters, now })
+ * - bundle: { [range]: { result: { [color]: { top } } } }; bucketSet: describeBucketSet().
+ * - Returns { id, taken_at, day, bucket_set, filters, ranges: { [range]: { [color]: top } } }.
+ *   id is "<YYYY-MM-DD>_<bucket set id>", so the same day and set share one id. The bucket set
+ *   is kept whole, so an old snapshot still renders after the set's colors change.
+ */
+export function snapshotFromBundle(bundle, { bucketSet, filters = "none", now = Date.now() }) {
+  const ranges = {};
+  for (const [range, data] of Object.entries(bundle || {})) {
+    if (!data?.result) continue;
+    ranges[range] = {};
+    for (const color of bucketSet.order) ranges[range][color] = compactTop(data.result[color]?.top);
+  }
+  return {
+    id: `${dayOf(now)}_${bucketSet.id}`,
+    taken_at: new Date(now).toISOString(),
+    day: dayOf(now),
+    bucket_set: bucketSet,
+    filters,
+    ranges,
+  };
+}
+
+/**
+ * addSnapshot(snapshots, snapshot, now)
+ * - Returns the new list (oldest first): `snapshot` replaces one with the same id, then the
+ *   list is thinned (see thinSnapshots).
+ */
+export function addSnapshot(snapshots, snapshot, now = Date.now()) {
+  const list = (snapshots || []).filter((s) => s.id !== snapshot.id);
+  list.push(snapshot);
+  list.sort((a, b) => a.taken_at.localeCompare(b.taken_at));
+  return thinSnapshots(list, now);
+}
+
+/**
+ * thinSnapshots(snapshots, now)
+ * - Keeps every snapshot from the last DAILY_DAYS days; before that, only the latest one per
+ *   month and bucket set, for at most MAX_MONTHS months.
+ */
+export function thinSnapshots(snapshots, now = Date.now()) {
+  const recentFrom = dayOf(now - DAILY_DAYS * DAY);
+  const oldestMonth = monthOf(Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth() - MAX_MONTHS));
+  const latestOfMonth = new Map(); // `${month}:${set}` -> snapshot
+
+  const monthKey = (s) => `${s.day.slice(0, 7)}:${s.bucket_set.id}`;
+
+  for (const s of snapshots) {
+    if (s.day >= recentFrom) continue;
+    const prev = latestOfMonth.get(monthKey(s));
+    if (!prev || s.taken_at > prev.taken_at) latestOfMonth.set(monthKey(s), s);
+  }
+
+  return snapshots.filter(
+    (s) => s.day >= recentFrom || (s.day.slice(0, 7) > oldestMonth && latestOfMonth.get(monthKey(s)) === s)
+  );
+}
+
+/**
+ * snapshotSummary(snapshot, range)
+ * - List entry for /api/history: { id, taken_at, day, bucket_set, ranges, tops } where tops
+ *   is `range`'s { [color]: top } (or null if the snapshot doesn't have that range).
+ */
+export function snapshotSummary(snapshot, range) {
+  return {
+    id: snapshot.id,
+    taken_at: snapshot.taken_at,
+    day: snapshot.day,
+    bucket_set: { id: snapshot.bucket_set.id, label: snapshot.bucket_set.label },
+    ranges: Object.keys(snapshot.ranges),
+    tops: range ? snapshot.ranges[range] || null : undefined,
+  };
+}
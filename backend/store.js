@@ -0,0 +1,259 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { createHash } from "crypto";
+import { mkdir, readdir, readFile, rename, rm, stat, utimes, writeFile } from "fs/promises";
+import path from "path";
+
+// ===============================
+// File-backed stores
+// ===============================
+// A Map that lives in memory and is mirrored to one JSON file on disk.
+// Writes are debounced, asynchronous and atomic (write temp file, then rename), so a
+// crash mid-write leaves the previous file intact. Only shutdown writes synchronously.
+
+const OPEN_STORES = new Set();
+
+/**
+ * openFileStore({ file, version, maxEntries, maxBytes, flushDelay })
+ * - Loads `file` if it exists and was written with the same `version`;
+ *   a different version means the data format/algorithm changed, so it starts empty.
+ * - Eviction: least-recently-used entries go first once either limit is exceeded.
+ *   maxBytes is measured on the serialized values (close to the file size).
+ * - get() touches the entry in memory only; the file is written by set() and delete(), so
+ *   reads (public share links among them) never cause a rewrite. The LRU order saved with
+ *   the next change includes those touches.
+ * - Returns { get, set, delete, has, size, flush, flushSync }; flush() resolves once the
+ *   file is written, and runs one write at a time.
+ */
+export function openFileStore({
+  file,
+  version = 1,
+  maxEntries = Infinity,
+  maxBytes = Infinity,
+  flushDelay = 2000,
+}) {
+  // key -> { v, t: last used, n: serialized size }
+  const map = new Map();
+  let bytes = 0;
+  let dirty = false;
+  let timer = null;
+  let writing = null; // the write in progress
+  let seq = 0;
+
+  try {
+    const raw = JSON.parse(readFileSync(file, "utf8"));
+    if (raw?.version === version && Array.isArray(raw.entries)) {
+      // Entries are written oldest-first, so Map order stays LRU order.
+      for (const [k, v, t] of raw.entries) {
+        const n = JSON.stringify(v).length;
+        map.set(k, { v, t, n });
+        bytes += n;
+      }
+    }
+  } catch {
+    // Missing or unreadable file: start empty.
+  }
+
+  function evict() {
+    while (map.size && (map.size > maxEntries || bytes > maxBytes)) {
+      const oldest = map.keys().next().value;
+      bytes -= map.get(oldest).n;
+      map.delete(oldest);
+    }
+  }
+
+  // Takes the pending changes: the serialized file and a temp path to write it to.
+  function take() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    dirty = false;
+    const entries = [];
+    for (const [k, e] of map) entries.push([k, e.v, e.t]);
+    return { data: JSON.stringify({ version, entries }), tmp: `${file}.${process.pid}.${++seq}.tmp` };
+  }
+
+  async function flush() {
+    while (writing) await writing.catch(() => {});
+    if (!dirty) return;
+    const { data, tmp } = take();
+    writing = (async () => {
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(tmp, data);
+      await rename(tmp, file);
+    })();
+    try {
+      await writing;
+    } catch (e) {
+      dirty = true; // retried with the next change or on shutdown
+      throw e;
+    } finally {
+      writing = null;
+    }
+  }
+
+  function flushSync() {
+    if (!dirty) return;
+    const { data, tmp } = take();
+    mkdirSync(path.dirname(file), { recursive: true });
+    writeFileSync(tmp, data);
+    renameSync(tmp, file);
+  }
+
+  function markDirty() {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush().catch((e) => console.error(`Store flush failed (${file}):`, e));
+      }, flushDelay);
+      timer.unref();
+    }
+  }
+
+  const store = {
+    get(key) {
+      const e = map.get(key);
+      if (!e) return null;
+      // Touch: move to the back of the LRU order.
+      map.delete(key);
+      e.t = Date.now();
+      map.set(key, e);
+      return e.v;
+    },
+    has(key) {
+      return map.has(key);
+    },
+    set(key, value) {
+      const prev = map.get(key);
+      if (prev) {
+        bytes -= prev.n;
+        map.delete(key);
+      }
+      const n = JSON.stringify(value).length;
+      map.set(key, { v: value, t: Date.now(), n });
+      bytes += n;
+      evict();
+      markDirty();
+    },
+    delete(key) {
+      const prev = map.get(key);
+      if (!prev) return false;
+      bytes -= prev.n;
+      map.delete(key);
+      markDirty();
+      return true;
+    },
+    get size() {
+      return map.size;
+    },
+    flush,
+    flushSync,
+  };
+
+  OPEN_STORES.add(store);
+  return store;
+}
+
+/**
+ * openFileDirStore({ dir, version, maxEntries })
+ * - For a few large values (megabytes each): every key is its own JSON file in `dir`, read
+ *   on use and never held in memory, so writing one value doesn't rewrite everyone else's.
+ * - A file written with another `version` reads as missing, like openFileStore.
+ * - Eviction: least-recently-used files (by mtime; get() touches) go once there are more
+ *   than maxEntries.
+ * - Returns { get, update, delete }, all async. Calls on one key run one at a time, in order,
+ *   so update() is a safe read-modify-write.
+ */
+export function openFileDirStore({ dir, version = 1, maxEntries = Infinity }) {
+  const queues = new Map(); // file -> tail of its call chain
+  let seq = 0;
+
+  const fileOf = (key) => path.join(dir, `${createHash("sha256").update(String(key)).digest("hex").slice(0, 32)}.json`);
+
+  function queued(file, run) {
+    const p = (queues.get(file) || Promise.resolve()).catch(() => {}).then(run);
+    queues.set(file, p);
+    const done = () => queues.get(file) === p && queues.delete(file);
+    p.then(done, done);
+    return p;
+  }
+
+  async function read(file) {
+    try {
+      const raw = JSON.parse(await readFile(file, "utf8"));
+      if (raw?.version === version) return raw.value;
+    } catch {
+      // Missing or unreadable file: nothing stored.
+    }
+    return null;
+  }
+
+  async function write(file, value) {
+    await mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.${++seq}.tmp`;
+    await writeFile(tmp, JSON.stringify({ version, value }));
+    await rename(tmp, file);
+    await evict();
+  }
+
+  async function evict() {
+    const names = (await readdir(dir)).filter((n) => n.endsWith(".json"));
+    if (names.length <= maxEntries) return;
+    const files = await Promise.all(
+      names.map(async (n) => {
+        const file = path.join(dir, n);
+        const t = await stat(file).then((st) => st.mtimeMs, () => 0);
+        return { file, t };
+      })
+    );
+    files.sort((a, b) => a.t - b.t);
+    for (const { file } of files.slice(0, files.length - maxEntries)) await rm(file, { force: true });
+  }
+
+  return {
+    get(key) {
+      const file = fileOf(key);
+      return queued(file, async () => {
+        const value = await read(file);
+        if (value !== null) {
+          const now = new Date();
+          await utimes(file, now, now).catch(() => {});
+        }
+        return value;
+      });
+    },
+    // fn(current value or null) -> the new value; returns it once written
+    update(key, fn) {
+      const file = fileOf(key);
+      return queued(file, async () => {
+        const value = await fn(await read(file));
+        await write(file, value);
+        return value;
+      });
+    },
+    delete(key) {
+      const file = fileOf(key);
+      return queued(file, () => rm(file, { force: true }));
+    },
+  };
+}
+
+/**
+ * flushAllStores()
+ * - Writes every store with pending changes, synchronously; used on shutdown.
+ */
+export function flushAllStores() {
+  for (const s of OPEN_STORES) {
+    try {
+      s.flushSync();
+    } catch (e) {
+      console.error("Store flush failed:", e);
+    }
+  }
+}
+
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.once(sig, () => {
+    flushAllStores();
+    process.exit(0);
+  });
+}
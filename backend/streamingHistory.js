@@ -0,0 +1,259 @@
+// ===============================
+// Extended Streaming History
+// ===============================
+// Spotify's data export ("Extended streaming history") is a set of JSON files, each an
+// array of plays: { ts, ms_played, spotify_track_uri, master_metadata_track_name,
+// master_metadata_album_album_name, master_metadata_album_artist_name, ... }.
+// Unlike the Web API's top-50 lists, it holds every play, so top albums can be ranked by
+// real listening time over any window.
+//
+// A user's history is kept compact: a track table plus one [seconds, trackIndex, ms] row
+// per play. Uploading the same file twice doesn't double-count (plays are keyed by
+// timestamp + track).
+
+/**
+ * historyError(message)
+ * - Bad upload or window; carries status 400 like the route errors.
+ */
+function historyError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * emptyHistory()
+ * - { tracks: [[trackId, name, album, artist]], plays: [[tSec, trackIndex, ms]], files, updatedAt }
+ */
+export function emptyHistory() {
+  return { tracks: [], plays: [], files: 0, updatedAt: 0 };
+}
+
+/**
+ * mergeStreamingHistory(history, entries)
+ * - Adds one uploaded file (the parsed JSON array) to `history` (mutated, also returned).
+ * - Podcast episodes and plays without a track URI are skipped.
+ * - Returns { history, added, duplicates, skipped }.
+ * - Throws (status 400) if `entries` doesn't look like an Extended streaming history file.
+ */
+export function mergeStreamingHistory(history, entries) {
+  if (!Array.isArray(entries)) throw historyError("Expected a JSON array of plays");
+  if (entries.length && !entries.some((e) => e && "ts" in e && "ms_played" in e)) {
+    throw historyError(
+      "Not an Extended streaming history file (expected fields ts, ms_played, spotify_track_uri)"
+    );
+  }
+
+  const trackIndex = new Map(history.tracks.map((t, i) => [t[0], i]));
+  const seen = new Set(history.plays.map(([t, i]) => `${t}:${i}`));
+  let added = 0;
+  let duplicates = 0;
+  let skipped = 0;
+
+  for (const e of entries) {
+    const uri = typeof e?.spotify_track_uri === "string" ? e.spotify_track_uri : "";
+    const trackId = uri.startsWith("spotify:track:") ? uri.slice("spotify:track:".length) : "";
+    const t = Date.parse(e?.ts);
+    const ms = Number(e?.ms_played);
+    if (!trackId || !Number.isFinite(t) || !(ms > 0)) {
+      skipped += 1;
+      continue;
+    }
+
+    if (!trackIndex.has(trackId)) {
+      trackIndex.set(trackId, history.tracks.length);
+      history.tracks.push([
+        trackId,
+        e.master_metadata_track_name || "",
+        e.master_metadata_album_album_name || "",
+        e.master_metadata_album_artist_name || "",
+      ]);
+    }
+
+    const row = [Math.floor(t / 1000), trackIndex.get(trackId), Math.round(ms)];
+    const key = `${row[0]}:${row[1]}`;
+    if (seen.has(key)) {
+      duplicates += 1;
+      continue;
+    }
+    seen.add(key);
+    history.plays.push(row);
+    added += 1;
+  }
+
+  if (added) {
+    history.plays.sort((a, b) => a[0] - b[0]);
+    history.files += 1;
+    history.updatedAt = Date.now();
+  }
+  return { history, added, duplicates, skipped };
+}
+
+/**
+ * summarizeHistory(history)
+ * - What the frontend shows after an import: { plays, tracks, files, from, to, years, updated_at }.
+ */
+export function summarizeHistory(history) {
+  const plays = history?.plays || [];
+  if (!plays.length) {
+    return { plays: 0, tracks: 0, files: history?.files || 0, from: null, to: null, years: [], updated_at: null };
+  }
+  const from = plays[0][0] * 1000;
+  const to = plays[plays.length - 1][0] * 1000;
+  const years = [];
+  for (let y = new Date(from).getUTCFullYear(); y <= new Date(to).getUTCFullYear(); y++) years.push(String(y));
+  return {
+    plays: plays.length,
+    tracks: history.tracks.length,
+    files: history.files,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    years,
+    updated_at: new Date(history.updatedAt).toISOString(),
+  };
+}
+
+// ---------- windows ----------
+
+const DAY = 24 * 60 * 60 * 1000;
+const SEASONS = {
+  spring: [2, 5],
+  summer: [5, 8],
+  fall: [8, 11],
+  autumn: [8, 11],
+  winter: [11, 14], // December through February of the next year
+};
+
+const utc = (y, m, d = 1) => Date.UTC(y, m, d);
+
+function cap(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * monthsBefore(t, n)
+ * - `t` moved back n calendar months, time of day kept. The day is clamped to that month's
+ *   length, so a month before March 31 is the end of February, not March 3.
+ */
+function monthsBefore(t, n) {
+  const d = new Date(t);
+  const y = d.getUTCFullYear();
+  const mo = d.getUTCMonth() - n;
+  const lastDay = new Date(utc(y, mo + 1, 0)).getUTCDate();
+  d.setUTCFullYear(y, mo, Math.min(d.getUTCDate(), lastDay));
+  return d.getTime();
+}
+
+function seasonWindow(name, year) {
+  const [m0, m1] = SEASONS[name];
+  return { from: utc(year, m0), to: utc(year, m1) };
+}
+
+/**
+ * parseHistoryWindow(spec, now)
+ * - Turns a window description into { id, label, from, to } (ms, UTC, `to` exclusive).
+ * - Accepts: "all", "2023", "2023-06", "2023-06-01..2023-08-31", "this year", "last year",
+ *   "last 30 days" / "last 8 weeks" / "last 6 months", "summer 2023" (any season;
+ *   winter runs Dec–Feb) and "last summer" (the most recent season that has ended).
+ * - Seasons are northern-hemisphere. Throws (status 400) for anything else.
+ */
+export function parseHistoryWindow(spec, now = Date.now()) {
+  const s = String(spec || "all").trim().toLowerCase().replace(/\s+/g, " ");
+  const year = new Date(now).getUTCFullYear();
+  const win = (from, to, label) => ({ id: s, label, from, to });
+  let m;
+
+  if (s === "all" || s === "all time") return win(0, Infinity, "All time");
+  if (s === "this year") return win(utc(year, 0), utc(year + 1, 0), String(year));
+  if (s === "last year") return win(utc(year - 1, 0), utc(year, 0), String(year - 1));
+
+  if ((m = s.match(/^(\d{4})$/))) {
+    const y = +m[1];
+    return win(utc(y, 0), utc(y + 1, 0), m[1]);
+  }
+
+  if ((m = s.match(/^(\d{4})-(\d{2})$/)) && +m[2] >= 1 && +m[2] <= 12) {
+    const y = +m[1];
+    const mo = +m[2] - 1;
+    const label = new Date(utc(y, mo)).toLocaleString("en-US", { month: "long", year: "numeric", timeZone: "UTC" });
+    return win(utc(y, mo), utc(y, mo + 1), label);
+  }
+
+  if ((m = s.match(/^(\d{4}-\d{2}-\d{2})\s?\.\.\s?(\d{4}-\d{2}-\d{2})$/))) {
+    const from = Date.parse(`${m[1]}T00:00:00Z`);
+    const to = Date.parse(`${m[2]}T00:00:00Z`) + DAY;
+    if (Number.isFinite(from) && Number.isFinite(to) && from < to) return win(from, to, `${m[1]} – ${m[2]}`);
+  }
+
+  if ((m = s.match(/^last (\d{1,4}) (day|week|month)s?$/))) {
+    const n = +m[1];
+    if (n > 0) {
+      const from = m[2] === "month" ? monthsBefore(now, n) : now - n * (m[2] === "week" ? 7 : 1) * DAY;
+      return win(from, now, `Last ${n} ${m[2]}${n === 1 ? "" : "s"}`);
+    }
+  }
+
+  if ((m = s.match(/^(spring|summer|fall|autumn|winter) (\d{4})$/))) {
+    const { from, to } = seasonWindow(m[1], +m[2]);
+    const label = m[1] === "winter" ? `Winter ${m[2]}–${+m[2] + 1}` : `${cap(m[1])} ${m[2]}`;
+    return win(from, to, label);
+  }
+
+  if ((m = s.match(/^last (spring|summer|fall|autumn|winter)$/))) {
+    // the latest one that's over: try this year's, then last year's, ...
+    for (let y = year; y > year - 3; y--) {
+      const { from, to } = seasonWindow(m[1], y);
+      if (to <= now) {
+        const label = m[1] === "winter" ? `Winter ${y}–${y + 1}` : `${cap(m[1])} ${y}`;
+        return win(from, to, label);
+      }
+    }
+  }
+
+  throw historyError(`Unknown window "${spec}". Try "2023", "2023-06", "last summer" or "last 90 days".`);
+}
+
+/**
+ * countPlaysInWindow(history, { from, to })
+ */
+export function countPlaysInWindow(history, { from, to }) {
+  let n = 0;
+  for (const [t] of history?.plays || []) if (t * 1000 >= from && t * 1000 < to) n += 1;
+  return n;
+}
+
+/**
+ * topAlbumsInWindow(history, { from, to }, { normalizeAlbumName, limit })
+ * - Sums ms_played per album (album name + album artist, normalized like the rest of the
+ *   pipeline) for plays in [from, to).
+ * - Returns up to `limit` albums, most played first:
+ *   { album, artist, ms, plays, trackId } where trackId is the album's most played track
+ *   (used to look the album up on Spotify).
+ */
+export function topAlbumsInWindow(history, { from, to }, { normalizeAlbumName = (n) => n, limit = 120 } = {}) {
+  const fromSec = Math.floor(from / 1000);
+  const toSec = to === Infinity ? Infinity : Math.floor(to / 1000);
+  const albums = new Map(); // key -> { album, artist, ms, plays, byTrack: Map(trackIndex -> ms) }
+
+  for (const [t, ti, ms] of history.plays) {
+    if (t < fromSec || t >= toSec) continue;
+    const [, , album, artist] = history.tracks[ti];
+    if (!album) continue;
+
+    const key = `${normalizeAlbumName(album)}::${artist.toLowerCase()}`;
+    if (!albums.has(key)) albums.set(key, { album, artist, ms: 0, plays: 0, byTrack: new Map() });
+    const a = albums.get(key);
+    a.ms += ms;
+    a.plays += 1;
+    a.byTrack.set(ti, (a.byTrack.get(ti) || 0) + ms);
+  }
+
+  return [...albums.values()]
+    .sort((a, b) => b.ms - a.ms || a.album.localeCompare(b.album))
+    .slice(0, limit)
+    .map(({ album, artist, ms, plays, byTrack }) => {
+      let best = -1;
+      for (const [ti, tms] of byTrack) if (best === -1 || tms > byTrack.get(best)) best = ti;
+      return { album, artist, ms, plays, trackId: history.tracks[best][0] };
+    });
+}
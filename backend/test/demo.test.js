@@ -0,0 +1,169 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DEFAULT_BUCKET_SET } from "../buckets.js";
+
+// ===============================
+// Bucketing regression (demo fixtures)
+// ===============================
+// Runs the real backend in demo mode (mock Spotify + fixture library, fresh data dir) and
+// checks the grids it computes: the fixture covers are drawn from known colors, so every
+// color has a known pick.
+
+const BACKEND = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// classic bucket set: color -> album id picked for it
+const EXPECTED = {
+  short_term: {
+    red: "al01",
+    orange: "al06",
+    yellow: "al07",
+    green: "al34",
+    blue: "al13",
+    purple: "al17",
+    pink: "al20",
+    white: "al24",
+    grey: "al43",
+    black: "al27",
+  },
+  medium_term: {
+    red: "al01",
+    orange: "al04",
+    yellow: "al08",
+    green: "al10",
+    blue: "al13",
+    purple: "al17",
+    pink: "al20",
+    white: "al18",
+    grey: "al25",
+    black: "al28",
+  },
+  long_term: {
+    red: "al03",
+    orange: "al42",
+    yellow: "al43",
+    green: "al10",
+    blue: "al13",
+    purple: "al19",
+    pink: "al37",
+    white: "al23",
+    grey: "al25",
+    black: "al28",
+  },
+};
+
+let server;
+let dataDir;
+let base;
+let mockBase;
+let cookies = "";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitUntilUp(url, ms = 20_000) {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    try {
+      await fetch(url);
+      return;
+    } catch {
+      await new Promise((r) => setTimeout(r, 200));
+    }
+  }
+  throw new Error(`${url} didn't come up`);
+}
+
+/**
+ * login()
+ * - Follows /login through the mock's /authorize back to /auth/callback by hand, keeping
+ *   the backend's cookies (the session ends up in `cookies`); the final hop to the frontend
+ *   isn't followed.
+ */
+async function login() {
+  const jar = new Map();
+  let url = `${base}/login`;
+  for (let hop = 0; hop < 6 && (url.startsWith(base) || url.startsWith(mockBase)); hop++) {
+    const own = url.startsWith(base);
+    const headers = own ? { Cookie: [...jar].map(([k, v]) => `${k}=${v}`).join("; ") } : {};
+    const res = await fetch(url, { redirect: "manual", headers });
+    if (own) {
+      for (const c of res.headers.getSetCookie()) {
+        const [pair] = c.split(";");
+        const [k, v] = pair.split("=");
+        if (v) jar.set(k, v);
+        else jar.delete(k);
+      }
+    }
+    const next = res.headers.get("location");
+    if (!next) break;
+    url = new URL(next, url).toString();
+  }
+  cookies = [...jar].map(([k, v]) => `${k}=${v}`).join("; ");
+  assert.ok(cookies, "login set no session cookie");
+}
+
+async function getJson(p) {
+  const res = await fetch(`${base}${p}`, { headers: { Cookie: cookies } });
+  assert.equal(res.status, 200, `${p} answered ${res.status}`);
+  return res.json();
+}
+
+before(async () => {
+  const [port, demoPort] = [await freePort(), await freePort()];
+  base = `http://127.0.0.1:${port}`;
+  mockBase = `http://127.0.0.1:${demoPort}`;
+  dataDir = mkdtempSync(path.join(os.tmpdir(), "chromafm-test-"));
+  server = spawn(process.execPath, ["index.js", "--demo"], {
+    cwd: BACKEND,
+    env: { ...process.env, PORT: String(port), DEMO_PORT: String(demoPort), CHROMAFM_DATA_DIR: dataDir },
+    stdio: "ignore",
+  });
+  await waitUntilUp(`${base}/`);
+  await login();
+});
+
+after(() => {
+  server?.kill();
+  if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("every range of the bundle picks the expected album per color", async () => {
+  const bundle = await getJson("/api/results_bundle");
+  for (const [range, expected] of Object.entries(EXPECTED)) {
+    const { result, meta } = bundle[range];
+    assert.equal(meta.partial, null, `${range} is partial`);
+    const picked = Object.fromEntries(Object.entries(result).map(([color, b]) => [color, b.top?.id ?? null]));
+    assert.deepEqual(picked, expected, range);
+  }
+});
+
+test("grids fill every color once, each with a cover that carries that color", async () => {
+  const set = DEFAULT_BUCKET_SET;
+  for (const range of Object.keys(EXPECTED)) {
+    const { result } = await getJson(`/api/results?time_range=${range}&buckets=${set.id}`);
+    assert.deepEqual(Object.keys(result).sort(), [...set.order].sort());
+
+    const ids = Object.values(result).map((b) => b.top?.id);
+    assert.equal(new Set(ids).size, ids.length, `${range}: an album appears twice`);
+
+    for (const [color, { top }] of Object.entries(result)) {
+      assert.ok(top, `${range}: ${color} is empty`);
+      if (top.why.tier === "pinned") continue;
+      assert.ok((top.color.fits?.[color] || 0) > 0, `${range}: ${top.name} doesn't fit ${color}`);
+    }
+  }
+});
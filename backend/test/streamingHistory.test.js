@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHistoryWindow } from "../streamingHistory.js";
+
+const at = (iso) => Date.parse(iso);
+const span = (w) => [new Date(w.from).toISOString(), new Date(w.to).toISOString()];
+
+test("last N months clamps to the end of shorter months and keeps the time of day", () => {
+  let now = at("2026-03-31T15:30:00.000Z");
+  assert.deepEqual(span(parseHistoryWindow("last 1 month", now)), [
+    "2026-02-28T15:30:00.000Z",
+    "2026-03-31T15:30:00.000Z",
+  ]);
+
+  now = at("2024-03-31T15:30:00.000Z");
+  assert.equal(new Date(parseHistoryWindow("last 1 month", now).from).toISOString(), "2024-02-29T15:30:00.000Z");
+
+  now = at("2026-08-31T09:00:00.000Z");
+  const six = parseHistoryWindow("last 6 months", now);
+  assert.equal(new Date(six.from).toISOString(), "2026-02-28T09:00:00.000Z");
+  assert.equal(six.label, "Last 6 months");
+});
+
+test("last N months crosses year boundaries", () => {
+  const now = at("2026-01-15T08:00:00.000Z");
+  assert.equal(new Date(parseHistoryWindow("last 1 month", now).from).toISOString(), "2025-12-15T08:00:00.000Z");
+  assert.equal(new Date(parseHistoryWindow("last 14 months", now).from).toISOString(), "2024-11-15T08:00:00.000Z");
+});
+
+test("last N days and weeks count back from now", () => {
+  const now = at("2026-03-31T15:30:00.000Z");
+  assert.deepEqual(span(parseHistoryWindow("last 30 days", now)), [
+    "2026-03-01T15:30:00.000Z",
+    "2026-03-31T15:30:00.000Z",
+  ]);
+  assert.equal(new Date(parseHistoryWindow("last 2 weeks", now).from).toISOString(), "2026-03-17T15:30:00.000Z");
+});
+
+test("last summer is the latest summer that has ended", () => {
+  const before = parseHistoryWindow("last summer", at("2026-08-15T12:00:00.000Z"));
+  assert.deepEqual(span(before), ["2025-06-01T00:00:00.000Z", "2025-09-01T00:00:00.000Z"]);
+  assert.equal(before.label, "Summer 2025");
+
+  const after = parseHistoryWindow("last summer", at("2026-09-01T00:00:00.000Z"));
+  assert.deepEqual(span(after), ["2026-06-01T00:00:00.000Z", "2026-09-01T00:00:00.000Z"]);
+  assert.equal(after.label, "Summer 2026");
+});
+
+test("winter runs December through February", () => {
+  const w = parseHistoryWindow("winter 2023");
+  assert.deepEqual(span(w), ["2023-12-01T00:00:00.000Z", "2024-03-01T00:00:00.000Z"]);
+  assert.equal(w.label, "Winter 2023–2024");
+
+  const last = parseHistoryWindow("last winter", at("2026-02-10T00:00:00.000Z"));
+  assert.deepEqual(span(last), ["2024-12-01T00:00:00.000Z", "2025-03-01T00:00:00.000Z"]);
+});
+
+test("calendar windows and unknown specs", () => {
+  assert.deepEqual(span(parseHistoryWindow("2024-02")), ["2024-02-01T00:00:00.000Z", "2024-03-01T00:00:00.000Z"]);
+  assert.deepEqual(span(parseHistoryWindow("2024-03-01..2024-05-31")), [
+    "2024-03-01T00:00:00.000Z",
+    "2024-06-01T00:00:00.000Z",
+  ]);
+  assert.throws(() => parseHistoryWindow("next tuesday"), (e) => e.status === 400);
+});
@@ -0,0 +1,190 @@
+import { Worker } from "worker_threads";
+
+// ===============================
+// Worker-thread pool
+// ===============================
+// Runs CPU-heavy jobs (cover decoding + quantization) off the main event loop so
+// the HTTP server stays responsive while a big bundle is being computed.
+//
+// - Bounded: `size` workers, at most `maxQueue` jobs waiting for one.
+// - Backpressure: once the queue is full, run() waits for room instead of piling up work.
+// - Timeouts: a job that runs past its deadline has its worker terminated and replaced
+//   (synchronous work inside a worker can't be interrupted any other way).
+// - Cancellation: an AbortSignal drops a job that hasn't started; a job that already
+//   started is abandoned (its result is discarded) and the worker moves on.
+//
+// Worker protocol: the worker gets { id, data } messages and answers
+// { id, result } or { id, error }.
+
+/**
+ * poolError(message, code)
+ * - Errors thrown by the pool carry a `code`: POOL_TIMEOUT, POOL_ABORTED, POOL_CLOSED,
+ *   POOL_CRASHED (worker died mid-job) or POOL_JOB_FAILED (the job itself threw).
+ */
+function poolError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function abortError(signal) {
+  return signal?.reason instanceof Error ? signal.reason : poolError("Job cancelled", "POOL_ABORTED");
+}
+
+/**
+ * createWorkerPool({ file, size, maxQueue, timeout, name })
+ * - file: worker module (URL or path).
+ * - timeout: default per-job limit in ms (0 = none); run() can override it.
+ * - Returns { run(data, { signal, timeout, transfer }), stats(), close() }.
+ */
+export function createWorkerPool({ file, size = 1, maxQueue = 100, timeout = 0, name = "worker" }) {
+  const workers = []; // { worker, job }
+  const queue = []; // jobs waiting for a worker
+  const roomWaiters = []; // run() calls waiting for queue room
+  let nextId = 1;
+  let closed = false;
+
+  // A worker that dies before it ever came online (bad module, missing native dep)
+  // would die again right away: respawn those with a delay instead of in a tight loop.
+  const RESPAWN_DELAY = 1000;
+
+  function spawn() {
+    const slot = { worker: new Worker(file, { name }), job: null, online: false };
+    slot.worker.once("online", () => (slot.online = true));
+
+    slot.worker.on("message", (msg) => {
+      const job = slot.job;
+      if (!job || msg?.id !== job.id) return;
+      slot.job = null;
+      if (msg.error) finish(job, poolError(msg.error, "POOL_JOB_FAILED"));
+      else finish(job, null, msg.result);
+      pump();
+    });
+
+    slot.worker.on("error", (e) => {
+      console.error(`${name} worker crashed:`, e);
+    });
+
+    slot.worker.on("exit", () => {
+      const i = workers.indexOf(slot);
+      if (i !== -1) workers.splice(i, 1);
+      if (slot.job) {
+        finish(slot.job, poolError(`${name} worker exited`, "POOL_CRASHED"));
+        slot.job = null;
+      }
+      if (closed) return;
+      const respawn = () => {
+        if (closed) return;
+        workers.push(spawn());
+        pump();
+      };
+      if (slot.online) respawn();
+      else setTimeout(respawn, RESPAWN_DELAY).unref();
+    });
+
+    slot.worker.unref();
+    return slot;
+  }
+
+  function finish(job, err, result) {
+    if (job.done) return;
+    job.done = true;
+    if (job.timer) clearTimeout(job.timer);
+    if (job.signal) job.signal.removeEventListener("abort", job.onAbort);
+    if (err) job.reject(err);
+    else job.resolve(result);
+  }
+
+  function pump() {
+    for (const slot of workers) {
+      if (slot.job) continue;
+
+      const job = queue.shift();
+      if (!job) break;
+
+      slot.job = job;
+      if (job.timeout > 0) {
+        job.timer = setTimeout(() => {
+          finish(job, poolError(`${name} job timed out after ${job.timeout}ms`, "POOL_TIMEOUT"));
+          // "exit" respawns the worker and pumps the queue.
+          slot.worker.terminate();
+        }, job.timeout);
+      }
+      slot.worker.postMessage({ id: job.id, data: job.data }, job.transfer);
+    }
+
+    while (roomWaiters.length && queue.length < maxQueue) roomWaiters.shift()();
+  }
+
+  async function waitForRoom(signal) {
+    while (queue.length >= maxQueue) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          const i = roomWaiters.indexOf(wake);
+          if (i !== -1) roomWaiters.splice(i, 1);
+          reject(abortError(signal));
+        };
+        const wake = () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        };
+        roomWaiters.push(wake);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+      if (closed) throw poolError(`${name} pool is closed`, "POOL_CLOSED");
+    }
+  }
+
+  /**
+   * run(data, opts)
+   * - Resolves with the worker's result; rejects with a poolError (or the signal's reason).
+   * - opts.transfer: ArrayBuffers to move into the worker instead of copying.
+   *   Moved buffers are unusable here afterwards.
+   */
+  async function run(data, { signal, timeout: jobTimeout = timeout, transfer = [] } = {}) {
+    if (closed) throw poolError(`${name} pool is closed`, "POOL_CLOSED");
+    if (signal?.aborted) throw abortError(signal);
+
+    await waitForRoom(signal);
+    if (signal?.aborted) throw abortError(signal);
+
+    return new Promise((resolve, reject) => {
+      const job = { id: nextId++, data, transfer, timeout: jobTimeout, resolve, reject, done: false };
+
+      if (signal) {
+        job.signal = signal;
+        job.onAbort = () => {
+          // a queued job leaves the queue; a running one just gets ignored
+          const i = queue.indexOf(job);
+          if (i !== -1) queue.splice(i, 1);
+          finish(job, abortError(signal));
+          pump();
+        };
+        signal.addEventListener("abort", job.onAbort, { once: true });
+      }
+
+      queue.push(job);
+      pump();
+    });
+  }
+
+  function stats() {
+    return {
+      workers: workers.length,
+      busy: workers.filter((s) => s.job).length,
+      queued: queue.length,
+      waiting: roomWaiters.length,
+    };
+  }
+
+  async function close() {
+    closed = true;
+    for (const job of queue.splice(0)) finish(job, poolError(`${name} pool is closed`, "POOL_CLOSED"));
+    for (const wake of roomWaiters.splice(0)) wake();
+    await Promise.all(workers.map((s) => s.worker.terminate()));
+  }
+
+  for (let i = 0; i < Math.max(1, size); i++) workers.push(spawn());
+
+  return { run, stats, close };
+}
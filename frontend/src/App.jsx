@@ -1,9 +1,44 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_EXPORT_PRESET,
+  EXPORT_FONT,
+  EXPORT_PRESETS,
+  albumHex,
+  albumPalette,
+  diffStatusText,
+  layoutDiffExport,
+  layoutExport,
+  moodText,
+  pickTextColor,
+  timeRangeLabel,
+} from "../../shared/exportLayout.js";
 import "./App.css";
 
 const API_BASE = "http://127.0.0.1:8000";
 const CACHE_KEY = "chromafm_bundle";
-
+const BUCKET_SET_KEY = "chromafm_bucket_set";
+// Albums the user stepped to per tile: { [bucketSetId]: { [range]: { [color]: albumId } } }.
+const PICKS_KEY = "chromafm_picks";
+// Runners-up per color to ask the backend for, so there's something to browse.
+const OTHERS_PER_COLOR = 12;
+// Content filters (backend query parameters), kept across visits.
+const FILTERS_KEY = "chromafm_filters";
+const NO_FILTERS = {
+  no_compilations: false,
+  min_tracks: "",
+  no_explicit: false,
+  genres: "",
+  exclude_genres: "",
+  min_year: "",
+};
+const DEFAULT_BUCKET_SET = "classic";
+// When the backend answers with meta.partial (deadline hit), it keeps refining in the
+// background; re-fetch a few times to pick up the complete result.
+const REFINE_RETRY_MS = 20_000;
+const REFINE_MAX_TRIES = 3;
+
+// Classic bucket layout. The backend sends the selected set's order/colors in
+// meta.bucket_set; these are only used for bundles cached before bucket sets existed.
 const ORDER = ["white", "grey", "black", "red", "orange", "yellow", "green", "blue", "purple", "pink"];
 
 // Used for tile borders / fallback colors when we don't have a good album-derived hex.
@@ -26,8 +61,15 @@ const TIME_ORDER = {
   short_term: ["short_term", "medium_term", "long_term"],
   medium_term: ["medium_term", "short_term", "long_term"],
   long_term: ["long_term", "medium_term", "short_term"],
+  // imported streaming history: the backend already backfilled it, nothing to borrow
+  history: ["history"],
+  // a stored snapshot is shown as it was
+  snapshot: ["snapshot"],
 };
 
+// Window shortcuts offered next to the history input (plus one chip per year in the history).
+const HISTORY_WINDOWS = ["last summer", "last 6 months", "all"];
+
 /**
  * titleCase(color)
  * - Goal: turn bucket keys into display labels.
@@ -37,52 +79,131 @@ function titleCase(color) {
 }
 
 /**
- * parseHex(hex)
- * - Input: "#RRGGBB" or "RRGGBB"
- * - Output: {r,g,b} in 0-255, or null if invalid.
- * - Why: used by pickTextColor to compute luminance.
+ * bucketViewFor(bundle)
+ * - The grid layout for a bundle: { order, label(color), border(color) }.
+ * - Driven by the bucket set the backend computed with (meta.bucket_set),
+ *   falling back to the classic ORDER/BUCKET_BORDER.
+ */
+function bucketViewFor(bundle) {
+  const set = bundle?.short_term?.meta?.bucket_set;
+  if (!set?.buckets?.length) {
+    return {
+      id: DEFAULT_BUCKET_SET,
+      order: ORDER,
+      label: titleCase,
+      border: (color) => BUCKET_BORDER[color],
+    };
+  }
+  const byId = Object.fromEntries(set.buckets.map((b) => [b.id, b]));
+  return {
+    id: set.id,
+    order: set.display_order || set.order,
+    label: (color) => byId[color]?.label || titleCase(color),
+    border: (color) => byId[color]?.display,
+  };
+}
+
+/**
+ * cacheKeyFor(query)
+ * - sessionStorage key; one cached bundle per results query (bucket set + filters).
+ */
+function cacheKeyFor(query) {
+  return `${CACHE_KEY}:${query}`;
+}
+
+/**
+ * clearCachedBundles()
+ * - Drops every cached bundle (logout, or a change that affects all of them).
+ */
+function clearCachedBundles() {
+  for (const key of Object.keys(sessionStorage)) {
+    if (key.startsWith(`${CACHE_KEY}:`)) sessionStorage.removeItem(key);
+  }
+}
+
+/**
+ * filtersQuery(filters)
+ * - The filters that are set, as query parameters ("" when none are).
+ */
+function filtersQuery(filters) {
+  const q = new URLSearchParams();
+  if (filters.no_compilations) q.set("no_compilations", "1");
+  if (+filters.min_tracks > 0) q.set("min_tracks", String(+filters.min_tracks));
+  if (filters.no_explicit) q.set("no_explicit", "1");
+  if (filters.genres.trim()) q.set("genres", filters.genres.trim());
+  if (filters.exclude_genres.trim()) q.set("exclude_genres", filters.exclude_genres.trim());
+  if (+filters.min_year > 0) q.set("min_year", String(+filters.min_year));
+  return q.toString();
+}
+
+/**
+ * resultsQuery(setId, filtersQ)
+ * - Query string for the bundle endpoints; also identifies which grid a response is for.
+ */
+function resultsQuery(setId, filtersQ) {
+  return `buckets=${encodeURIComponent(setId)}&others=${OTHERS_PER_COLOR}${filtersQ ? `&${filtersQ}` : ""}`;
+}
+
+/**
+ * loadFilters()
+ * - Saved content filters from localStorage (NO_FILTERS if missing or unreadable).
+ */
+function loadFilters() {
+  try {
+    return { ...NO_FILTERS, ...JSON.parse(localStorage.getItem(FILTERS_KEY)) };
+  } catch {
+    return NO_FILTERS;
+  }
+}
+
+/**
+ * overridesCount(overrides)
+ * - Pins + hidden albums + hidden artists, for the toolbar button.
  */
-function parseHex(hex) {
-  if (!hex || typeof hex !== "string") return null;
-  const h = hex.trim().replace("#", "");
-  if (h.length !== 6) return null;
-  const n = Number.parseInt(h, 16);
-  if (Number.isNaN(n)) return null;
-  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+function overridesCount(overrides) {
+  if (!overrides) return 0;
+  return Object.keys(overrides.pins || {}).length + overrides.albums.length + overrides.artists.length;
 }
 
 /**
- * srgbToLin(c)
- * - Converts one channel from sRGB space to linear-light space.
- * - Why: correct luminance math requires linear space (not raw 0-255).
+ * loadPicks()
+ * - Per-tile album choices from localStorage ({} if missing or unreadable).
  */
-function srgbToLin(c) {
-  const x = c / 255;
-  return x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+function loadPicks() {
+  try {
+    return JSON.parse(localStorage.getItem(PICKS_KEY)) || {};
+  } catch {
+    return {};
+  }
 }
 
 /**
- * pickTextColor(bgHex)
- * - Goal: choose black or near-white text depending on background brightness.
- * - Uses relative luminance formula:
- *   L = 0.2126*R + 0.7152*G + 0.0722*B (in linear space)
- * - Threshold (0.58) is a design choice: higher = more often dark text.
+ * apiJson(path, init)
+ * - fetch() against the backend with the session cookie; resolves with the JSON body.
+ * - Throws with the backend's `error` message on non-2xx answers.
  */
-function pickTextColor(bgHex) {
-  const rgb = parseHex(bgHex);
-  if (!rgb) return "#F3F3F3";
-  const L = 0.2126 * srgbToLin(rgb.r) + 0.7152 * srgbToLin(rgb.g) + 0.0722 * srgbToLin(rgb.b);
-  return L > 0.58 ? "#0E0E0E" : "#F3F3F3";
+async function apiJson(path, init = {}) {
+  const res = await fetch(`${API_BASE}${path}`, { credentials: "include", ...init });
+  const text = await res.text();
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error(`Non-JSON from backend (${res.status}): ${text.slice(0, 160)}`);
+  }
+  if (!res.ok) throw new Error(json.error || `Request failed (${res.status})`);
+  return json;
 }
 
 /**
- * timeRangeLabel(tr)
- * - Converts API time range keys into UI/export labels.
+ * historySummaryText(summary)
+ * - One line about the imported streaming history ("12,345 plays · Jan 2019 – Mar 2024").
  */
-function timeRangeLabel(tr) {
-  if (tr === "short_term") return "Last 4 weeks";
-  if (tr === "medium_term") return "Last 6 months";
-  return "All time";
+function historySummaryText(summary) {
+  if (!summary?.plays) return "No streaming history imported yet.";
+  const month = (iso) => new Date(iso).toLocaleDateString(undefined, { month: "short", year: "numeric" });
+  return `${summary.plays.toLocaleString()} plays · ${month(summary.from)} – ${month(summary.to)}`;
 }
 
 /**
@@ -112,10 +233,10 @@ async function loadImageBitmapViaProxy(url) {
 function preloadImagesFromBundle(bundle) {
   try {
     const urls = new Set();
-    for (const tr of ["short_term", "medium_term", "long_term"]) {
+    for (const tr of Object.keys(bundle || {})) {
       const result = bundle?.[tr]?.result;
       if (!result) continue;
-      for (const color of ORDER) {
+      for (const color of Object.keys(result)) {
         const u = result?.[color]?.top?.image;
         if (u) urls.add(u);
       }
@@ -145,6 +266,16 @@ function getTopFrom(bundle, timeRange, color) {
   return bucket?.top ?? (Array.isArray(bucket) ? bucket[0] : null) ?? null;
 }
 
+/**
+ * getAlternatesFrom(bundle, timeRange, color)
+ * - [top, ...others] for one bucket: what the tile can step through.
+ */
+function getAlternatesFrom(bundle, timeRange, color) {
+  const bucket = (bundle?.[timeRange]?.result || bundle?.[timeRange]?.buckets)?.[color];
+  if (Array.isArray(bucket)) return bucket;
+  return bucket?.top ? [bucket.top, ...(bucket.others || [])] : [];
+}
+
 /**
  * getTopWithCrossTimeFallback(bundle, timeRange, color)
  * - If selected timeRange has no album for that color, fall back to other ranges.
@@ -158,254 +289,348 @@ function getTopWithCrossTimeFallback(bundle, timeRange, color) {
   return { top: null, fromRange: null };
 }
 
-// ---------- Export (1080x1920) ----------
+// ---------- Streaming (SSE) ----------
+
+// Where the pipeline is looking, for the progress line (see /api/results_bundle/stream).
+const TIER_LABEL = {
+  top_tracks: "your top tracks",
+  liked: "your Liked Songs",
+  saved: "your saved albums",
+  playlist: "your playlists",
+  artist: "your top artists' albums",
+  saved_wide: "more saved albums",
+  artist_wide: "more artist albums",
+  wide_top_tracks: "more top tracks",
+  ultra_loose: "more top tracks",
+  other_ranges_last: "other time ranges",
+  history: "your streaming history",
+};
+
+function tierLabel(tier) {
+  return TIER_LABEL[tier] || tier;
+}
+
+const pct = (x) => `${Math.round((x || 0) * 100)}%`;
+const num = (x) => (typeof x === "number" ? x.toFixed(2) : "–");
 
 /**
- * roundRect(ctx, x, y, w, h, r)
- * - Creates a rounded rectangle path on the canvas context.
- * - NOTE: doesn't fill or stroke; it only defines the path.
+ * explainLines(top, label)
+ * - Plain-language lines for a tile's detail panel, from the backend's top.why
+ *   (see explainPick in the backend). [] for albums without one (older cached bundles).
  */
-function roundRect(ctx, x, y, w, h, r) {
-  const rr = Math.max(0, Math.min(r, Math.min(w, h) / 2));
-  ctx.beginPath();
-  ctx.moveTo(x + rr, y);
-  ctx.arcTo(x + w, y, x + w, y + h, rr);
-  ctx.arcTo(x + w, y + h, x, y + h, rr);
-  ctx.arcTo(x, y + h, x, y, rr);
-  ctx.arcTo(x, y, x + w, y, rr);
-  ctx.closePath();
+function explainLines(top, label) {
+  const why = top?.why;
+  if (!why) return [];
+  if (why.tier === "pinned") return [`Pinned by you for ${label.toLowerCase()}.`];
+
+  const lines = [`Found in ${tierLabel(why.tier)}.`];
+
+  if (why.top_tracks?.length) {
+    const tracks = why.top_tracks.map(
+      (t) => `#${t.rank} ${t.name}${t.range !== why.top_tracks[0].range ? ` (${timeRangeLabel(t.range)})` : ""}`
+    );
+    lines.push(`Top tracks: ${tracks.join(", ")}.`);
+  }
+  if (top.liked) lines.push(`${top.liked.tracks} of its ${top.liked.total} tracks are in your Liked Songs.`);
+  if (top.playlists) lines.push(`In ${top.playlists.count} of your playlists (${top.playlists.tracks} tracks).`);
+  if (top.plays) lines.push(`${top.plays} plays, ${Math.round(top.played_ms / 60000)} minutes in this window.`);
+
+  const { score } = why;
+  if (score) {
+    let text = `Score ${num(score.final)}`;
+    if (score.artist_bonus) text += ` = ${num(score.base)} + ${num(score.artist_bonus)} top-artist bonus`;
+    if (score.capped) text += `, capped at ${score.cap}`;
+    lines.push(`${text}.`);
+  }
+
+  const c = why.color;
+  if (c) {
+    lines.push(
+      c.match === "primary"
+        ? `Cover is mostly ${c.bucket}: confidence ${pct(c.confidence)} (needed ${pct(c.min_fit)}).`
+        : `Cover is mostly ${c.bucket}; ${label.toLowerCase()} covers ${pct(c.color_share)} of it ` +
+            `(needed ${pct(c.secondary_min)}), counted at ${pct(c.secondary_weight)}.`
+    );
+  }
+
+  const ch = why.choice;
+  if (ch?.by === "only") lines.push("The only album that fit this color.");
+  if (ch?.by === "appearances") {
+    lines.push(
+      `More of its tracks in your top tracks than the runner-up (${ch.appearances} vs ${ch.runner_up_appearances}).`
+    );
+  }
+  if (ch?.by === "dominance") {
+    lines.push(
+      `Clear winner: ${num(ch.score)} vs ${num(ch.runner_up_score)} for the runner-up (needs ${pct(ch.margin)} more).`
+    );
+  }
+  if (ch?.by === "variety") {
+    lines.push(
+      `Close call (${num(ch.score)} vs ${num(ch.runner_up_score)}): the variety rotation picked ` +
+        `#${ch.slot} of the top ${ch.window}.`
+    );
+  }
+  if (ch?.by === "assignment") {
+    lines.push(
+      ch.rank === 1
+        ? `Strongest ${ch.basis} for this color.`
+        : `#${ch.rank} by ${ch.basis} for this color; the stronger ones went to other colors.`
+    );
+  }
+  return lines;
 }
 
+// ---------- Timeline (stored snapshots) ----------
+
 /**
- * drawCoverContain(ctx, bmp, x, y, size)
- * - Draws a bitmap inside a square without cropping (contain, not cover).
- * - Computes scale to fit the longer side, centers the result.
+ * snapshotView(entry, range)
+ * - One /api/history entry as a bundle range, so tiles and the export read it like any other.
  */
-function drawCoverContain(ctx, bmp, x, y, size) {
-  const scale = Math.min(size / bmp.width, size / bmp.height);
-  const dw = bmp.width * scale;
-  const dh = bmp.height * scale;
-  ctx.drawImage(bmp, x + (size - dw) / 2, y + (size - dh) / 2, dw, dh);
+function snapshotView(entry, range) {
+  const result = {};
+  for (const [color, top] of Object.entries(entry.tops || {})) result[color] = { top, others: [] };
+  return { result, meta: { snapshot: { id: entry.id, day: entry.day, taken_at: entry.taken_at, range } } };
 }
 
 /**
- * ellipsize(ctx, text, maxWidth)
- * - Truncates text to fit a max pixel width, adding "…".
- * - Uses ctx.measureText so it’s accurate for the current font.
+ * timelineLanes(snapshots, order)
+ * - Per color, the snapshots where its top album changed: [{ color, changes: [{ at, day, top }] }].
  */
-function ellipsize(ctx, text, maxWidth) {
-  if (!text) return "";
-  if (ctx.measureText(text).width <= maxWidth) return text;
-  let s = String(text);
-  while (s.length > 0 && ctx.measureText(s + "…").width > maxWidth) s = s.slice(0, -1);
-  return s.length ? s + "…" : "";
+function timelineLanes(snapshots, order) {
+  return order.map((color) => {
+    const changes = [];
+    snapshots.forEach((s, at) => {
+      const top = s.tops?.[color] || null;
+      if (changes.length && changes[changes.length - 1].top?.id === top?.id) return;
+      changes.push({ at, day: s.day, top });
+    });
+    return { color, changes };
+  });
 }
 
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: "UTC", dateStyle: "medium" });
+
+// ---------- Share links ----------
+
+const SHARE_EXPIRY = [
+  [1, "1 day"],
+  [7, "1 week"],
+  [30, "30 days"],
+  [365, "1 year"],
+];
+
 /**
- * fitOneLineText(ctx, text, maxWidth, startPx, minPx)
- * - Shrinks font size until the string fits in one line.
- * - Returns the final size used (so you can scale related text).
+ * shareTiles(tiles)
+ * - The grid as a share link stores it: what's on screen (picks included), no ids or tokens.
  */
-function fitOneLineText(ctx, text, maxWidth, startPx, minPx) {
-  let size = startPx;
-  while (size > minPx) {
-    ctx.font = `800 ${size}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-    if (ctx.measureText(text).width <= maxWidth) break;
-    size -= 1;
-  }
-  ctx.font = `800 ${size}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-  return size;
+function shareTiles(tiles) {
+  return tiles.map(({ color, label, border, top }) => ({
+    color,
+    label,
+    border,
+    name: top?.name || null,
+    artist: top?.artist || null,
+    hex: albumHex(top),
+    image: top?.image || null,
+    palette: albumPalette(top).map(({ hex, share }) => ({ hex, share })),
+  }));
 }
 
+// ---------- Compare (palette diff) ----------
+
 /**
- * wrapAtSpaces(ctx, text, maxWidth, fontPx, maxLines)
- * - Simple word-wrapping: builds lines until they exceed width.
- * - Stops at maxLines (prevents huge blocks).
- * - Returns array of lines or null if no words.
+ * compareSideLabel(side)
+ * - "Last 4 weeks" for a live range, "Last 4 weeks · Mar 1, 2026" for a snapshot
+ *   (side is /api/compare's `from` / `to`).
  */
-function wrapAtSpaces(ctx, text, maxWidth, fontPx, maxLines) {
-  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
-  if (!words.length) return null;
-
-  ctx.font = `800 ${fontPx}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-
-  const lines = [];
-  let current = "";
-
-  for (const w of words) {
-    const test = current ? `${current} ${w}` : w;
-    if (ctx.measureText(test).width <= maxWidth) {
-      current = test;
-    } else {
-      if (current) lines.push(current);
-      current = w;
-      if (lines.length === maxLines - 1) break;
-    }
+function compareSideLabel(side) {
+  if (!side) return "";
+  const label = timeRangeLabel(side.range);
+  return side.snapshot ? `${label} · ${formatDay(side.snapshot.day)}` : label;
+}
+
+/**
+ * pendingBundle(bucketSet, ranges)
+ * - Empty placeholder bundle shown while the stream fills it in.
+ * - Ranges carry `pending: true` until their final result arrives.
+ */
+function pendingBundle(bucketSet, ranges) {
+  const out = {};
+  for (const range of ranges) {
+    const result = {};
+    for (const color of bucketSet.order) result[color] = { top: null, others: [] };
+    out[range] = { pending: true, result, meta: { time_range: range, bucket_set: bucketSet } };
   }
-  if (current && lines.length < maxLines) lines.push(current);
-  return lines.length ? lines : null;
+  return out;
 }
 
 /**
- * buildPng({ tiles, timeRange })
- * - Main exporter: renders a 1080x1920 image.
- * - Steps:
- *   1) create canvas + paint background
- *   2) draw header (title + subtitle + time range)
- *   3) compute 2x5 grid layout
- *   4) preload cover bitmaps via proxy 
- *   5) draw each tile (bg color, border, cover, fitted title/artist/hex)
- * - Returns the canvas so caller can download it.
+ * withColor(bundle, range, color, top)
+ * - Copy of bundle with one tile filled in (no-op once the range is final).
  */
-async function buildPng({ tiles, timeRange }) {
-  const W = 1080;
-  const H = 1920;
-  const pad = 64;
-  const headerH = 220;
+function withColor(bundle, range, color, top) {
+  const data = bundle?.[range];
+  if (!data?.pending) return bundle;
+  return {
+    ...bundle,
+    [range]: { ...data, result: { ...data.result, [color]: { top, others: [] } } },
+  };
+}
 
-  const canvas = document.createElement("canvas");
-  canvas.width = W;
-  canvas.height = H;
-  const ctx = canvas.getContext("2d");
-
-  // background
-  ctx.fillStyle = "#0e0e0e";
-  ctx.fillRect(0, 0, W, H);
-
-  // header
-  ctx.fillStyle = "#f3f3f3";
-  ctx.font = "800 72px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText("ChromaFM", pad, pad + 72);
-
-  ctx.fillStyle = "rgba(243,243,243,0.8)";
-  ctx.font = "500 34px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-  ctx.fillText("A colorful way to view your favorite albums.", pad, pad + 132);
-  ctx.fillText(timeRangeLabel(timeRange), pad, pad + 192);
-
-  // grid layout
-  const gridTop = pad + headerH;
-  const gridLeft = pad;
-  const gridRight = W - pad;
-  const gridBottom = H - pad;
-
-  const cols = 2;
-  const rows = 5;
-  const gap = 28;
-
-  const gridW = gridRight - gridLeft;
-  const gridH = gridBottom - gridTop;
-  const cellW = (gridW - gap * (cols - 1)) / cols;
-  const cellH = (gridH - gap * (rows - 1)) / rows;
-
-  // preload covers
-  const coverBitmaps = await Promise.all(
-    tiles.map(async (t) => {
-      const u = t?.top?.image;
-      if (!u) return null;
-      try {
-        return await loadImageBitmapViaProxy(u);
-      } catch {
-        return null;
-      }
-    })
+/**
+ * openBundleStream(query, handlers)
+ * - Subscribes to /api/results_bundle/stream and translates its events into
+ *   onStart(bucketSet, ranges), onColor(range, color, top), onProgress(range, text),
+ *   onRange(range, data), onDone(bundle), onFail(message), onBroken().
+ * - onBroken: the connection dropped before "done" (caller falls back to a plain fetch).
+ * - Returns a function that closes the stream.
+ */
+function openBundleStream(query, handlers) {
+  const es = new EventSource(`${API_BASE}/api/results_bundle/stream?${query}`, { withCredentials: true });
+  const final = {};
+  let finished = false;
+
+  const on = (type, fn) =>
+    es.addEventListener(type, (ev) => {
+      if (!finished) fn(JSON.parse(ev.data));
+    });
+  const stop = () => {
+    finished = true;
+    es.close();
+  };
+
+  on("start", (d) => handlers.onStart(d.bucket_set, d.ranges));
+  on("candidates", (d) => handlers.onProgress(d.range, `Found ${d.count} albums in ${tierLabel(d.tier)}`));
+  on("analyzed", (d) => handlers.onProgress(d.range, `Analyzed ${d.count} covers from ${tierLabel(d.tier)}`));
+  on("backfill", (d) =>
+    handlers.onProgress(
+      d.range,
+      `Searching ${tierLabel(d.tier)} for ${d.colors.length} missing color${d.colors.length === 1 ? "" : "s"}`
+    )
   );
-
-  for (let i = 0; i < tiles.length; i++) {
-    const t = tiles[i];
-    const col = i % cols;
-    const row = Math.floor(i / cols);
-    const x = gridLeft + col * (cellW + gap);
-    const y = gridTop + row * (cellH + gap);
-
-    const bg = t.top?.hex || BUCKET_BORDER[t.color] || "#111111";
-    const border = BUCKET_BORDER[t.color] || "#ffffff";
-    const fg = pickTextColor(bg);
-
-    // tile bg
-    ctx.save();
-    roundRect(ctx, x, y, cellW, cellH, 0);
-    ctx.clip();
-    ctx.fillStyle = bg;
-    ctx.fillRect(x, y, cellW, cellH);
-    ctx.restore();
-
-    // border
-    ctx.strokeStyle = border;
-    ctx.lineWidth = 6;
-    ctx.strokeRect(x + 3, y + 3, cellW - 6, cellH - 6);
-
-    // inner layout
-    const inPad = 18;
-    const gapX = 16;
-    const innerX = x + inPad;
-    const innerY = y + inPad;
-    const innerW = cellW - inPad * 2;
-    const innerH = cellH - inPad * 2;
-
-    const coverSize = Math.min(innerH * 0.92, innerW * 0.64);
-    const coverX = innerX;
-    const coverY = innerY + (innerH - coverSize) / 2;
-
-    const textX = coverX + coverSize + gapX;
-    const textW = innerX + innerW - textX;
-
-    // cover outline
-    ctx.strokeStyle = "rgba(0,0,0,0.35)";
-    ctx.lineWidth = 3;
-    ctx.strokeRect(coverX, coverY, coverSize, coverSize);
-
-    const bmp = coverBitmaps[i];
-    if (bmp) drawCoverContain(ctx, bmp, coverX, coverY, coverSize);
-
-    // text
-    const name = t.top?.name || "No album";
-    const artist = t.top?.artist || "";
-
-    ctx.fillStyle = fg;
-
-    const titleStart = 34;
-    const titleMin = 18;
-    const baseTitleY = coverY + 40;
-
-    const usedTitlePx = fitOneLineText(ctx, name, textW, titleStart, titleMin);
-    const needsWrap = usedTitlePx === titleMin && ctx.measureText(name).width > textW;
-
-    let titleLines = 1;
-    if (needsWrap) {
-      const lines = wrapAtSpaces(ctx, name, textW, titleMin, 4);
-      if (lines) {
-        titleLines = lines.length;
-        const lineGap = 6;
-        for (let li = 0; li < lines.length; li++) {
-          ctx.fillText(lines[li], textX, baseTitleY + li * (titleMin + lineGap));
-        }
-      } else {
-        ctx.fillText(ellipsize(ctx, name, textW), textX, baseTitleY);
-      }
-    } else {
-      ctx.fillText(ellipsize(ctx, name, textW), textX, baseTitleY);
+  on("color", (d) => {
+    handlers.onColor(d.range, d.color, d.top);
+    if (d.source !== "top_tracks") {
+      handlers.onProgress(d.range, `Filled ${d.color} from ${tierLabel(d.source)}`);
     }
+  });
+  on("range", (d) => {
+    final[d.range] = d.data;
+    handlers.onRange(d.range, d.data);
+  });
+  on("done", () => {
+    stop();
+    handlers.onDone(final);
+  });
+  on("failed", (d) => {
+    stop();
+    handlers.onFail(d.error);
+  });
+
+  es.onerror = () => {
+    if (finished) return;
+    stop();
+    handlers.onBroken();
+  };
+
+  return stop;
+}
 
-    const artistPx = Math.max(18, Math.min(24, Math.floor(usedTitlePx * 0.72)));
-    const artistY = baseTitleY + (titleLines - 1) * (usedTitlePx + 6) + 40;
+// ---------- Export picture ----------
+// The picture's layout lives in shared/exportLayout.js, so the backend can render the same
+// one (GET /api/export.png, /api/compare.png); this file only paints it. EXPORT_PRESETS lists the shapes
+// (story 1080x1920, square, portrait, landscape, 4K wallpaper).
 
-    ctx.save();
-    ctx.globalAlpha = 0.88;
-    ctx.font = `650 ${artistPx}px system-ui, -apple-system, Segoe UI, Roboto, Arial`;
-    ctx.fillText(ellipsize(ctx, artist, textW), textX, artistY);
-    ctx.restore();
+/**
+ * drawCoverContain(ctx, bmp, x, y, size)
+ * - Draws a bitmap inside a square without cropping (contain, not cover).
+ * - Computes scale to fit the longer side, centers the result.
+ */
+function drawCoverContain(ctx, bmp, x, y, size) {
+  const scale = Math.min(size / bmp.width, size / bmp.height);
+  const dw = bmp.width * scale;
+  const dh = bmp.height * scale;
+  ctx.drawImage(bmp, x + (size - dw) / 2, y + (size - dh) / 2, dw, dh);
+}
 
-    const hex = t.top?.hex ? String(t.top.hex) : "";
-    if (hex) {
+/**
+ * drawLayout(ctx, layout, bitmaps)
+ * - Paints a shared export layout on a canvas; bitmaps: Map(src -> ImageBitmap | null).
+ * - Text is drawn with its maxWidth, so a wider system font is squeezed, never overflowing.
+ */
+function drawLayout(ctx, layout, bitmaps) {
+  for (const it of layout.items) {
+    if (it.type === "rect") {
+      ctx.fillStyle = it.fill;
+      ctx.fillRect(it.x, it.y, it.w, it.h);
+    } else if (it.type === "stroke") {
+      ctx.strokeStyle = it.stroke;
+      ctx.lineWidth = it.lineWidth;
+      ctx.strokeRect(it.x, it.y, it.w, it.h);
+    } else if (it.type === "cover") {
+      const bmp = bitmaps.get(it.src);
+      if (!bmp) continue;
+      ctx.save();
+      ctx.globalAlpha = it.alpha;
+      drawCoverContain(ctx, bmp, it.x, it.y, it.size);
+      ctx.restore();
+    } else if (it.type === "text" && it.text) {
       ctx.save();
-      ctx.globalAlpha = 0.72;
-      ctx.font = "600 20px system-ui, -apple-system, Segoe UI, Roboto, Arial";
-      ctx.fillStyle = fg;
-      ctx.fillText(ellipsize(ctx, hex, textW), textX, artistY + 32);
+      ctx.globalAlpha = it.alpha;
+      ctx.fillStyle = it.fill;
+      ctx.font = `${it.weight} ${it.px}px ${EXPORT_FONT}`;
+      ctx.fillText(it.text, it.x, it.y, it.maxWidth);
       ctx.restore();
     }
   }
+}
+
+/**
+ * loadCoverBitmaps(layout)
+ * - Map(src -> ImageBitmap | null) for every cover in a layout, loaded via the proxy.
+ */
+async function loadCoverBitmaps(layout) {
+  const srcs = [...new Set(layout.items.filter((it) => it.type === "cover").map((it) => it.src))];
+  const entries = await Promise.all(
+    srcs.map(async (src) => {
+      try {
+        return [src, await loadImageBitmapViaProxy(src)];
+      } catch {
+        return [src, null];
+      }
+    })
+  );
+  return new Map(entries);
+}
 
+/**
+ * buildPng({ tiles, timeRange, rangeLabel, preset })
+ * - Main exporter: renders the picture from layoutExport in the preset's size and grid
+ *   (header, then per tile: bg color, border, cover, fitted title/artist/hex, palette strip).
+ * - Returns the canvas so caller can preview or download it.
+ */
+async function buildPng({ tiles, timeRange, rangeLabel = timeRangeLabel(timeRange), preset }) {
+  const layout = layoutExport({ tiles, rangeLabel, preset });
+  const canvas = document.createElement("canvas");
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  drawLayout(canvas.getContext("2d"), layout, await loadCoverBitmaps(layout));
+  return canvas;
+}
+
+/**
+ * buildDiffPng({ diff, labelOf, borderOf, preset })
+ * - "Before/after" export of an /api/compare result, painted from layoutDiffExport in the
+ *   preset's shape (the backend's GET /api/compare.png renders the same layout).
+ */
+async function buildDiffPng({ diff, labelOf, borderOf, preset }) {
+  const layout = layoutDiffExport({ diff, labelOf, borderOf, preset });
+  const canvas = document.createElement("canvas");
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  drawLayout(canvas.getContext("2d"), layout, await loadCoverBitmaps(layout));
   return canvas;
 }
 
@@ -435,15 +660,85 @@ export default function App() {
   const [timeRange, setTimeRange] = useState("short_term");
   const [error, setError] = useState("");
   const [isExporting, setIsExporting] = useState(false);
-  const didHydrate = useRef(false);
+  const [bucketSets, setBucketSets] = useState([]);
+  const [bucketSetId, setBucketSetId] = useState(
+    () => localStorage.getItem(BUCKET_SET_KEY) || DEFAULT_BUCKET_SET
+  );
+  const [progress, setProgress] = useState({});
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historySummary, setHistorySummary] = useState(null);
+  const [historyWindow, setHistoryWindow] = useState("");
+  const [historyResult, setHistoryResult] = useState(null);
+  const [historyNote, setHistoryNote] = useState("");
+  const [historyBusy, setHistoryBusy] = useState(false);
+  const [playlistFor, setPlaylistFor] = useState(null);
+  const [detailFor, setDetailFor] = useState(null);
+  const [playlistMode, setPlaylistMode] = useState("top");
+  const [playlistCover, setPlaylistCover] = useState(true);
+  const [playlists, setPlaylists] = useState({}); // `${range}:${color}` -> { busy, url, error }
+  const [picks, setPicks] = useState(loadPicks);
+  const [overrides, setOverrides] = useState(null); // { pins, albums, artists, rev } (server-side)
+  const [overridesOpen, setOverridesOpen] = useState(false);
+  const [overridesNote, setOverridesNote] = useState("");
+  const [artistDraft, setArtistDraft] = useState("");
+  const [filters, setFilters] = useState(loadFilters);
+  const [filtersDraft, setFiltersDraft] = useState(filters);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [timelineOpen, setTimelineOpen] = useState(false);
+  const [timeline, setTimeline] = useState(null); // { setId, range, snapshots } from /api/history
+  const [timelineAt, setTimelineAt] = useState(0);
+  const [timelineNote, setTimelineNote] = useState("");
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportPresetId, setExportPresetId] = useState(DEFAULT_EXPORT_PRESET);
+  const [exportPreview, setExportPreview] = useState(null); // { preset, canvas, url } of the last render
+  const [shareOpen, setShareOpen] = useState(false);
+  const [shares, setShares] = useState([]); // the user's live links from /api/shares, newest first
+  const [shareExpiry, setShareExpiry] = useState(30);
+  const [shareNote, setShareNote] = useState("");
+  const [shareBusy, setShareBusy] = useState(false);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [compareFrom, setCompareFrom] = useState("long_term"); // a range or "<snapshot id>:<range>"
+  const [compareTo, setCompareTo] = useState("short_term");
+  const [compareSnapshots, setCompareSnapshots] = useState([]); // /api/history entries, newest first
+  const [compareResult, setCompareResult] = useState(null);
+  const [compareNote, setCompareNote] = useState("");
+  const [compareBusy, setCompareBusy] = useState(false);
+  const hydratedFor = useRef(null);
+  const activeSet = useRef(bucketSetId);
+  const activeFilters = useRef(filtersQuery(filters));
+  const closeStream = useRef(null);
+  const refineTries = useRef(0);
+  const previewUrl = useRef(null); // exportPreview.url, revoked once a new preview replaces it
 
   const isLoggedOut = !!error && (error.includes("Not logged in") || error.includes("401"));
-  const hasResult = !!bundle?.[timeRange]?.result;
-
-  async function loadBundle({ background = false } = {}) {
+  const snapshotResult = useMemo(
+    () => (timeline?.snapshots[timelineAt] ? snapshotView(timeline.snapshots[timelineAt], timeline.range) : null),
+    [timeline, timelineAt]
+  );
+  // the imported-history grid and the timeline's snapshot ride along as more "ranges"
+  const view = useMemo(() => {
+    if (!bundle) return bundle;
+    const extra = {};
+    if (historyResult) extra.history = historyResult;
+    if (snapshotResult) extra.snapshot = snapshotResult;
+    return { ...bundle, ...extra };
+  }, [bundle, historyResult, snapshotResult]);
+  const hasResult = !!view?.[timeRange]?.result;
+  const isPending = !!view?.[timeRange]?.pending;
+  const bucketView = useMemo(() => bucketViewFor(bundle), [bundle]);
+  const rangeLabel =
+    timeRange === "history"
+      ? historyResult?.meta?.window?.label || "Streaming history"
+      : timeRange === "snapshot" && snapshotResult
+        ? `${timeRangeLabel(timeline.range)} · ${formatDay(snapshotResult.meta.snapshot.day)}`
+        : timeRangeLabel(timeRange);
+
+  // Stable across renders (state only through setters and refs), so effects can list it.
+  const loadBundle = useCallback(async ({ background = false, setId = activeSet.current } = {}) => {
+    const query = resultsQuery(setId, activeFilters.current);
     try {
       if (!background) setError("");
-      const res = await fetch(`${API_BASE}/api/results_bundle`, { credentials: "include" });
+      const res = await fetch(`${API_BASE}/api/results_bundle?${query}`, { credentials: "include" });
       const text = await res.text();
 
       let json;
@@ -455,55 +750,538 @@ export default function App() {
 
       if (!res.ok) throw new Error(json.error || "Failed to load results bundle");
 
+      sessionStorage.setItem(cacheKeyFor(query), JSON.stringify(json));
+      // The user may have switched sets or filters while this was loading.
+      if (resultsQuery(activeSet.current, activeFilters.current) !== query) return;
       setBundle(json);
-      sessionStorage.setItem(CACHE_KEY, JSON.stringify(json));
       preloadImagesFromBundle(json);
     } catch (e) {
       setError(String(e));
     }
+  }, []);
+
+  /**
+   * streamBundle(setId)
+   * - First load without a cached bundle: render tiles as the backend resolves them.
+   */
+  const streamBundle = useCallback(
+    (setId) => {
+      closeStream.current?.();
+      setError("");
+      setProgress({});
+
+      const query = resultsQuery(setId, activeFilters.current);
+      const isActive = () => resultsQuery(activeSet.current, activeFilters.current) === query;
+      closeStream.current = openBundleStream(query, {
+        onStart: (bucketSet, ranges) => isActive() && setBundle(pendingBundle(bucketSet, ranges)),
+        onColor: (range, color, top) => isActive() && setBundle((b) => withColor(b, range, color, top)),
+        onProgress: (range, text) => isActive() && setProgress((p) => ({ ...p, [range]: text })),
+        onRange: (range, data) => {
+          if (!isActive()) return;
+          setBundle((b) => ({ ...b, [range]: data }));
+          preloadImagesFromBundle({ [range]: data });
+        },
+        onDone: (json) => {
+          closeStream.current = null;
+          sessionStorage.setItem(cacheKeyFor(query), JSON.stringify(json));
+        },
+        onFail: (message) => {
+          closeStream.current = null;
+          if (isActive()) setError(message);
+        },
+        onBroken: () => {
+          closeStream.current = null;
+          if (isActive()) loadBundle({ setId });
+        },
+      });
+    },
+    [loadBundle]
+  );
+
+  async function openHistory() {
+    setHistoryOpen((open) => !open);
+    if (historySummary) return;
+    try {
+      const json = await apiJson("/api/streaming_history");
+      setHistorySummary(json.history);
+    } catch (e) {
+      setHistoryNote(String(e.message || e));
+    }
+  }
+
+  /**
+   * importHistoryFiles(files)
+   * - Uploads Extended streaming history files one at a time (each can be several MB).
+   */
+  async function importHistoryFiles(files) {
+    const list = Array.from(files || []);
+    if (!list.length) return;
+    setHistoryBusy(true);
+    let added = 0;
+    const failed = [];
+
+    for (let i = 0; i < list.length; i++) {
+      const file = list[i];
+      setHistoryNote(`Importing ${i + 1}/${list.length}: ${file.name}`);
+      try {
+        const json = await apiJson("/api/streaming_history", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: await file.text(),
+        });
+        added += json.added;
+        setHistorySummary(json.history);
+      } catch (e) {
+        failed.push(`${file.name}: ${e.message || e}`);
+      }
+    }
+
+    setHistoryBusy(false);
+    setHistoryNote([`Imported ${added.toLocaleString()} new plays.`, ...failed].join(" "));
+  }
+
+  /**
+   * loadTimeline(range, setId)
+   * - Fetches the stored snapshots for one set and range; the slider starts at the newest.
+   */
+  async function loadTimeline(range, setId = bucketSetId) {
+    setTimelineNote("");
+    try {
+      const json = await apiJson(`/api/history?buckets=${encodeURIComponent(setId)}&range=${range}`);
+      if (activeSet.current !== setId) return;
+      setTimeline({ setId, range, snapshots: json.snapshots });
+      setTimelineAt(Math.max(0, json.snapshots.length - 1));
+      if (!json.snapshots.length) setTimelineNote("No snapshots yet: one is saved each day you open ChromaFM.");
+    } catch (e) {
+      setTimelineNote(String(e.message || e));
+    }
+  }
+
+  function openTimeline() {
+    if (!timelineOpen) loadTimeline(timeline?.range || "short_term");
+    setTimelineOpen(!timelineOpen);
+  }
+
+  function showSnapshot(at) {
+    setTimelineAt(at);
+    setTimeRange("snapshot");
+  }
+
+  async function clearTimeline() {
+    try {
+      await apiJson("/api/history", { method: "DELETE" });
+      setTimeline(null);
+      setTimelineNote("Snapshots removed.");
+      if (timeRange === "snapshot") setTimeRange("short_term");
+    } catch (e) {
+      setTimelineNote(String(e.message || e));
+    }
+  }
+
+  function openShare() {
+    if (!shareOpen) {
+      apiJson("/api/shares")
+        .then((json) => setShares(json.shares))
+        .catch((e) => setShareNote(String(e.message || e)));
+    }
+    setShareOpen(!shareOpen);
+  }
+
+  /**
+   * createShareLink()
+   * - Stores the grid on screen as a public read-only page and copies its link.
+   */
+  async function createShareLink() {
+    if (!hasResult || isPending) return;
+    setShareBusy(true);
+    setShareNote("");
+    try {
+      const set = bucketSets.find((s) => s.id === bucketSetId);
+      const json = await apiJson("/api/shares", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          range_label: rangeLabel,
+          bucket_set: { id: bucketSetId, label: set?.label || bucketSetId },
+          tiles: shareTiles(tiles),
+          expires_in_days: shareExpiry,
+        }),
+      });
+      setShares((list) => [json.share, ...list]);
+      try {
+        await navigator.clipboard.writeText(json.share.url);
+        setShareNote("Link copied.");
+      } catch {
+        setShareNote(json.share.url);
+      }
+    } catch (e) {
+      setShareNote(String(e.message || e));
+    } finally {
+      setShareBusy(false);
+    }
+  }
+
+  async function deleteShareLink(id) {
+    try {
+      await apiJson(`/api/shares/${encodeURIComponent(id)}`, { method: "DELETE" });
+      setShares((list) => list.filter((s) => s.id !== id));
+      setShareNote("Link deleted.");
+    } catch (e) {
+      setShareNote(String(e.message || e));
+    }
+  }
+
+  function openCompare() {
+    if (!compareOpen) {
+      apiJson(`/api/history?buckets=${encodeURIComponent(bucketSetId)}`)
+        .then((json) => setCompareSnapshots(json.snapshots.slice().reverse()))
+        .catch(() => setCompareSnapshots([]));
+    }
+    setCompareOpen(!compareOpen);
+  }
+
+  /**
+   * runCompare()
+   * - Diffs the two chosen sides (live ranges reuse the bundle's cached results on the server).
+   */
+  async function runCompare() {
+    setCompareBusy(true);
+    setCompareNote("");
+    const setId = bucketSetId;
+    try {
+      const json = await apiJson(
+        `/api/compare?from=${encodeURIComponent(compareFrom)}&to=${encodeURIComponent(compareTo)}` +
+          `&${resultsQuery(setId, activeFilters.current)}`
+      );
+      if (activeSet.current !== setId) return;
+      setCompareResult(json);
+    } catch (e) {
+      setCompareNote(String(e.message || e));
+    } finally {
+      setCompareBusy(false);
+    }
+  }
+
+  async function onDownloadDiff() {
+    if (!compareResult) return;
+    try {
+      setIsExporting(true);
+      const canvas = await buildDiffPng({
+        diff: compareResult,
+        labelOf: bucketView.label,
+        borderOf: bucketView.border,
+        preset: exportPresetId,
+      });
+      downloadCanvasPng(canvas, `chromafm-before-after-${exportPresetId}-${Date.now()}.png`);
+    } catch (e) {
+      setCompareNote(String(e));
+    } finally {
+      setIsExporting(false);
+    }
+  }
+
+  /**
+   * showHistory(windowSpec, setId, select)
+   * - Computes the grid for one window of the imported history and (if select) switches to it.
+   */
+  async function showHistory(windowSpec, setId = bucketSetId, select = true) {
+    const spec = (windowSpec || "").trim() || "all";
+    setHistoryBusy(true);
+    setHistoryNote(`Finding your top albums for "${spec}"…`);
+    try {
+      const json = await apiJson(
+        `/api/streaming_history/results?window=${encodeURIComponent(spec)}` +
+          `&${resultsQuery(setId, activeFilters.current)}`
+      );
+      if (activeSet.current !== setId) return;
+      setHistoryResult(json);
+      setHistoryWindow(spec);
+      setHistoryNote("");
+      if (select) setTimeRange("history");
+      preloadImagesFromBundle({ history: json });
+    } catch (e) {
+      setHistoryNote(String(e.message || e));
+    } finally {
+      setHistoryBusy(false);
+    }
+  }
+
+  async function clearHistory() {
+    try {
+      await apiJson("/api/streaming_history", { method: "DELETE" });
+      setHistorySummary(null);
+      setHistoryResult(null);
+      setHistoryNote("Streaming history removed.");
+      if (timeRange === "history") setTimeRange("short_term");
+    } catch (e) {
+      setHistoryNote(String(e.message || e));
+    }
+  }
+
+  /**
+   * createPlaylist(color)
+   * - Saves one tile's color as a playlist in the user's Spotify account.
+   */
+  async function createPlaylist(color) {
+    const key = `${timeRange}:${color}`;
+    const tile = tiles.find((t) => t.color === color);
+    setPlaylists((p) => ({ ...p, [key]: { busy: true } }));
+    try {
+      const json = await apiJson("/api/playlists", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          time_range: timeRange,
+          color,
+          buckets: bucketSetId,
+          mode: playlistMode,
+          cover: playlistCover,
+          // the album shown on the tile leads; same depth as the bundle so the cache is shared
+          album: tile?.top?.id,
+          others: OTHERS_PER_COLOR,
+          filters: Object.fromEntries(new URLSearchParams(activeFilters.current)),
+        }),
+      });
+      setPlaylists((p) => ({ ...p, [key]: { url: json.url, tracks: json.tracks } }));
+    } catch (e) {
+      setPlaylists((p) => ({ ...p, [key]: { error: String(e.message || e) } }));
+    }
   }
 
+  /**
+   * changeOverrides(path, init)
+   * - Sends one pin/exclusion change and recomputes the grid with it.
+   *   Every bucket set's cached bundle is stale now, not just the shown one.
+   */
+  async function changeOverrides(path, init) {
+    setOverridesNote("");
+    try {
+      const json = await apiJson(path, init);
+      setOverrides(json.overrides);
+      clearCachedBundles();
+      loadBundle({ background: true, setId: bucketSetId });
+      if (historyResult) showHistory(historyResult.meta?.window?.id, bucketSetId, timeRange === "history");
+    } catch (e) {
+      setOverridesNote(String(e.message || e));
+    }
+  }
+
+  const postJson = (body) => ({
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const pinAlbum = (color, album) => changeOverrides("/api/overrides/pins", postJson({ color, album: album.id }));
+  const unpinColor = (color) =>
+    changeOverrides(`/api/overrides/pins/${encodeURIComponent(color)}`, { method: "DELETE" });
+  const hideAlbum = (album) => changeOverrides("/api/overrides/excluded_albums", postJson({ album: album.id }));
+  const showAlbum = (id) =>
+    changeOverrides(`/api/overrides/excluded_albums/${encodeURIComponent(id)}`, { method: "DELETE" });
+  const hideArtist = (artist) => changeOverrides("/api/overrides/excluded_artists", postJson({ artist }));
+  const showArtist = (artist) =>
+    changeOverrides(`/api/overrides/excluded_artists/${encodeURIComponent(artist)}`, { method: "DELETE" });
+
   async function logout() {
+    closeStream.current?.();
+    closeStream.current = null;
     try {
       await fetch(`${API_BASE}/logout`, { method: "POST", credentials: "include" });
     } finally {
       setBundle(null);
+      setHistorySummary(null);
+      setHistoryResult(null);
+      setHistoryOpen(false);
+      setOverrides(null);
+      setOverridesOpen(false);
+      if (timeRange === "history") setTimeRange("short_term");
       setError("Not logged in");
-      sessionStorage.removeItem(CACHE_KEY);
+      clearCachedBundles();
     }
   }
 
+  /**
+   * applyFilters(next)
+   * - Saves the content filters and reloads the grid (and the history window) with them.
+   */
+  function applyFilters(next) {
+    const q = filtersQuery(next);
+    localStorage.setItem(FILTERS_KEY, JSON.stringify(next));
+    setFiltersDraft(next);
+    if (q === activeFilters.current) return;
+    closeStream.current?.();
+    closeStream.current = null;
+    refineTries.current = 0;
+    activeFilters.current = q;
+    setBundle(null);
+    setFilters(next);
+    if (historyResult) showHistory(historyResult.meta?.window?.id, bucketSetId, timeRange === "history");
+  }
+
+  function chooseBucketSet(id) {
+    if (id === bucketSetId) return;
+    localStorage.setItem(BUCKET_SET_KEY, id);
+    closeStream.current?.();
+    closeStream.current = null;
+    refineTries.current = 0;
+    activeSet.current = id;
+    setBundle(null);
+    setBucketSetId(id);
+    if (historyResult) showHistory(historyResult.meta?.window?.id, id, timeRange === "history");
+    // snapshots and comparisons are per set
+    setTimeline(null);
+    setCompareResult(null);
+    setCompareSnapshots([]);
+    if (compareFrom.includes(":")) setCompareFrom("long_term");
+    if (compareTo.includes(":")) setCompareTo("short_term");
+    if (timeRange === "snapshot") setTimeRange("short_term");
+    if (timelineOpen) loadTimeline(timeline?.range || "short_term", id);
+  }
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/bucket_sets`)
+      .then((r) => (r.ok ? r.json() : null))
+      .then((json) => json?.sets && setBucketSets(json.sets))
+      .catch(() => setBucketSets([]));
+    // logged out: no overrides to show until the login redirect reloads the page
+    apiJson("/api/overrides")
+      .then((json) => setOverrides(json.overrides))
+      .catch(() => setOverrides(null));
+  }, []);
+
+  const filtersQ = filtersQuery(filters);
   useEffect(() => {
-    if (didHydrate.current) return;
-    didHydrate.current = true;
+    const query = resultsQuery(bucketSetId, filtersQ);
+    if (hydratedFor.current === query) return;
+    hydratedFor.current = query;
 
-    const cached = sessionStorage.getItem(CACHE_KEY);
+    const cached = sessionStorage.getItem(cacheKeyFor(query));
     if (cached) {
       try {
         const parsed = JSON.parse(cached);
         setBundle(parsed);
         preloadImagesFromBundle(parsed);
-        loadBundle({ background: true });
+        loadBundle({ background: true, setId: bucketSetId });
         return;
-      } catch {}
+      } catch {
+        sessionStorage.removeItem(cacheKeyFor(query));
+      }
     }
-    loadBundle();
-  }, []);
+    streamBundle(bucketSetId);
+  }, [bucketSetId, filtersQ, loadBundle, streamBundle]);
 
   const tiles = useMemo(() => {
-    if (!bundle) return [];
-    return ORDER.slice(0, 10).map((color) => {
-      const { top, fromRange } = getTopWithCrossTimeFallback(bundle, timeRange, color);
-      return { color, top, fromRange };
+    if (!view) return [];
+    const partialUnresolved = view[timeRange]?.meta?.partial?.unresolved;
+    const pending = !!view[timeRange]?.pending;
+    const picked = picks[bucketSetId]?.[timeRange] || {};
+    return bucketView.order.map((color) => {
+      // While a range is still streaming, don't borrow other ranges' albums (tiles would flicker).
+      const { top: first, fromRange } = pending
+        ? { top: getTopFrom(view, timeRange, color), fromRange: timeRange }
+        : getTopWithCrossTimeFallback(view, timeRange, color);
+      const alternates = pending || !first ? [] : getAlternatesFrom(view, fromRange, color);
+      // a pick that's no longer among the alternates (new results) falls back to the top
+      const choice = Math.max(
+        0,
+        alternates.findIndex((a) => a.id === picked[color])
+      );
+      return {
+        color,
+        label: bucketView.label(color),
+        border: bucketView.border(color),
+        top: alternates.length ? { ...alternates[choice] } : first,
+        fromRange,
+        alternates,
+        choice,
+        // still being looked for: range streaming, or cut short by the deadline
+        looking: !!view[timeRange]?.pending || !!partialUnresolved?.includes(color),
+      };
     });
-  }, [bundle, timeRange]);
+  }, [view, timeRange, bucketView, picks, bucketSetId]);
+
+  /**
+   * stepAlternate(tile, dir)
+   * - Shows the previous/next runner-up on a tile and remembers it for this range.
+   * - Skips albums another tile is already showing; index 0 (the computed top) clears the pick.
+   */
+  function stepAlternate(tile, dir) {
+    const { color, alternates, choice } = tile;
+    const shown = new Set(tiles.filter((t) => t.color !== color && t.top).map((t) => t.top.id));
+    let i = choice;
+    do {
+      i = (i + dir + alternates.length) % alternates.length;
+    } while (i !== choice && shown.has(alternates[i].id));
+    if (i === choice) return;
+
+    const forSet = { ...picks[bucketSetId] };
+    const forRange = { ...forSet[timeRange] };
+    if (i === 0) delete forRange[color];
+    else forRange[color] = alternates[i].id;
+    forSet[timeRange] = forRange;
+    const next = { ...picks, [bucketSetId]: forSet };
+    localStorage.setItem(PICKS_KEY, JSON.stringify(next));
+    setPicks(next);
+  }
+
+  useEffect(() => {
+    const ranges = Object.values(bundle || {});
+    if (ranges.some((d) => d?.pending)) return;
+    if (!ranges.some((d) => d?.meta?.partial?.refining)) {
+      refineTries.current = 0;
+      return;
+    }
+    if (refineTries.current >= REFINE_MAX_TRIES) return;
+
+    const timer = setTimeout(() => {
+      refineTries.current += 1;
+      loadBundle({ background: true, setId: activeSet.current });
+    }, REFINE_RETRY_MS);
+    return () => clearTimeout(timer);
+  }, [bundle, loadBundle]);
+
+  const exportShape = EXPORT_PRESETS.find((p) => p.id === exportPresetId);
+  const previewReady = exportPreview?.preset === exportPresetId;
+
+  // Closing the panel (or leaving the page) drops the last preview: its URL and its canvas.
+  useEffect(() => {
+    if (!exportOpen) return;
+    return () => {
+      if (previewUrl.current) URL.revokeObjectURL(previewUrl.current);
+      previewUrl.current = null;
+      setExportPreview(null);
+    };
+  }, [exportOpen]);
+
+  // Live preview in the export panel: re-rendered when the preset or the grid changes.
+  useEffect(() => {
+    if (!exportOpen || !hasResult || isPending) return;
+    let cancelled = false;
+    const preset = exportPresetId;
+    buildPng({ tiles, timeRange, rangeLabel, preset })
+      .then((canvas) => new Promise((resolve) => canvas.toBlob((blob) => resolve([canvas, blob]), "image/png")))
+      .then(([canvas, blob]) => {
+        if (cancelled || !blob) return;
+        // the shown preview keeps its URL until this one takes its place
+        if (previewUrl.current) URL.revokeObjectURL(previewUrl.current);
+        previewUrl.current = URL.createObjectURL(blob);
+        setExportPreview({ preset, canvas, url: previewUrl.current });
+      })
+      .catch((e) => {
+        if (!cancelled) setError(String(e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [exportOpen, exportPresetId, tiles, timeRange, rangeLabel, hasResult, isPending]);
 
   async function onDownloadPic() {
     try {
-      if (!hasResult) return;
+      if (!hasResult || isPending) return;
       setIsExporting(true);
-      const canvas = await buildPng({ tiles, timeRange });
-      downloadCanvasPng(canvas, `chromafm-${timeRange}-${Date.now()}.png`);
+      const preset = exportPresetId;
+      // the previewed canvas when it's current, so the download is exactly what was shown
+      const canvas = previewReady ? exportPreview.canvas : await buildPng({ tiles, timeRange, rangeLabel, preset });
+      downloadCanvasPng(canvas, `chromafm-${timeRange}-${preset}-${Date.now()}.png`);
     } catch (e) {
       setError(String(e));
     } finally {
@@ -530,14 +1308,68 @@ export default function App() {
             </button>
 
             <button
-              className="pillBtn"
-              onClick={onDownloadPic}
+              className={`pillBtn ${exportOpen ? "active" : ""}`}
+              onClick={() => setExportOpen(!exportOpen)}
               type="button"
-              disabled={!hasResult || isExporting}
+              disabled={!hasResult}
               style={{ opacity: !hasResult ? 0.5 : 1 }}
-              title={!hasResult ? "Log in and load albums first" : "Download a 1080×1920 picture"}
+              title={!hasResult ? "Log in and load albums first" : "Preview and download a picture of this grid"}
+            >
+              Download Picture
+            </button>
+
+            <button
+              className={`pillBtn ${shareOpen ? "active" : ""}`}
+              onClick={openShare}
+              type="button"
+              title="A read-only page of this grid that anyone with the link can open"
+            >
+              Share
+            </button>
+
+            <button
+              className={`pillBtn ${historyOpen ? "active" : ""}`}
+              onClick={openHistory}
+              type="button"
+              title="Rank albums by real play time from your Spotify data export"
+            >
+              Streaming history
+            </button>
+
+            <button
+              className={`pillBtn ${timelineOpen ? "active" : ""}`}
+              onClick={openTimeline}
+              type="button"
+              title="Scrub through your saved grids and see how each color changed"
+            >
+              Timeline
+            </button>
+
+            <button
+              className={`pillBtn ${compareOpen ? "active" : ""}`}
+              onClick={openCompare}
+              type="button"
+              title="What entered, left and moved between two ranges or snapshots"
+            >
+              Compare
+            </button>
+
+            <button
+              className={`pillBtn ${overridesOpen ? "active" : ""}`}
+              onClick={() => setOverridesOpen((open) => !open)}
+              type="button"
+              title="Albums and artists you pinned or hid"
+            >
+              Pins & hidden{overridesCount(overrides) ? ` (${overridesCount(overrides)})` : ""}
+            </button>
+
+            <button
+              className={`pillBtn ${filtersOpen ? "active" : ""}`}
+              onClick={() => setFiltersOpen((open) => !open)}
+              type="button"
+              title="Leave out compilations, singles, explicit albums, genres or older releases"
             >
-              {isExporting ? "Exporting…" : "Download Picture"}
+              Filters{filtersQ ? ` (${new URLSearchParams(filtersQ).size})` : ""}
             </button>
 
             <div className="range">
@@ -562,10 +1394,514 @@ export default function App() {
               >
                 All time
               </button>
+              {historyResult && (
+                <button
+                  className={`chip ${timeRange === "history" ? "active" : ""}`}
+                  onClick={() => setTimeRange("history")}
+                  title="From your imported streaming history"
+                  type="button"
+                >
+                  {historyResult.meta?.window?.label || "History"}
+                </button>
+              )}
+              {snapshotResult && (
+                <button
+                  className={`chip ${timeRange === "snapshot" ? "active" : ""}`}
+                  onClick={() => setTimeRange("snapshot")}
+                  title="A saved grid from the timeline"
+                  type="button"
+                >
+                  {formatDay(snapshotResult.meta.snapshot.day)}
+                </button>
+              )}
             </div>
+
+            {bucketSets.length > 1 && (
+              <div className="range bucketSets" title="Color buckets">
+                {bucketSets.map((set) => (
+                  <button
+                    key={set.id}
+                    className={`chip ${bucketSetId === set.id ? "active" : ""}`}
+                    onClick={() => chooseBucketSet(set.id)}
+                    title={set.description}
+                    type="button"
+                  >
+                    {set.label}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
 
+          {historyOpen && !isLoggedOut && (
+            <div className="panel">
+              <div className="panelRow">
+                <label className={`pillBtn ${historyBusy ? "disabled" : ""}`}>
+                  Import files…
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    multiple
+                    hidden
+                    disabled={historyBusy}
+                    onChange={(e) => {
+                      importHistoryFiles(e.target.files);
+                      e.target.value = "";
+                    }}
+                  />
+                </label>
+                <span className="panelInfo">{historySummaryText(historySummary)}</span>
+                {historySummary?.plays > 0 && (
+                  <button className="pillBtn" onClick={clearHistory} type="button" disabled={historyBusy}>
+                    Remove
+                  </button>
+                )}
+              </div>
+
+              {!historySummary?.plays && (
+                <div className="panelHint">
+                  Request your “Extended streaming history” in Spotify’s account privacy settings, then
+                  pick the <code>Streaming_History_Audio_*.json</code> files from the download.
+                </div>
+              )}
+
+              {historySummary?.plays > 0 && (
+                <form
+                  className="panelRow"
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    showHistory(historyWindow);
+                  }}
+                >
+                  <input
+                    className="panelInput"
+                    value={historyWindow}
+                    onChange={(e) => setHistoryWindow(e.target.value)}
+                    placeholder="2023, summer 2024, 2024-06, last 90 days…"
+                    aria-label="Time window"
+                  />
+                  <button className="pillBtn" type="submit" disabled={historyBusy}>
+                    Show
+                  </button>
+                  {[...historySummary.years, ...HISTORY_WINDOWS].map((w) => (
+                    <button
+                      key={w}
+                      className="chip"
+                      onClick={() => showHistory(w)}
+                      type="button"
+                      disabled={historyBusy}
+                    >
+                      {w}
+                    </button>
+                  ))}
+                </form>
+              )}
+
+              {historyNote && <div className="progress">{historyNote}</div>}
+            </div>
+          )}
+
+          {filtersOpen && !isLoggedOut && (
+            <form
+              className="panel"
+              onSubmit={(e) => {
+                e.preventDefault();
+                applyFilters(filtersDraft);
+              }}
+            >
+              <div className="panelRow">
+                <label className="panelInfo">
+                  <input
+                    type="checkbox"
+                    checked={filtersDraft.no_compilations}
+                    onChange={(e) => setFiltersDraft({ ...filtersDraft, no_compilations: e.target.checked })}
+                  />{" "}
+                  No compilations
+                </label>
+                <label className="panelInfo">
+                  <input
+                    type="checkbox"
+                    checked={filtersDraft.no_explicit}
+                    onChange={(e) => setFiltersDraft({ ...filtersDraft, no_explicit: e.target.checked })}
+                  />{" "}
+                  No explicit albums
+                </label>
+                <label className="panelInfo">
+                  EPs/singles need at least{" "}
+                  <input
+                    className="panelInput panelNumber"
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={filtersDraft.min_tracks}
+                    onChange={(e) => setFiltersDraft({ ...filtersDraft, min_tracks: e.target.value })}
+                  />{" "}
+                  tracks
+                </label>
+                <label className="panelInfo">
+                  Released in or after{" "}
+                  <input
+                    className="panelInput panelNumber"
+                    type="number"
+                    min="1900"
+                    max="2100"
+                    placeholder="year"
+                    value={filtersDraft.min_year}
+                    onChange={(e) => setFiltersDraft({ ...filtersDraft, min_year: e.target.value })}
+                  />
+                </label>
+              </div>
+              <div className="panelRow">
+                <input
+                  className="panelInput"
+                  value={filtersDraft.genres}
+                  onChange={(e) => setFiltersDraft({ ...filtersDraft, genres: e.target.value })}
+                  placeholder="Only genres: indie, folk…"
+                  aria-label="Only these genres"
+                />
+                <input
+                  className="panelInput"
+                  value={filtersDraft.exclude_genres}
+                  onChange={(e) => setFiltersDraft({ ...filtersDraft, exclude_genres: e.target.value })}
+                  placeholder="Never genres: children's, sleep…"
+                  aria-label="Never these genres"
+                />
+                <button className="pillBtn" type="submit">
+                  Apply
+                </button>
+                <button className="pillBtn" onClick={() => applyFilters(NO_FILTERS)} type="button">
+                  Reset
+                </button>
+              </div>
+              <div className="panelHint">
+                Genres come from the albums’ artists and match partially (“rock” also matches “indie rock”).
+              </div>
+            </form>
+          )}
+
+          {timelineOpen && !isLoggedOut && (
+            <div className="panel">
+              <div className="panelRow">
+                {["short_term", "medium_term", "long_term"].map((range) => (
+                  <button
+                    key={range}
+                    className={`chip ${timeline?.range === range ? "active" : ""}`}
+                    onClick={() => loadTimeline(range)}
+                    type="button"
+                  >
+                    {timeRangeLabel(range)}
+                  </button>
+                ))}
+                {timeline?.snapshots.length > 0 && (
+                  <button className="pillBtn" onClick={clearTimeline} type="button">
+                    Remove all
+                  </button>
+                )}
+              </div>
+
+              {timeline?.snapshots.length > 0 && (
+                <>
+                  <div className="panelRow">
+                    <input
+                      className="panelSlider"
+                      type="range"
+                      min={0}
+                      max={timeline.snapshots.length - 1}
+                      value={timelineAt}
+                      onChange={(e) => showSnapshot(Number(e.target.value))}
+                      aria-label="Snapshot"
+                    />
+                    <span className="panelInfo">
+                      {formatDay(timeline.snapshots[timelineAt].day)} ({timelineAt + 1}/{timeline.snapshots.length})
+                    </span>
+                  </div>
+
+                  {timelineLanes(timeline.snapshots, bucketView.order).map(({ color, changes }) => (
+                    <div className="lane" key={color}>
+                      <span className="dot" style={{ background: bucketView.border(color) }} />
+                      <span className="laneLabel">{bucketView.label(color)}</span>
+                      {changes.map(({ at, day, top }) => {
+                        const current = changes.findLast((c) => c.at <= timelineAt)?.at === at;
+                        return (
+                          <button
+                            key={at}
+                            className={`laneStep ${current ? "on" : ""}`}
+                            onClick={() => showSnapshot(at)}
+                            title={`${formatDay(day)}: ${top ? `${top.name} · ${top.artist}` : "no album"}`}
+                            type="button"
+                          >
+                            {top?.image ? <img src={top.image} alt={top.name} /> : <span>–</span>}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  ))}
+                </>
+              )}
+
+              {timelineNote && <div className="progress">{timelineNote}</div>}
+            </div>
+          )}
+
+          {exportOpen && hasResult && (
+            <div className="panel">
+              <div className="panelRow">
+                {EXPORT_PRESETS.map((p) => (
+                  <button
+                    key={p.id}
+                    className={`chip ${exportPresetId === p.id ? "active" : ""}`}
+                    onClick={() => setExportPresetId(p.id)}
+                    type="button"
+                  >
+                    {p.label}
+                  </button>
+                ))}
+                <button
+                  className="pillBtn"
+                  onClick={onDownloadPic}
+                  type="button"
+                  disabled={isPending || isExporting}
+                >
+                  {isExporting ? "Exporting…" : "Download"}
+                </button>
+              </div>
+
+              <div className="panelHint">
+                {exportShape.width}×{exportShape.height} · {rangeLabel}
+                {isPending ? " · waiting for the grid…" : previewReady ? "" : " · rendering preview…"}
+              </div>
+              {exportPreview && (
+                <img
+                  className={`exportPreview ${previewReady ? "" : "stale"}`}
+                  src={exportPreview.url}
+                  alt={`Preview of the ${exportShape.label} picture`}
+                />
+              )}
+            </div>
+          )}
+
+          {shareOpen && !isLoggedOut && (
+            <div className="panel">
+              <div className="panelRow">
+                <button
+                  className="pillBtn"
+                  onClick={createShareLink}
+                  type="button"
+                  disabled={!hasResult || isPending || shareBusy}
+                >
+                  {shareBusy ? "Creating…" : `Create share link · ${rangeLabel}`}
+                </button>
+                <label className="panelInfo">
+                  Expires after{" "}
+                  <select
+                    className="panelInput panelSelect"
+                    value={shareExpiry}
+                    onChange={(e) => setShareExpiry(Number(e.target.value))}
+                  >
+                    {SHARE_EXPIRY.map(([days, label]) => (
+                      <option key={days} value={days}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="panelHint">
+                The link shows album names, artists, colors and covers as they are now. It doesn’t change
+                later and needs no login.
+              </div>
+
+              {shares.map((share) => (
+                <div className="panelRow" key={share.id}>
+                  <a className="panelInfo" href={share.url} target="_blank" rel="noreferrer">
+                    {share.title}
+                  </a>
+                  <span className="panelInfo">until {new Date(share.expires_at).toLocaleDateString()}</span>
+                  <button className="chip" onClick={() => navigator.clipboard?.writeText(share.url)} type="button">
+                    Copy link
+                  </button>
+                  <button className="chip" onClick={() => deleteShareLink(share.id)} type="button">
+                    Delete
+                  </button>
+                </div>
+              ))}
+
+              {shareNote && <div className="progress">{shareNote}</div>}
+            </div>
+          )}
+
+          {compareOpen && !isLoggedOut && (
+            <form
+              className="panel"
+              onSubmit={(e) => {
+                e.preventDefault();
+                runCompare();
+              }}
+            >
+              <div className="panelRow">
+                {[
+                  ["Before", compareFrom, setCompareFrom],
+                  ["After", compareTo, setCompareTo],
+                ].map(([label, value, setValue]) => (
+                  <label key={label} className="panelInfo">
+                    {label}{" "}
+                    <select className="panelInput panelSelect" value={value} onChange={(e) => setValue(e.target.value)}>
+                      <optgroup label="Now">
+                        {["short_term", "medium_term", "long_term"].map((range) => (
+                          <option key={range} value={range}>
+                            {timeRangeLabel(range)}
+                          </option>
+                        ))}
+                      </optgroup>
+                      {compareSnapshots.map((snap) => (
+                        <optgroup key={snap.id} label={formatDay(snap.day)}>
+                          {snap.ranges.map((range) => (
+                            <option key={range} value={`${snap.id}:${range}`}>
+                              {timeRangeLabel(range)} · {formatDay(snap.day)}
+                            </option>
+                          ))}
+                        </optgroup>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                <button className="pillBtn" type="submit" disabled={compareBusy}>
+                  {compareBusy ? "Comparing…" : "Compare"}
+                </button>
+              </div>
+
+              {compareResult && (
+                <div className="panelRow">
+                  {EXPORT_PRESETS.map((p) => (
+                    <button
+                      key={p.id}
+                      className={`chip ${exportPresetId === p.id ? "active" : ""}`}
+                      onClick={() => setExportPresetId(p.id)}
+                      type="button"
+                    >
+                      {p.label}
+                    </button>
+                  ))}
+                  <button className="pillBtn" onClick={onDownloadDiff} type="button" disabled={isExporting}>
+                    {isExporting ? "Exporting…" : "Download before/after"}
+                  </button>
+                </div>
+              )}
+
+              {compareResult && (
+                <>
+                  <div className="panelInfo">
+                    {compareSideLabel(compareResult.from)} → {compareSideLabel(compareResult.to)}
+                    {moodText(compareResult.mood) && ` · ${moodText(compareResult.mood)}`}
+                  </div>
+
+                  {compareResult.colors.map((row) => (
+                    <div className="lane" key={row.color}>
+                      <span className="dot" style={{ background: bucketView.border(row.color) }} />
+                      <span className="laneLabel">{bucketView.label(row.color)}</span>
+                      {[row.before, row.after].map((top, i) => (
+                        <span
+                          key={i}
+                          className={`laneStep ${i ? "on" : ""}`}
+                          title={top ? `${top.name} · ${top.artist}` : "No album"}
+                        >
+                          {top?.image ? <img src={top.image} alt={top.name} /> : <span>–</span>}
+                        </span>
+                      ))}
+                      <span className={`diffStatus ${row.status}`}>{diffStatusText(row, bucketView.label)}</span>
+                      <span className="panelInfo">{row.after?.name || ""}</span>
+                    </div>
+                  ))}
+
+                  {compareResult.dropped.length > 0 && (
+                    <div className="lane">
+                      <span className="laneLabel">Dropped</span>
+                      {compareResult.dropped.map((top) => (
+                        <span key={top.id} className="laneStep" title={`${top.name} · ${top.artist}`}>
+                          {top.image ? <img src={top.image} alt={top.name} /> : <span>–</span>}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+
+              {compareNote && <div className="progress">{compareNote}</div>}
+            </form>
+          )}
+
+          {overridesOpen && !isLoggedOut && (
+            <div className="panel">
+              {!overridesCount(overrides) && (
+                <div className="panelHint">
+                  Use the tile buttons to pin an album to its color or hide an album or artist. Pins and
+                  hidden items apply to every time range and stay with your Spotify account.
+                </div>
+              )}
+
+              {Object.entries(overrides?.pins || {}).map(([color, album]) => (
+                <div className="panelRow" key={`pin:${color}`}>
+                  <span className="panelInfo">
+                    Pinned for {bucketView.label(color)}: <b>{album.name}</b> · {album.artist}
+                  </span>
+                  <button className="chip" onClick={() => unpinColor(color)} type="button">
+                    Unpin
+                  </button>
+                </div>
+              ))}
+
+              {(overrides?.albums || []).map((album) => (
+                <div className="panelRow" key={`album:${album.id}`}>
+                  <span className="panelInfo">
+                    Hidden album: <b>{album.name}</b> · {album.artist}
+                  </span>
+                  <button className="chip" onClick={() => showAlbum(album.id)} type="button">
+                    Show again
+                  </button>
+                </div>
+              ))}
+
+              {(overrides?.artists || []).map((artist) => (
+                <div className="panelRow" key={`artist:${artist}`}>
+                  <span className="panelInfo">
+                    Hidden artist: <b>{artist}</b>
+                  </span>
+                  <button className="chip" onClick={() => showArtist(artist)} type="button">
+                    Show again
+                  </button>
+                </div>
+              ))}
+
+              <form
+                className="panelRow"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (!artistDraft.trim()) return;
+                  hideArtist(artistDraft.trim());
+                  setArtistDraft("");
+                }}
+              >
+                <input
+                  className="panelInput"
+                  value={artistDraft}
+                  onChange={(e) => setArtistDraft(e.target.value)}
+                  placeholder="Artist name"
+                  aria-label="Artist to hide"
+                />
+                <button className="pillBtn" type="submit">
+                  Never use this artist
+                </button>
+              </form>
+
+              {overridesNote && <div className="progress">{overridesNote}</div>}
+            </div>
+          )}
+
           {error && !isLoggedOut && <div className="error">{error}</div>}
+          {isPending && !error && (
+            <div className="progress">{progress[timeRange] || "Gathering your albums…"}</div>
+          )}
         </header>
 
         {isLoggedOut && (
@@ -577,11 +1913,18 @@ export default function App() {
         {!hasResult && !error && !isLoggedOut && <div className="loading">Loading…</div>}
 
         {hasResult && (
-          <div className="gridFixed">
-            {tiles.map(({ color, top }) => {
-              const bg = top?.hex || BUCKET_BORDER[color] || "#111111";
+          <div
+            className="gridFixed"
+            style={{ gridTemplateRows: `repeat(${Math.ceil(tiles.length / 5)}, minmax(0, 1fr))` }}
+          >
+            {tiles.map((tile) => {
+              const { color, label, border, top, looking, alternates, choice } = tile;
+              const bg = albumHex(top) || border || "#111111";
+              const palette = albumPalette(top);
               const fg = pickTextColor(bg);
-              const border = BUCKET_BORDER[color] || "#FFFFFF";
+              const pl = playlists[`${timeRange}:${color}`] || {};
+              const pinnedId = overrides?.pins?.[color]?.id;
+              const mainArtist = (top?.artist || "").split(",")[0].trim();
 
               return (
                 <div
@@ -591,18 +1934,112 @@ export default function App() {
                 >
                   <div className="tileHead">
                     <div className="dot" style={{ background: border }} />
-                    <div className="tileTitle">{titleCase(color)}</div>
-                    <div className="hex">{top?.hex ? top.hex : ""}</div>
-                  </div>
-
-                  <div className="imageWrap">
-                    {top?.image ? (
-                      <img className="img" src={top.image} alt={top.name} loading="eager" />
-                    ) : (
-                      <div className="noAlbum">No album</div>
+                    <div className="tileTitle">{label}</div>
+                    <div className="hex">{albumHex(top) || ""}</div>
+                    {top?.why && !isPending && (
+                      <button
+                        className={`tileBtn ${detailFor === color ? "on" : ""}`}
+                        onClick={() => {
+                          setDetailFor(detailFor === color ? null : color);
+                          setPlaylistFor(null);
+                        }}
+                        title="Why this album?"
+                        type="button"
+                      >
+                        ?
+                      </button>
+                    )}
+                    {top && !isPending && timeRange !== "history" && timeRange !== "snapshot" && (
+                      <button
+                        className="tileBtn"
+                        onClick={() => {
+                          setPlaylistFor(playlistFor === color ? null : color);
+                          setDetailFor(null);
+                        }}
+                        title={`Make a ${label} playlist`}
+                        type="button"
+                      >
+                        ♫
+                      </button>
                     )}
                   </div>
 
+                  {playlistFor === color ? (
+                    <div className="tileAction">
+                      <div className="tileActionTitle">{label} playlist</div>
+                      <label>
+                        <input
+                          type="radio"
+                          checked={playlistMode === "top"}
+                          onChange={() => setPlaylistMode("top")}
+                        />{" "}
+                        This tile and its runners-up
+                      </label>
+                      <label>
+                        <input
+                          type="radio"
+                          checked={playlistMode === "pool"}
+                          onChange={() => setPlaylistMode("pool")}
+                        />{" "}
+                        Every {label.toLowerCase()} album found
+                      </label>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={playlistCover}
+                          onChange={(e) => setPlaylistCover(e.target.checked)}
+                        />{" "}
+                        Cover from the palette
+                      </label>
+                      <div className="panelRow">
+                        <button
+                          className="pillBtn"
+                          onClick={() => createPlaylist(color)}
+                          disabled={pl.busy}
+                          type="button"
+                        >
+                          {pl.busy ? "Creating…" : "Save to Spotify"}
+                        </button>
+                        {pl.url && (
+                          <a className="pill" href={pl.url} target="_blank" rel="noreferrer">
+                            Open ({pl.tracks} tracks)
+                          </a>
+                        )}
+                      </div>
+                      {pl.error && <div className="tileActionNote">{pl.error}</div>}
+                    </div>
+                  ) : detailFor === color && top?.why ? (
+                    <div className="tileAction">
+                      <div className="tileActionTitle">Why this album</div>
+                      {explainLines(top, label).map((line) => (
+                        <div key={line} className="tileWhy">
+                          {line}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="imageWrap">
+                      {top?.image ? (
+                        <img className="img" src={top.image} alt={top.name} loading="eager" />
+                      ) : (
+                        <div className="noAlbum">{looking ? "Searching…" : "No album"}</div>
+                      )}
+                    </div>
+                  )}
+
+                  {palette.length > 0 && (
+                    <div className="paletteStrip">
+                      {palette.map((sw) => (
+                        <div
+                          key={sw.hex}
+                          className="swatch"
+                          style={{ background: sw.hex, flexGrow: sw.share }}
+                          title={`${sw.hex} · ${Math.round(sw.share * 100)}%${sw.role ? ` · ${sw.role}` : ""}`}
+                        />
+                      ))}
+                    </div>
+                  )}
+
                   <div className="meta">
                     {top ? (
                       <>
@@ -612,9 +2049,66 @@ export default function App() {
                         <div className="artist" title={top.artist}>
                           {top.artist}
                         </div>
+                        {!isPending && (
+                          <div className="tileNav">
+                            {alternates.length > 1 && (
+                              <>
+                                <button
+                                  className="tileBtn"
+                                  onClick={() => stepAlternate(tile, -1)}
+                                  title="Previous album"
+                                  type="button"
+                                >
+                                  ‹
+                                </button>
+                                <span>
+                                  {choice + 1}/{alternates.length}
+                                </span>
+                                <button
+                                  className="tileBtn"
+                                  onClick={() => stepAlternate(tile, 1)}
+                                  title="Next album"
+                                  type="button"
+                                >
+                                  ›
+                                </button>
+                              </>
+                            )}
+                            {overrides && (
+                              <>
+                                <button
+                                  className={`tileBtn ${pinnedId === top.id ? "on" : ""}`}
+                                  onClick={() => (pinnedId === top.id ? unpinColor(color) : pinAlbum(color, top))}
+                                  title={
+                                    pinnedId === top.id ? "Unpin" : `Always use this album for ${label.toLowerCase()}`
+                                  }
+                                  type="button"
+                                >
+                                  pin
+                                </button>
+                                <button
+                                  className="tileBtn"
+                                  onClick={() => hideAlbum(top)}
+                                  title="Never show this album"
+                                  type="button"
+                                >
+                                  hide
+                                </button>
+                                <button
+                                  className="tileBtn"
+                                  onClick={() => hideArtist(mainArtist)}
+                                  title={`Never use ${mainArtist}`}
+                                  type="button"
+                                >
+                                  hide artist
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
                       </>
                     ) : (
-                      <div className="noAlbumMeta">No album found.</div>
+                      <div className="noAlbumMeta">{looking ? "Still looking…" : "No album found."}</div>
                     )}
                   </div>
                 </div>
@@ -6,5 +6,7 @@ export default defineConfig({
   server: {
     host: "127.0.0.1",
     port: 5173,
+    // the export layout is shared with the backend (../shared)
+    fs: { allow: [".."] },
   },
 });
\ No newline at end of file
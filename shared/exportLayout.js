@@ -0,0 +1,612 @@
+// ===============================
+// Export layout (shared by the browser and the backend)
+// ===============================
+// The export picture is described once, here, as a list of drawing items; the frontend
+// paints them on a canvas (buildPng) and the backend turns them into SVG + sharp composites
+// (exportImage.js). Both renders therefore make the same layout, text-fitting and color
+// decisions. Each EXPORT_PRESETS entry (story, square, ...) is its own size and grid. The
+// "before/after" picture of a comparison (layoutDiffExport) is built the same way.
+//
+// Text is measured with a fixed width table (Helvetica advance widths) instead of the
+// renderer's font, so a given input always fits, shrinks, wraps and ellipsizes the same way.
+// Each text item carries its maxWidth; renderers squeeze a wider actual font into it.
+//
+// Items:
+//   { type: "rect", x, y, w, h, fill }
+//   { type: "stroke", x, y, w, h, stroke, lineWidth }
+//   { type: "cover", x, y, size, src, alpha }   album art, contained (not cropped)
+//   { type: "text", x, y, text, px, weight, fill, alpha, maxWidth }
+
+export const EXPORT_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+
+// ---------- color rules ----------
+
+/**
+ * parseHex(hex)
+ * - Input: "#RRGGBB" or "RRGGBB"
+ * - Output: {r,g,b} in 0-255, or null if invalid.
+ * - Why: used by pickTextColor to compute luminance.
+ */
+export function parseHex(hex) {
+  if (!hex || typeof hex !== "string") return null;
+  const h = hex.trim().replace("#", "");
+  if (h.length !== 6) return null;
+  const n = Number.parseInt(h, 16);
+  if (Number.isNaN(n)) return null;
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+/**
+ * srgbToLin(c)
+ * - Converts one channel from sRGB space to linear-light space.
+ * - Why: correct luminance math requires linear space (not raw 0-255).
+ */
+function srgbToLin(c) {
+  const x = c / 255;
+  return x <= 0.04045 ? x / 12.92 : Math.pow((x + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * pickTextColor(bgHex)
+ * - Goal: choose black or near-white text depending on background brightness.
+ * - Uses relative luminance formula:
+ *   L = 0.2126*R + 0.7152*G + 0.0722*B (in linear space)
+ * - Threshold (0.58) is a design choice: higher = more often dark text.
+ */
+export function pickTextColor(bgHex) {
+  const rgb = parseHex(bgHex);
+  if (!rgb) return "#F3F3F3";
+  const L = 0.2126 * srgbToLin(rgb.r) + 0.7152 * srgbToLin(rgb.g) + 0.0722 * srgbToLin(rgb.b);
+  return L > 0.58 ? "#0E0E0E" : "#F3F3F3";
+}
+
+/**
+ * albumHex(album)
+ * - The album's representative color from its color descriptor ({ hex, palette, ... }).
+ * - Falls back to the old flat `hex` field so bundles cached before palettes still render.
+ */
+export function albumHex(album) {
+  return album?.color?.hex || album?.hex || null;
+}
+
+/**
+ * albumPalette(album)
+ * - Palette swatches [{ hex, share, role }], largest first (empty if unknown).
+ */
+export function albumPalette(album) {
+  return Array.isArray(album?.color?.palette) ? album.color.palette : [];
+}
+
+/**
+ * timeRangeLabel(tr)
+ * - Converts API time range keys into UI/export labels.
+ */
+export function timeRangeLabel(tr) {
+  if (tr === "short_term") return "Last 4 weeks";
+  if (tr === "medium_term") return "Last 6 months";
+  return "All time";
+}
+
+// ---------- text measuring and fitting ----------
+
+// Helvetica advance widths (1/1000 em) for " " (32) through "~" (126).
+// prettier-ignore
+const ASCII_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+function charWidth(cp) {
+  if (cp >= 32 && cp <= 126) return ASCII_WIDTHS[cp - 32];
+  if (cp < 0x250) return 556; // accented Latin
+  if (cp >= 0x1100) return 1000; // CJK, Hangul, emoji: full width
+  return 600;
+}
+
+/**
+ * textWidth(text, px, weight)
+ * - Estimated pixel width of `text` at `px` in the export font; heavier weights run wider.
+ */
+export function textWidth(text, px, weight = 400) {
+  let units = 0;
+  for (const ch of String(text || "")) units += charWidth(ch.codePointAt(0));
+  const heavy = 1 + (Math.max(0, weight - 400) / 400) * 0.12;
+  return (units / 1000) * px * heavy;
+}
+
+/**
+ * ellipsize(text, maxWidth, px, weight)
+ * - Truncates text to fit a max pixel width, adding "…".
+ */
+export function ellipsize(text, maxWidth, px, weight) {
+  if (!text) return "";
+  if (textWidth(text, px, weight) <= maxWidth) return String(text);
+  let s = String(text);
+  while (s.length > 0 && textWidth(s + "…", px, weight) > maxWidth) s = s.slice(0, -1);
+  return s.length ? s + "…" : "";
+}
+
+/**
+ * fitOneLine(text, maxWidth, startPx, minPx, weight)
+ * - Shrinks the font size until the string fits in one line; returns the size used
+ *   (minPx if even that is too wide).
+ */
+export function fitOneLine(text, maxWidth, startPx, minPx, weight) {
+  let size = startPx;
+  while (size > minPx && textWidth(text, size, weight) > maxWidth) size -= 1;
+  return size;
+}
+
+/**
+ * wrapAtSpaces(text, maxWidth, px, weight, maxLines)
+ * - Simple word-wrapping: builds lines until they exceed width.
+ * - Stops at maxLines (prevents huge blocks).
+ * - Returns array of lines or null if no words.
+ */
+export function wrapAtSpaces(text, maxWidth, px, weight, maxLines) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+
+  const lines = [];
+  let current = "";
+
+  for (const w of words) {
+    const test = current ? `${current} ${w}` : w;
+    if (textWidth(test, px, weight) <= maxWidth) {
+      current = test;
+    } else {
+      if (current) lines.push(current);
+      current = w;
+      if (lines.length === maxLines - 1) break;
+    }
+  }
+  if (current && lines.length < maxLines) lines.push(current);
+  return lines.length ? lines : null;
+}
+
+// ---------- layout ----------
+
+/**
+ * EXPORT_PRESETS
+ * - One entry per picture shape. `cols` is the grid width; the header is a band across the
+ *   top ("band") or takes the grid's first `span` cells ("cell").
+ * - Everything inside scales with the shorter side (1080px = 1x), so the 4K wallpaper is
+ *   the landscape layout at twice the size.
+ */
+export const EXPORT_PRESETS = [
+  { id: "story", label: "Story 9:16", width: 1080, height: 1920, cols: 2, header: "band" },
+  { id: "square", label: "Square 1:1", width: 1080, height: 1080, cols: 4, header: "cell", span: 2 },
+  { id: "portrait", label: "Portrait 4:5", width: 1080, height: 1350, cols: 3, header: "cell", span: 2 },
+  { id: "landscape", label: "Landscape 16:9", width: 1920, height: 1080, cols: 5, header: "band" },
+  { id: "wallpaper", label: "4K wallpaper", width: 3840, height: 2160, cols: 5, header: "band" },
+];
+
+export const DEFAULT_EXPORT_PRESET = "story";
+
+const SUBTITLE = "A colorful way to view your favorite albums.";
+
+/**
+ * exportPreset(id)
+ * - The preset with that id, or null.
+ */
+export function exportPreset(id) {
+  return EXPORT_PRESETS.find((p) => p.id === id) || null;
+}
+
+/**
+ * headerBand(add, { x, y, w, u, rangeLabel })
+ * - Title, subtitle and time range stacked above the grid (220px tall at 1x).
+ */
+function headerBand(add, { x, y, w, u, rangeLabel }) {
+  add.text({ x, y: y + 72 * u, text: "ChromaFM", px: 72 * u, weight: 800, fill: "#f3f3f3", maxWidth: w });
+  const sub = { x, px: 34 * u, weight: 500, fill: "#f3f3f3", alpha: 0.8, maxWidth: w };
+  add.text({ ...sub, y: y + 132 * u, text: ellipsize(SUBTITLE, w, sub.px, sub.weight) });
+  add.text({ ...sub, y: y + 192 * u, text: ellipsize(rangeLabel, w, sub.px, sub.weight) });
+}
+
+/**
+ * headerCell(add, { x, y, w, h, u, rangeLabel })
+ * - The same header squeezed into grid cells: fitted title, wrapped subtitle, time range.
+ */
+function headerCell(add, { x, y, w, h, u, rangeLabel }) {
+  const inPad = 18 * u;
+  const innerW = w - inPad * 2;
+  const bottom = y + h - inPad;
+
+  const titlePx = fitOneLine("ChromaFM", innerW, Math.round(72 * u), Math.round(28 * u), 800);
+  let ty = y + inPad + titlePx;
+  add.text({ x: x + inPad, y: ty, text: "ChromaFM", px: titlePx, weight: 800, fill: "#f3f3f3", maxWidth: innerW });
+
+  const sub = { x: x + inPad, px: Math.round(24 * u), weight: 500, fill: "#f3f3f3", alpha: 0.8, maxWidth: innerW };
+  for (const line of wrapAtSpaces(SUBTITLE, innerW, sub.px, sub.weight, 3) || []) {
+    ty += sub.px * 1.35;
+    if (ty > bottom) return;
+    add.text({ ...sub, y: ty, text: line });
+  }
+  ty += sub.px * 1.6;
+  if (ty <= bottom) add.text({ ...sub, y: ty, text: ellipsize(rangeLabel, innerW, sub.px, sub.weight) });
+}
+
+/**
+ * paletteStrip(add, album, { x, y, w, h })
+ * - One block per swatch, width proportional to its share of the cover, outlined.
+ */
+function paletteStrip(add, album, { x, y, w, h }) {
+  const palette = albumPalette(album);
+  const totalShare = palette.reduce((sum, sw) => sum + sw.share, 0) || 1;
+  let sx = x;
+  for (const sw of palette) {
+    const swW = (sw.share / totalShare) * w;
+    add.item({ type: "rect", x: sx, y, w: swW, h, fill: sw.hex });
+    sx += swW;
+  }
+  add.item({ type: "stroke", x, y, w, h, stroke: "rgba(0,0,0,0.35)", lineWidth: 2 });
+}
+
+/**
+ * tileFrame(add, t, cell)
+ * - A tile's colored background and bucket border; returns its text color.
+ */
+function tileFrame(add, t, { x, y, w, h, u }) {
+  const bg = albumHex(t.top) || t.border || "#111111";
+  add.item({ type: "rect", x, y, w, h, fill: bg });
+  const bw = 6 * u;
+  add.item({
+    type: "stroke",
+    x: x + bw / 2,
+    y: y + bw / 2,
+    w: w - bw,
+    h: h - bw,
+    stroke: t.border || "#ffffff",
+    lineWidth: bw,
+  });
+  return pickTextColor(bg);
+}
+
+function coverBox(add, t, { x, y, size }) {
+  add.item({ type: "stroke", x, y, w: size, h: size, stroke: "rgba(0,0,0,0.35)", lineWidth: 3 });
+  if (t.top?.image) add.item({ type: "cover", x, y, size, src: t.top.image });
+}
+
+/**
+ * tileRow(add, t, cell)
+ * - Wide cells (story): cover on the left, text on the right.
+ * - Title shrinks from 34px to one line at 18px; below that it wraps (up to 4 lines).
+ */
+function tileRow(add, t, cell) {
+  const { x, y, w, h, u } = cell;
+  const fg = tileFrame(add, t, cell);
+
+  const inPad = 18 * u;
+  const gapX = 16 * u;
+  const innerX = x + inPad;
+  const innerY = y + inPad;
+  const innerW = w - inPad * 2;
+  const innerH = h - inPad * 2;
+
+  // whole pixels: sharp composites covers at integer offsets
+  const coverSize = Math.floor(Math.min(innerH * 0.92, innerW * 0.64));
+  const coverX = Math.round(innerX);
+  const coverY = Math.round(innerY + (innerH - coverSize) / 2);
+  coverBox(add, t, { x: coverX, y: coverY, size: coverSize });
+
+  const textX = coverX + coverSize + gapX;
+  const textW = innerX + innerW - textX;
+
+  const name = t.top?.name || "No album";
+  const artist = t.top?.artist || "";
+
+  const titleMin = Math.round(18 * u);
+  const baseTitleY = coverY + 40 * u;
+  const usedTitlePx = fitOneLine(name, textW, Math.round(34 * u), titleMin, 800);
+  const needsWrap = usedTitlePx === titleMin && textWidth(name, titleMin, 800) > textW;
+  const lines = needsWrap ? wrapAtSpaces(name, textW, titleMin, 800, 4) : null;
+  const title = { x: textX, px: usedTitlePx, weight: 800, fill: fg, maxWidth: textW };
+
+  if (lines) {
+    lines.forEach((line, li) => add.text({ ...title, y: baseTitleY + li * (titleMin + 6 * u), text: line }));
+  } else {
+    add.text({ ...title, y: baseTitleY, text: ellipsize(name, textW, usedTitlePx, 800) });
+  }
+
+  const titleLines = lines ? lines.length : 1;
+  const artistPx = Math.max(Math.round(18 * u), Math.min(Math.round(24 * u), Math.floor(usedTitlePx * 0.72)));
+  const artistY = baseTitleY + (titleLines - 1) * (usedTitlePx + 6 * u) + 40 * u;
+  const small = { x: textX, fill: fg, maxWidth: textW };
+  const artistText = ellipsize(artist, textW, artistPx, 650);
+  add.text({ ...small, y: artistY, text: artistText, px: artistPx, weight: 650, alpha: 0.88 });
+
+  const hex = albumHex(t.top) || "";
+  if (hex) add.text({ ...small, y: artistY + 32 * u, text: hex, px: Math.round(20 * u), weight: 600, alpha: 0.72 });
+
+  const stripY = artistY + 52 * u;
+  const stripH = 16 * u;
+  if (albumPalette(t.top).length && stripY + stripH <= coverY + coverSize) {
+    paletteStrip(add, t.top, { x: textX, y: stripY, w: textW, h: stripH });
+  }
+}
+
+/**
+ * tileStack(add, t, cell)
+ * - Narrow or square cells (grids of 3-5 columns): cover on top, text underneath.
+ * - Title shrinks from 28px to one line at 14px, then wraps to 2 lines; artist, hex and
+ *   palette strip follow while they fit in the cell.
+ */
+function tileStack(add, t, cell) {
+  const { x, y, w, h, u } = cell;
+  const fg = tileFrame(add, t, cell);
+
+  const inPad = 14 * u;
+  const innerX = x + inPad;
+  const innerW = w - inPad * 2;
+  const innerH = h - inPad * 2;
+  const bottom = y + inPad + innerH;
+
+  const coverSize = Math.floor(Math.min(innerW, innerH * 0.55));
+  const coverX = Math.round(innerX + (innerW - coverSize) / 2);
+  const coverY = Math.round(y + inPad);
+  coverBox(add, t, { x: coverX, y: coverY, size: coverSize });
+
+  const name = t.top?.name || "No album";
+  const artist = t.top?.artist || "";
+
+  const titleMin = Math.round(14 * u);
+  const usedTitlePx = fitOneLine(name, innerW, Math.round(28 * u), titleMin, 800);
+  const needsWrap = usedTitlePx === titleMin && textWidth(name, titleMin, 800) > innerW;
+  const lines = (needsWrap && wrapAtSpaces(name, innerW, titleMin, 800, 2)) || [
+    ellipsize(name, innerW, usedTitlePx, 800),
+  ];
+  const title = { x: innerX, px: usedTitlePx, weight: 800, fill: fg, maxWidth: innerW };
+
+  let ty = coverY + coverSize + Math.round(usedTitlePx * 1.3);
+  lines.forEach((line, li) => {
+    if (li) ty += usedTitlePx + 4 * u;
+    if (ty <= bottom) add.text({ ...title, y: ty, text: line });
+  });
+
+  const small = { x: innerX, fill: fg, maxWidth: innerW };
+  const artistPx = Math.max(Math.round(12 * u), Math.min(Math.round(20 * u), Math.floor(usedTitlePx * 0.8)));
+  const artistY = ty + artistPx * 1.45;
+  if (artistY > bottom) return;
+  const artistText = ellipsize(artist, innerW, artistPx, 650);
+  add.text({ ...small, y: artistY, text: artistText, px: artistPx, weight: 650, alpha: 0.88 });
+
+  const hexPx = Math.round(16 * u);
+  const hexY = artistY + hexPx * 1.45;
+  const hex = albumHex(t.top) || "";
+  if (!hex || hexY > bottom) return;
+  add.text({ ...small, y: hexY, text: hex, px: hexPx, weight: 600, alpha: 0.72 });
+
+  const stripY = hexY + 10 * u;
+  const stripH = 12 * u;
+  if (albumPalette(t.top).length && stripY + stripH <= bottom) {
+    paletteStrip(add, t.top, { x: innerX, y: stripY, w: innerW, h: stripH });
+  }
+}
+
+/**
+ * itemList()
+ * - { items, add }: add.item pushes a drawing item as is; add.text fills in alpha 1 and
+ *   cover items default to alpha 1 as well.
+ */
+function itemList() {
+  const items = [];
+  const add = {
+    item: (it) => items.push(it.type === "cover" ? { alpha: 1, ...it } : it),
+    text: (t) => items.push({ type: "text", alpha: 1, ...t }),
+  };
+  return { items, add };
+}
+
+/**
+ * layoutExport({ tiles, rangeLabel, preset })
+ * - tiles: [{ label, border, top }] in display order (top = album with name, artist, image
+ *   and color { hex, palette }, or null). preset: an EXPORT_PRESETS id (default "story").
+ * - Returns { width, height, preset, items }: header (band or cell), then the preset's grid
+ *   with one cell per bucket; wide cells put the cover beside the text, others above it.
+ */
+export function layoutExport({ tiles, rangeLabel, preset = DEFAULT_EXPORT_PRESET }) {
+  const p = exportPreset(preset);
+  if (!p) throw new Error(`Unknown export preset "${preset}"`);
+
+  const W = p.width;
+  const H = p.height;
+  const u = Math.min(W, H) / 1080;
+  const pad = 64 * u;
+  const gap = 28 * u;
+
+  const { items, add } = itemList();
+
+  // background
+  add.item({ type: "rect", x: 0, y: 0, w: W, h: H, fill: "#0e0e0e" });
+
+  const headerH = p.header === "band" ? 220 * u : 0;
+  if (p.header === "band") headerBand(add, { x: pad, y: pad, w: W - pad * 2, u, rangeLabel });
+
+  // grid layout
+  const span = p.header === "cell" ? p.span : 0;
+  const gridTop = pad + headerH;
+  const cols = p.cols;
+  const rows = Math.max(1, Math.ceil((tiles.length + span) / cols));
+  const cellW = (W - pad * 2 - gap * (cols - 1)) / cols;
+  const cellH = (H - pad - gridTop - gap * (rows - 1)) / rows;
+  const cellAt = (k) => ({
+    x: pad + (k % cols) * (cellW + gap),
+    y: gridTop + Math.floor(k / cols) * (cellH + gap),
+    w: cellW,
+    h: cellH,
+    u,
+  });
+
+  if (span) headerCell(add, { ...cellAt(0), w: cellW * span + gap * (span - 1), rangeLabel });
+
+  const drawTile = cellW / cellH >= 1.3 ? tileRow : tileStack;
+  tiles.forEach((t, i) => drawTile(add, t, cellAt(i + span)));
+
+  return { width: W, height: H, preset: p.id, items };
+}
+
+// ---------- before/after (an /api/compare result) ----------
+
+const DIFF_DROPPED_MAX = 8;
+
+/**
+ * diffStatusText(row, labelOf)
+ * - One color's change in words: "Kept", "New", "Moved from Yellow", "Empty".
+ */
+export function diffStatusText(row, labelOf) {
+  if (row.status === "moved") return `Moved from ${labelOf(row.from)}`;
+  return row.status.charAt(0).toUpperCase() + row.status.slice(1);
+}
+
+/**
+ * moodText(mood)
+ * - The overall palette shift in words, from /api/compare's `mood`.
+ */
+export function moodText(mood) {
+  if (!mood?.before || !mood?.after) return "";
+  const parts = [];
+  if (mood.hue_shift != null) {
+    const sign = mood.hue_shift > 0 ? "+" : "";
+    parts.push(`Palette hue ${mood.before.hue}° → ${mood.after.hue}° (${sign}${mood.hue_shift}°)`);
+  } else {
+    parts.push("Palette hue: mostly greys");
+  }
+  if (mood.lightness_shift >= 0.02) parts.push("brighter");
+  if (mood.lightness_shift <= -0.02) parts.push("darker");
+  if (mood.chroma_shift >= 0.01) parts.push("more colorful");
+  if (mood.chroma_shift <= -0.01) parts.push("more muted");
+  return parts.join(", ");
+}
+
+// "Last 4 weeks", or "Last 4 weeks · 2026-03-01" for a snapshot (dated like snapshot pictures)
+function diffSideLabel(side) {
+  if (!side) return "";
+  const label = timeRangeLabel(side.range);
+  return side.snapshot ? `${label} · ${side.snapshot.day}` : label;
+}
+
+/**
+ * diffRow(add, row, cell, { labelOf, borderOf })
+ * - One color: label, before cover (faded) → after cover, then what changed, the new album
+ *   and the old one. Text and spacing shrink with rows shorter or narrower than a story's;
+ *   the covers leave the text at least a third of the row.
+ */
+function diffRow(add, row, { x, y, w, h, u }, { labelOf, borderOf }) {
+  const s = u * Math.min(1, h / (122 * u), w / (620 * u));
+  const bg = albumHex(row.after) || "#161616";
+  const fg = pickTextColor(bg);
+  add.item({ type: "rect", x, y, w, h, fill: bg });
+  const bw = 4 * u;
+  const border = borderOf(row.color) || "#ffffff";
+  add.item({ type: "stroke", x: x + bw / 2, y: y + bw / 2, w: w - bw, h: h - bw, stroke: border, lineWidth: bw });
+
+  const midY = y + h / 2;
+  const labelW = Math.min(150 * u, w * 0.2);
+  const labelMax = labelW - 24 * u;
+  const labelPx = fitOneLine(labelOf(row.color), labelMax, Math.round(26 * s), Math.round(14 * s), 800);
+  const label = ellipsize(labelOf(row.color), labelMax, labelPx, 800);
+  add.text({ x: x + 20 * u, y: midY + 9 * s, text: label, px: labelPx, weight: 800, fill: fg, maxWidth: labelMax });
+
+  // whole pixels: sharp composites covers at integer offsets
+  const arrowW = Math.round(56 * s);
+  const cover = Math.floor(Math.min(h - 12 * u, 150 * u, (w * 0.65 - labelW - arrowW - 40 * u) / 2));
+  const beforeX = Math.round(x + labelW);
+  const afterX = beforeX + cover + arrowW;
+  const coverY = Math.round(midY - cover / 2);
+  for (const [top, cx, faded] of [
+    [row.before, beforeX, true],
+    [row.after, afterX, false],
+  ]) {
+    add.item({ type: "rect", x: cx, y: coverY, w: cover, h: cover, fill: `rgba(0,0,0,${faded ? 0.15 : 0.25})` });
+    if (top?.image) add.item({ type: "cover", x: cx, y: coverY, size: cover, src: top.image, alpha: faded ? 0.6 : 1 });
+  }
+  const arrowX = beforeX + cover + 10 * s;
+  add.text({ x: arrowX, y: midY + 12 * s, text: "→", px: Math.round(34 * s), weight: 800, fill: fg, maxWidth: arrowW });
+
+  const textX = afterX + cover + 20 * u;
+  const textW = x + w - 20 * u - textX;
+  const status = diffStatusText(row, labelOf);
+  const statusPx = fitOneLine(status, textW, Math.round(30 * s), Math.round(18 * s), 800);
+  const small = { x: textX, fill: fg, maxWidth: textW };
+  add.text({ ...small, y: midY - 18 * s, text: ellipsize(status, textW, statusPx, 800), px: statusPx, weight: 800 });
+
+  const namePx = Math.round(22 * s);
+  const name = ellipsize(row.after?.name || "No album", textW, namePx, 650);
+  add.text({ ...small, y: midY + 14 * s, text: name, px: namePx, weight: 650, alpha: 0.88 });
+  const wasPx = Math.round(20 * s);
+  const was = ellipsize(row.before ? `was ${row.before.name}` : "was empty", textW, wasPx, 600);
+  add.text({ ...small, y: midY + 42 * s, text: was, px: wasPx, weight: 600, alpha: 0.7 });
+}
+
+/**
+ * layoutDiffExport({ diff, labelOf, borderOf, preset })
+ * - The "before/after" picture of an /api/compare result in an EXPORT_PRESETS shape: header
+ *   (both sides and the palette shift), one row per color, then the albums that dropped out
+ *   (up to DIFF_DROPPED_MAX covers).
+ * - labelOf(color), borderOf(color): the bucket set's label and border color.
+ * - Rows run down one column while they stay at least 80px tall (at 1x), else two columns.
+ * - Returns { width, height, preset, items } like layoutExport.
+ */
+export function layoutDiffExport({ diff, labelOf, borderOf, preset = DEFAULT_EXPORT_PRESET }) {
+  const p = exportPreset(preset);
+  if (!p) throw new Error(`Unknown export preset "${preset}"`);
+
+  const W = p.width;
+  const H = p.height;
+  const u = Math.min(W, H) / 1080;
+  const pad = 64 * u;
+  const gap = 14 * u;
+  const { items, add } = itemList();
+
+  add.item({ type: "rect", x: 0, y: 0, w: W, h: H, fill: "#0e0e0e" });
+
+  // header
+  const w = W - pad * 2;
+  add.text({ x: pad, y: pad + 72 * u, text: "ChromaFM", px: 72 * u, weight: 800, fill: "#f3f3f3", maxWidth: w });
+  const sub = { x: pad, weight: 500, fill: "#f3f3f3", alpha: 0.8, maxWidth: w };
+  const sides = `${diffSideLabel(diff.from)} → ${diffSideLabel(diff.to)}`;
+  add.text({ ...sub, y: pad + 132 * u, text: ellipsize(sides, w, 34 * u, 500), px: 34 * u });
+  add.text({ ...sub, y: pad + 184 * u, text: ellipsize(moodText(diff.mood), w, 28 * u, 500), px: 28 * u });
+
+  // rows
+  const dropped = diff.dropped.slice(0, DIFF_DROPPED_MAX);
+  const droppedH = dropped.length ? 190 * u : 0;
+  const top = pad + 250 * u;
+  const n = diff.colors.length;
+  const rowHeight = (rows) => (H - pad - droppedH - top - gap * (rows - 1)) / rows;
+  const cols = rowHeight(n) >= 80 * u ? 1 : 2;
+  const rows = Math.max(1, Math.ceil(n / cols));
+  const rowH = rowHeight(rows);
+  const colW = (w - gap * (cols - 1)) / cols;
+  diff.colors.forEach((row, i) => {
+    const cell = {
+      x: pad + Math.floor(i / rows) * (colW + gap),
+      y: top + (i % rows) * (rowH + gap),
+      w: colW,
+      h: rowH,
+      u,
+    };
+    diffRow(add, row, cell, { labelOf, borderOf });
+  });
+
+  if (dropped.length) {
+    const y = H - pad - droppedH + 24 * u;
+    const more = diff.dropped.length > dropped.length ? ` (+${diff.dropped.length - dropped.length})` : "";
+    const heading = { x: pad, y: y + 28 * u, text: `Dropped out${more}`, px: 28 * u, weight: 700 };
+    add.text({ ...heading, fill: "#f3f3f3", alpha: 0.8, maxWidth: w });
+    const size = Math.floor(Math.min(110 * u, (w - 12 * u * (DIFF_DROPPED_MAX - 1)) / DIFF_DROPPED_MAX));
+    const boxY = Math.round(y + 48 * u);
+    dropped.forEach((album, i) => {
+      const x = Math.round(pad + i * (size + 12 * u));
+      add.item({ type: "rect", x, y: boxY, w: size, h: size, fill: "rgba(255,255,255,0.08)" });
+      if (album.image) add.item({ type: "cover", x, y: boxY, size, src: album.image });
+    });
+  }
+
+  return { width: W, height: H, preset: p.id, items };
+}